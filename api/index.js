@@ -1,4 +1,8 @@
 // server/api/index.js
+// Vercel entry point. There are no background loops here (see src/index.js):
+// requests run the jobs they queue, and the vercel.json cron calls /api/jobs/run
+// every 5 minutes for retries and reminders. Set CRON_SECRET in the project's
+// environment; Vercel sends it as "Authorization: Bearer <secret>".
 import { createApp } from "../src/app.js";
 import { loadIntents } from "../src/utils/intents.js";
 
@@ -4,8 +4,6 @@ import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
-import path from "path";
-import { fileURLToPath } from "url";
 
 import { makeAuthRouter } from "./routes/auth.routes.js";
 import { bookingRouter } from "./routes/booking.routes.js";
@@ -15,12 +13,31 @@ import { makeGoogleRouter } from "./routes/google.routes.js";
 
 import { makeRecommendationsRouter } from "./routes/recommendations.routes.js";
 import { makeSupportRouter } from "./routes/support.routes.js";
+import { makeTripRouter } from "./routes/trip.routes.js";
+import { makeShareRouter } from "./routes/share.routes.js";
+import { makeProviderRouter } from "./routes/provider.routes.js";
+import { makeOperatorRouter } from "./routes/operator.routes.js";
+import { makePlacesRouter } from "./routes/places.routes.js";
+import { makeCalendarRouter } from "./routes/calendar.routes.js";
+import { makeLegacyQrRouter, makeQrRouter } from "./routes/qr.routes.js";
+import { makeJobsRouter } from "./routes/jobs.routes.js";
+import { makeWebhookRouter } from "./routes/webhook.routes.js";
+import { makeAdminRouter } from "./routes/admin.routes.js";
+import { registerJobHandlers } from "./jobs/handlers.js";
+import { drainOutboxBeforeResponse } from "./utils/outbox.js";
 
 dotenv.config();
 
 export function createApp(intents) {
   const app = express();
 
+  // Proxies in front of the app (Vercel / Render: 1). req.ip is the address the
+  // last trusted proxy saw, not whatever the client put in X-Forwarded-For.
+  app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
+  // Outbox job handlers (emails, QR files, calendar sync)
+  registerJobHandlers();
+
   // -------------------------
   // CORS
   // -------------------------
@@ -38,8 +55,9 @@ export function createApp(intents) {
         if (allowedOrigins.includes(origin)) return cb(null, true);
         return cb(new Error(`CORS blocked for origin: ${origin}`));
       },
-      methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-      allowedHeaders: ["Content-Type", "Authorization"],
+      methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+      allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+      exposedHeaders: ["Idempotent-Replayed"],
       credentials: true
     })
   );
@@ -53,13 +71,13 @@ export function createApp(intents) {
   app.use(express.urlencoded({ extended: true }));
   app.use(cookieParser());
 
+  // No worker loop on Vercel: run queued jobs before each response ends
+  if (process.env.VERCEL) app.use(drainOutboxBeforeResponse);
+
   // -------------------------
-  // Static files (QR uploads)
+  // QR links from older emails (files already in uploads/qr only)
   // -------------------------
-  const __filename = fileURLToPath(import.meta.url);
-  const __dirname = path.dirname(__filename);
-
-  app.use("/uploads", express.static(path.join(__dirname, "..", "uploads")));
+  app.use("/uploads/qr", makeLegacyQrRouter());
 
   // -------------------------
   // Health route
@@ -74,13 +92,24 @@ export function createApp(intents) {
 
   app.use("/api/chat", makeChatRouter(intents));
   app.use("/api/bookings", bookingRouter);
+  app.use("/api/trips", makeTripRouter());
+  app.use("/api/shares", makeShareRouter());
+  app.use("/api/providers", makeProviderRouter());
+  app.use("/api/operator", makeOperatorRouter());
+  app.use("/api/places", makePlacesRouter());
 
   app.use("/api/google", makeGoogleRouter());
+  app.use("/api/calendar", makeCalendarRouter());
+  app.use("/api/qr", makeQrRouter());
 
   // ✅ New features
   app.use("/api/recommendations", makeRecommendationsRouter());
   app.use("/api/support", makeSupportRouter());
 
+  app.use("/api/jobs", makeJobsRouter());
+  app.use("/api/webhooks", makeWebhookRouter());
+  app.use("/api/admin", makeAdminRouter());
+
   // -------------------------
   // Fallback 404
   // -------------------------
@@ -23,4 +23,24 @@ if (!globalThis.__pgPool) {
 export const pool = globalThis.__pgPool;
 
 // Keep q because your routes import it
-export const q = (text, params) => pool.query(text, params);
\ No newline at end of file
+export const q = (text, params) => pool.query(text, params);
+
+/**
+ * Run fn(client) inside BEGIN/COMMIT (ROLLBACK on error).
+ * client.query has the same signature as q.
+ */
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,30 @@
+-- Booking lifecycle: requested -> confirmed -> completed / cancelled / no_show
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'requested';
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+  CHECK (status IN ('requested', 'confirmed', 'completed', 'cancelled', 'no_show'));
+
+CREATE INDEX IF NOT EXISTS idx_bookings_user_status ON bookings(user_id, status);
+
+CREATE TABLE IF NOT EXISTS booking_status_history (
+  id           SERIAL PRIMARY KEY,
+  booking_id   INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  from_status  TEXT,
+  to_status    TEXT NOT NULL,
+  changed_by   INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason       TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking
+  ON booking_status_history(booking_id, created_at);
+
+-- Existing bookings get a starting history entry so every booking has one
+INSERT INTO booking_status_history(booking_id, from_status, to_status, changed_by, reason, created_at)
+SELECT b.id, NULL, b.status, b.user_id, 'backfill', b.created_at
+FROM bookings b
+WHERE NOT EXISTS (
+  SELECT 1 FROM booking_status_history h WHERE h.booking_id = b.id
+);
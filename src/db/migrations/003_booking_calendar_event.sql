@@ -0,0 +1,2 @@
+-- Google Calendar event created for a booking (so edits update it instead of adding a new one)
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS google_event_id TEXT;
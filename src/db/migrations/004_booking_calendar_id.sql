@@ -0,0 +1,6 @@
+-- Calendar that holds the booking's Google event (needed to patch/delete it later)
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS google_calendar_id TEXT;
+
+UPDATE bookings
+SET google_calendar_id = 'primary'
+WHERE google_event_id IS NOT NULL AND google_calendar_id IS NULL;
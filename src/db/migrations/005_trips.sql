@@ -0,0 +1,31 @@
+-- Trips group several bookings (hotel stays + transfers) into one itinerary
+CREATE TABLE IF NOT EXISTS trips (
+  id          SERIAL PRIMARY KEY,
+  user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name        TEXT NOT NULL,
+  start_date  DATE,
+  end_date    DATE,
+  travellers  JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ name, email? }]
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (start_date IS NULL OR end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trips_user ON trips(user_id);
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_bookings_trip ON bookings(trip_id);
+
+CREATE OR REPLACE FUNCTION set_updated_at_trips()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_trips_updated_at ON trips;
+CREATE TRIGGER trg_trips_updated_at
+BEFORE UPDATE ON trips
+FOR EACH ROW
+EXECUTE PROCEDURE set_updated_at_trips();
@@ -0,0 +1,49 @@
+-- Durable outbox: side effects (emails, QR files, calendar sync) run by the worker with retries
+CREATE TABLE IF NOT EXISTS outbox_jobs (
+  id            BIGSERIAL PRIMARY KEY,
+  kind          TEXT NOT NULL,                 -- e.g. 'email.send', 'booking.qr'
+  purpose       TEXT,                          -- e.g. 'booking_confirmation' (shown to the client)
+  payload       JSONB NOT NULL DEFAULT '{}'::jsonb,
+  booking_id    INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+  user_id       INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  status        TEXT NOT NULL DEFAULT 'pending'
+                CHECK (status IN ('pending', 'running', 'succeeded', 'failed')),
+  attempts      INTEGER NOT NULL DEFAULT 0,
+  max_attempts  INTEGER NOT NULL DEFAULT 6,
+  run_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at     TIMESTAMPTZ,
+  last_error    TEXT,
+  result        JSONB,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at  TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_jobs_due ON outbox_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_outbox_jobs_booking ON outbox_jobs(booking_id);
+
+CREATE TABLE IF NOT EXISTS outbox_job_attempts (
+  id           BIGSERIAL PRIMARY KEY,
+  job_id       BIGINT NOT NULL REFERENCES outbox_jobs(id) ON DELETE CASCADE,
+  attempt      INTEGER NOT NULL,
+  ok           BOOLEAN NOT NULL,
+  error        TEXT,
+  started_at   TIMESTAMPTZ NOT NULL,
+  finished_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_job_attempts_job ON outbox_job_attempts(job_id);
+
+CREATE OR REPLACE FUNCTION set_updated_at_outbox_jobs()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_outbox_jobs_updated_at ON outbox_jobs;
+CREATE TRIGGER trg_outbox_jobs_updated_at
+BEFORE UPDATE ON outbox_jobs
+FOR EACH ROW
+EXECUTE PROCEDURE set_updated_at_outbox_jobs();
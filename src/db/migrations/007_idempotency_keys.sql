@@ -0,0 +1,15 @@
+-- Idempotency-Key header: the first response for a key is stored and replayed on retries
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id             BIGSERIAL PRIMARY KEY,
+  user_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  scope          TEXT NOT NULL,           -- which endpoint, e.g. 'bookings.create'
+  key            TEXT NOT NULL,
+  request_hash   TEXT NOT NULL,
+  status_code    INTEGER,                 -- NULL while the first request is still running
+  response_body  JSONB,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at   TIMESTAMPTZ,
+  UNIQUE (user_id, scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
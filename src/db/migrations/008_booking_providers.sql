@@ -0,0 +1,51 @@
+-- Hotel / taxi partners. `adapter` names the code adapter in utils/providers.js,
+-- `config` holds the partner specifics (WhatsApp number, greeting, templates, QR target).
+CREATE TABLE IF NOT EXISTS booking_providers (
+  id               SERIAL PRIMARY KEY,
+  slug             TEXT UNIQUE NOT NULL,
+  name             TEXT NOT NULL,
+  booking_type     TEXT NOT NULL CHECK (booking_type IN ('hotel', 'taxi')),
+  adapter          TEXT NOT NULL,
+  config           JSONB NOT NULL DEFAULT '{}'::jsonb,
+  contact_channel  TEXT CHECK (contact_channel IN ('whatsapp', 'phone', 'email', 'web')),
+  contact_value    TEXT,
+  service_areas    TEXT[] NOT NULL DEFAULT '{}', -- empty = whole island
+  priority         INTEGER NOT NULL DEFAULT 100,  -- lower wins
+  active           BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_providers_type ON booking_providers(booking_type, active, priority);
+
+CREATE OR REPLACE FUNCTION set_updated_at_booking_providers()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_booking_providers_updated_at ON booking_providers;
+CREATE TRIGGER trg_booking_providers_updated_at
+BEFORE UPDATE ON booking_providers
+FOR EACH ROW
+EXECUTE PROCEDURE set_updated_at_booking_providers();
+
+-- The partners that used to be hardcoded in booking.routes.js
+INSERT INTO booking_providers(slug, name, booking_type, adapter, config, contact_channel, contact_value)
+VALUES
+  ('booking-com', 'Booking.com', 'hotel', 'booking_com', '{}'::jsonb, 'web', 'https://www.booking.com'),
+  ('mokabb', 'MoKabb', 'taxi', 'whatsapp_taxi',
+   '{"whatsappNumber": "23057223280", "greetingName": "MoKabb", "qrTarget": "maps"}'::jsonb,
+   'whatsapp', '+230 57223280')
+ON CONFLICT (slug) DO NOTHING;
+
+-- Which provider handled each booking
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS provider_id INTEGER REFERENCES booking_providers(id);
+
+UPDATE bookings b
+SET provider_id = p.id
+FROM booking_providers p
+WHERE b.provider_id IS NULL
+  AND ((b.type = 'hotel' AND p.slug = 'booking-com') OR (b.type = 'taxi' AND p.slug = 'mokabb'));
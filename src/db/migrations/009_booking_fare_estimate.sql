@@ -0,0 +1,3 @@
+-- Taxi fare estimate computed when the booking is made/edited (utils/taxiFare.js).
+-- NULL for hotels and for taxi locations outside the bundled locality table.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS fare_estimate JSONB;
@@ -0,0 +1,5 @@
+-- Gazetteer place ids (utils/places.js) for a booking's free-text location fields,
+-- kept next to the raw text in `details`:
+--   { "pickupLocation": "ssr-airport", "dropoffLocation": "grand-baie" }
+-- A field maps to null when the text did not resolve to a known place.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS resolved_places JSONB NOT NULL DEFAULT '{}'::jsonb;
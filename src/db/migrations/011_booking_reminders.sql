@@ -0,0 +1,19 @@
+-- Pre-trip reminders (utils/reminders.js)
+
+-- Per-user opt-out
+ALTER TABLE users ADD COLUMN IF NOT EXISTS booking_reminders BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- One row per reminder handed to the outbox. The unique key makes scheduling
+-- idempotent: a restart (or two workers) can never queue the same reminder twice.
+-- due_at is part of the key so that moving a pickup time schedules a fresh reminder.
+CREATE TABLE IF NOT EXISTS booking_reminders (
+  id          BIGSERIAL PRIMARY KEY,
+  booking_id  INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  kind        TEXT NOT NULL,          -- 'taxi_24h' | 'taxi_2h' | 'hotel_day_before'
+  due_at      TIMESTAMPTZ NOT NULL,
+  job_id      BIGINT REFERENCES outbox_jobs(id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (booking_id, kind, due_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_reminders_booking ON booking_reminders(booking_id);
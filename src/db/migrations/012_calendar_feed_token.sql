@@ -0,0 +1,3 @@
+-- Secret token in the personal calendar feed URL (/api/calendar/feed/<token>.ics).
+-- Whoever has the URL can read the feed, so it can be rotated.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_feed_token TEXT UNIQUE;
@@ -0,0 +1,7 @@
+-- QR images when QR_STORAGE=postgres (serverless deployments have no persistent disk)
+CREATE TABLE IF NOT EXISTS qr_images (
+  key           TEXT PRIMARY KEY,          -- e.g. 'booking-42.png'
+  content_type  TEXT NOT NULL,
+  data          BYTEA NOT NULL,
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
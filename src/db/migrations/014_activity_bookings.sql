@@ -0,0 +1,14 @@
+-- Activities (catalog_items.type = 'activity') can be booked like hotels and taxis
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_type_check;
+ALTER TABLE bookings
+  ADD CONSTRAINT bookings_type_check CHECK (type IN ('hotel', 'taxi', 'activity'));
+
+ALTER TABLE booking_providers DROP CONSTRAINT IF EXISTS booking_providers_booking_type_check;
+ALTER TABLE booking_providers
+  ADD CONSTRAINT booking_providers_booking_type_check
+  CHECK (booking_type IN ('hotel', 'taxi', 'activity'));
+
+-- Island-wide default: links straight to the activity's own page (catalog_items.external_url)
+INSERT INTO booking_providers(slug, name, booking_type, adapter, config, contact_channel, contact_value)
+VALUES ('activity-partner', 'Activity partner', 'activity', 'catalog_link', '{}'::jsonb, 'web', NULL)
+ON CONFLICT (slug) DO NOTHING;
@@ -0,0 +1,19 @@
+-- Google Calendar events per booking leg (a round-trip taxi has two events).
+-- leg 0 is the outbound ride / the only event of hotels and activities; it is
+-- still mirrored on bookings.google_event_id / google_calendar_id.
+CREATE TABLE IF NOT EXISTS booking_calendar_events (
+  booking_id          INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  leg                 INTEGER NOT NULL DEFAULT 0,
+  google_event_id     TEXT NOT NULL,
+  google_calendar_id  TEXT NOT NULL DEFAULT 'primary',
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (booking_id, leg)
+);
+
+INSERT INTO booking_calendar_events(booking_id, leg, google_event_id, google_calendar_id)
+SELECT id, 0, google_event_id, COALESCE(google_calendar_id, 'primary')
+FROM bookings
+WHERE google_event_id IS NOT NULL
+ON CONFLICT (booking_id, leg) DO NOTHING;
+
+-- Reminder kinds now include 'taxi_return_24h' | 'taxi_return_2h' (return leg)
@@ -0,0 +1,27 @@
+-- Bookings and trips shared with co-travellers, invited by email.
+-- A trip share gives access to every booking of the trip.
+-- The invite link carries a random token; only its sha256 is stored.
+CREATE TABLE IF NOT EXISTS shares (
+  id           SERIAL PRIMARY KEY,
+  booking_id   INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+  trip_id      INTEGER REFERENCES trips(id) ON DELETE CASCADE,
+  email        TEXT NOT NULL,                      -- lower-cased invitee email
+  role         TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'editor')),
+  status       TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+  token_hash   TEXT NOT NULL UNIQUE,
+  invited_by   INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_id      INTEGER REFERENCES users(id) ON DELETE CASCADE, -- set on accept
+  expires_at   TIMESTAMPTZ NOT NULL,               -- pending invites only
+  accepted_at  TIMESTAMPTZ,
+  revoked_at   TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((booking_id IS NULL) <> (trip_id IS NULL))
+);
+
+-- One live invite per email and booking / trip (re-inviting refreshes it)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_shares_booking_email
+  ON shares(booking_id, email) WHERE booking_id IS NOT NULL AND status <> 'revoked';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_shares_trip_email
+  ON shares(trip_id, email) WHERE trip_id IS NOT NULL AND status <> 'revoked';
+
+CREATE INDEX IF NOT EXISTS idx_shares_user ON shares(user_id) WHERE status = 'accepted';
@@ -0,0 +1,36 @@
+-- Taxi operator portal: operator accounts answer taxi requests of their provider.
+-- Operators are linked by an admin, e.g.
+--   INSERT INTO taxi_operators(user_id, provider_id, service_areas)
+--   VALUES(<user id>, (SELECT id FROM booking_providers WHERE slug='mokabb'), '{Grand Baie}');
+
+-- requested -> declined: the operator turned the request down (final)
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+  CHECK (status IN ('requested', 'confirmed', 'declined', 'completed', 'cancelled', 'no_show'));
+
+CREATE TABLE IF NOT EXISTS taxi_operators (
+  id             SERIAL PRIMARY KEY,
+  user_id        INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  provider_id    INTEGER NOT NULL REFERENCES booking_providers(id) ON DELETE CASCADE,
+  service_areas  TEXT[] NOT NULL DEFAULT '{}', -- empty = every request of the provider
+  active         BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_taxi_operators_provider ON taxi_operators(provider_id, active);
+
+-- The operator's answer to a taxi request (one per booking)
+CREATE TABLE IF NOT EXISTS taxi_dispatches (
+  booking_id    INTEGER PRIMARY KEY REFERENCES bookings(id) ON DELETE CASCADE,
+  operator_id   INTEGER REFERENCES taxi_operators(id) ON DELETE SET NULL,
+  decision      TEXT NOT NULL CHECK (decision IN ('accepted', 'declined')),
+  eta           TEXT,          -- HH:MM the driver is at the pickup
+  driver_name   TEXT,
+  driver_phone  TEXT,
+  vehicle       TEXT,          -- e.g. "Toyota Noah, white"
+  plate         TEXT,
+  reason        TEXT,          -- decline reason
+  responded_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bookings_provider_status ON bookings(provider_id, status);
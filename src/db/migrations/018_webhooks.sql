@@ -0,0 +1,67 @@
+-- Back-office accounts (webhook subscriptions)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Outbound webhooks: booking events POSTed to subscriber URLs, HMAC-SHA256 signed.
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id           SERIAL PRIMARY KEY,
+  url          TEXT NOT NULL,
+  secret       TEXT NOT NULL,                  -- signing key, shown once on create / rotate
+  events       TEXT[] NOT NULL DEFAULT '{}',   -- empty = every event
+  description  TEXT NOT NULL DEFAULT '',
+  active       BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by   INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION set_updated_at_webhook_subscriptions()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_webhook_subscriptions_updated_at ON webhook_subscriptions;
+CREATE TRIGGER trg_webhook_subscriptions_updated_at
+BEFORE UPDATE ON webhook_subscriptions
+FOR EACH ROW
+EXECUTE PROCEDURE set_updated_at_webhook_subscriptions();
+
+-- One row per event per subscription (a replay adds a new row with the same event_id).
+-- Sending and retries run as outbox "webhook.deliver" jobs.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id               BIGSERIAL PRIMARY KEY,
+  subscription_id  INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id         TEXT NOT NULL,
+  event            TEXT NOT NULL,
+  booking_id       INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+  payload          JSONB NOT NULL,               -- { id, type, createdAt, data }
+  status           TEXT NOT NULL DEFAULT 'pending'
+                   CHECK (status IN ('pending', 'retrying', 'delivered', 'failed', 'skipped')),
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  response_status  INTEGER,
+  last_error       TEXT,
+  replay_of        BIGINT REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  outbox_job_id    BIGINT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at     TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+  ON webhook_deliveries(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_booking ON webhook_deliveries(booking_id);
+
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  id               BIGSERIAL PRIMARY KEY,
+  delivery_id      BIGINT NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  attempt          INTEGER NOT NULL,
+  response_status  INTEGER,
+  response_body    TEXT,                         -- first 2 KB
+  error            TEXT,
+  duration_ms      INTEGER,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery
+  ON webhook_delivery_attempts(delivery_id, attempt);
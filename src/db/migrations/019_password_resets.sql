@@ -0,0 +1,31 @@
+-- Password reset by emailed link: a random single-use token, only its sha256 is stored.
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id          SERIAL PRIMARY KEY,
+  user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash  TEXT NOT NULL UNIQUE,
+  expires_at  TIMESTAMPTZ NOT NULL,
+  used_at     TIMESTAMPTZ,                -- consumed, or superseded by a newer request
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user
+  ON password_reset_tokens(user_id) WHERE used_at IS NULL;
+
+-- Signed into every JWT ("tv"); bumping it logs the account out everywhere.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+-- The old flow reset passwords to a shared temporary one (must_change_password).
+-- Accounts still on it cannot sign in with it anymore: they use the reset link instead.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'must_change_password'
+  ) THEN
+    UPDATE users
+    SET password_hash = '!reset-required', token_version = token_version + 1
+    WHERE must_change_password;
+
+    ALTER TABLE users DROP COLUMN must_change_password;
+  END IF;
+END $$;
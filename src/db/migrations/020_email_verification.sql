@@ -0,0 +1,5 @@
+-- Email verification: signup sends a signed link (utils/emailVerification.js);
+-- bookings need a verified address. Accounts created before this are trusted.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
@@ -0,0 +1,19 @@
+-- Login sessions: a short-lived JWT access token (carries the session id) plus a
+-- rotating refresh token in an httpOnly cookie. Only sha256 hashes are stored.
+CREATE TABLE IF NOT EXISTS sessions (
+  id                   BIGSERIAL PRIMARY KEY,
+  user_id              INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash   TEXT NOT NULL UNIQUE,
+  previous_token_hash  TEXT,            -- the token it replaced: presenting it again = stolen
+  rotated_at           TIMESTAMPTZ,
+  user_agent           TEXT NOT NULL DEFAULT '',
+  ip                   TEXT NOT NULL DEFAULT '',
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at           TIMESTAMPTZ NOT NULL,   -- refresh token expiry (sliding)
+  revoked_at           TIMESTAMPTZ,
+  revoke_reason        TEXT             -- logout | logout_all | password_change | password_reset | refresh_reuse
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
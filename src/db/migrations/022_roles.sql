@@ -0,0 +1,35 @@
+-- Roles on users (permissions per role: utils/rbac.js). Every grant / revoke is
+-- recorded in role_grants.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS roles TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_roles_check;
+ALTER TABLE users ADD CONSTRAINT users_roles_check
+  CHECK (roles <@ ARRAY['admin', 'agent', 'operator']::TEXT[]);
+
+CREATE TABLE IF NOT EXISTS role_grants (
+  id          BIGSERIAL PRIMARY KEY,
+  user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role        TEXT NOT NULL,
+  action      TEXT NOT NULL CHECK (action IN ('grant', 'revoke')),
+  actor_id    INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL = migration / script
+  reason      TEXT NOT NULL DEFAULT '',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_grants_user ON role_grants(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_users_roles ON users USING GIN (roles);
+
+-- No account is admin after this migration: make the first one with
+--   npm run grant-admin -- <email>
+-- (src/scripts/grantAdmin.js); later admins are granted in the back office.
+
+-- Linked taxi operators get the operator role (taxi_operators keeps provider and areas)
+INSERT INTO role_grants(user_id, role, action, reason)
+SELECT u.id, 'operator', 'grant', 'migrated from taxi_operators'
+FROM users u
+JOIN taxi_operators o ON o.user_id = u.id AND o.active
+WHERE NOT ('operator' = ANY(u.roles));
+
+UPDATE users u SET roles = array_append(u.roles, 'operator')
+FROM taxi_operators o
+WHERE o.user_id = u.id AND o.active AND NOT ('operator' = ANY(u.roles));
@@ -0,0 +1,15 @@
+-- Fixed-window counters for the Postgres rate-limit store (utils/rateLimit.js):
+-- one row per key, e.g. "login:ip:203.0.113.7". Expired rows are reused or pruned.
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key       TEXT PRIMARY KEY,
+  count     INTEGER NOT NULL DEFAULT 0,
+  reset_at  TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset ON rate_limits(reset_at);
+
+-- Progressive lockout after failed logins (utils/loginLockout.js)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS lockout_level INTEGER NOT NULL DEFAULT 0; -- lockouts in a row
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
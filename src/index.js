@@ -4,6 +4,9 @@ dotenv.config();
 
 import { createApp } from "./app.js";
 import { loadIntents } from "./utils/intents.js";
+import { startOutboxWorker } from "./utils/outbox.js";
+import { startReminderScheduler } from "./utils/reminders.js";
+import { startPastBookingsSweep } from "./utils/bookingLifecycle.js";
 
 const intents = loadIntents();
 const app = createApp(intents);
@@ -11,4 +14,13 @@ const app = createApp(intents);
 const port = process.env.PORT || 5000;
 app.listen(port, () => {
   console.log(`Travel Buddy server running on http://localhost:${port}`);
-});
\ No newline at end of file
+});
+
+// Background worker for queued emails / QR / calendar jobs
+startOutboxWorker();
+
+// Pre-trip reminder emails (24h / 2h before pickups, day before check-in)
+startReminderScheduler();
+
+// Close bookings whose trip is over (confirmed -> completed, unanswered taxis -> cancelled)
+startPastBookingsSweep();
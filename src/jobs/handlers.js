@@ -0,0 +1,68 @@
+// server/src/jobs/handlers.js
+import { q } from "../db.js";
+import { registerJobHandler } from "../utils/outbox.js";
+import { sendEmail } from "../utils/email.js";
+import { generateQrPng } from "../utils/qr.js";
+import { syncBookingCalendar, removeBookingCalendar } from "../utils/bookingCalendar.js";
+import { deliverWebhook } from "../utils/webhooks.js";
+
+/**
+ * Outbox job kinds and what they do.
+ * Payloads are plain JSON stored in outbox_jobs.payload.
+ */
+
+async function loadBooking(bookingId) {
+  const r = await q(
+    `SELECT id, user_id, type, details, external_link, status, google_event_id, google_calendar_id
+     FROM bookings WHERE id=$1`,
+    [bookingId]
+  );
+  return r.rows[0] || null;
+}
+
+let registered = false;
+
+export function registerJobHandlers() {
+  if (registered) return;
+  registered = true;
+
+  // { to, subject, html, attachments? } (attachment content: text, or base64 with encoding "base64")
+  registerJobHandler("email.send", async ({ to, subject, html, attachments = [] }) => {
+    const resp = await sendEmail({ to, subject, html, attachments });
+    return { messageId: resp?.data?.id || resp?.messageId || null };
+  });
+
+  // { bookingId, url }
+  registerJobHandler("booking.qr", async ({ bookingId, url }) => {
+    const { filename } = await generateQrPng({ bookingId, url });
+    return { filename };
+  });
+
+  // { bookingId, qrUrl } — always syncs the booking as it is *now*
+  registerJobHandler("booking.calendar.sync", async ({ bookingId, qrUrl }) => {
+    const booking = await loadBooking(bookingId);
+    if (!booking) return { ok: false, reason: "booking_deleted" };
+    if (booking.status === "cancelled" || booking.status === "declined") {
+      return { ok: false, reason: `booking_${booking.status}` };
+    }
+
+    return syncBookingCalendar({
+      userId: booking.user_id,
+      booking,
+      details: booking.details,
+      externalLink: booking.external_link,
+      qrUrl
+    });
+  });
+
+  // { bookingId }
+  registerJobHandler("booking.calendar.remove", async ({ bookingId }) => {
+    const booking = await loadBooking(bookingId);
+    if (!booking) return { ok: true, reason: "booking_deleted" };
+
+    return removeBookingCalendar({ userId: booking.user_id, booking });
+  });
+
+  // { deliveryId } — signed POST to a webhook subscriber (utils/webhooks.js)
+  registerJobHandler("webhook.deliver", deliverWebhook);
+}
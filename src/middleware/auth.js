@@ -1,17 +1,41 @@
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import { q } from "../db.js";
 dotenv.config();
 
-export function auth(req, res, next) {
+export async function auth(req, res, next) {
   const header = req.headers.authorization || "";
   const token = header.startsWith("Bearer ") ? header.slice(7) : null;
   if (!token) return res.status(401).json({ error: "Missing token" });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // { userId, email }
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch {
     return res.status(401).json({ error: "Invalid token" });
   }
-}
\ No newline at end of file
+
+  // Access tokens belong to a session (utils/sessions.js): logout, logout-all,
+  // password change / reset revoke it; tokens from before sessions existed carry no sid.
+  // Roles are read here too: the token's `roles` claim may predate a grant / revoke
+  let roles;
+  try {
+    const r = await q(
+      `SELECT u.token_version, u.roles
+       FROM sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id=$1 AND s.user_id=$2 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+      [Number(decoded.sid) || 0, decoded.userId]
+    );
+    if (r.rows.length === 0 || (decoded.tv ?? 0) !== r.rows[0].token_version) {
+      return res.status(401).json({ error: "Session expired, please sign in again" });
+    }
+    roles = r.rows[0].roles || [];
+  } catch (e) {
+    console.error("Auth session check failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to check session" });
+  }
+
+  req.user = { ...decoded, roles }; // { userId, tv, sid, roles }
+  next();
+}
@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import { q } from "../db.js";
+
+const MAX_KEY_LENGTH = 255;
+
+// Stable JSON (sorted keys) so {a,b} and {b,a} hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashRequest(req) {
+  return crypto.createHash("sha256").update(stableStringify(req.body || {})).digest("hex");
+}
+
+/**
+ * Honour an optional `Idempotency-Key` header (must run after `auth`).
+ *
+ * - First request with a key: runs normally, its JSON response is stored.
+ * - Same key again: the stored response is replayed (nothing runs twice),
+ *   with header `Idempotent-Replayed: true`.
+ * - Same key while the first is still running: 409. A claim still running after
+ *   `leaseSeconds` (crashed process) is taken over by the next request.
+ * - Same key with a different body: 422.
+ * - Only 2xx JSON responses are stored: after an error (validation or server), or a
+ *   response that is not res.json, the key is released so the client can retry with it.
+ *
+ * Keys are scoped per user and per `scope`, and expire after `ttlHours`.
+ */
+export function idempotency({ scope, ttlHours = 24, leaseSeconds = 60 } = {}) {
+  if (!scope) throw new Error("idempotency middleware needs a scope");
+
+  return async function idempotencyMiddleware(req, res, next) {
+    const key = String(req.get("Idempotency-Key") || "").trim();
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: "Idempotency-Key is too long" });
+    }
+
+    const userId = req.user?.userId;
+    if (!userId) return res.status(401).json({ error: "Missing token" });
+
+    const requestHash = hashRequest(req);
+
+    try {
+      // Expired keys can be reused, abandoned claims taken over
+      await q(
+        `DELETE FROM idempotency_keys
+         WHERE user_id=$1 AND scope=$2 AND key=$3
+           AND (created_at < NOW() - ($4::int * INTERVAL '1 hour')
+             OR (status_code IS NULL AND created_at < NOW() - ($5::int * INTERVAL '1 second')))`,
+        [userId, scope, key, ttlHours, leaseSeconds]
+      );
+
+      const claimed = await q(
+        `INSERT INTO idempotency_keys(user_id, scope, key, request_hash)
+         VALUES($1,$2,$3,$4)
+         ON CONFLICT (user_id, scope, key) DO NOTHING
+         RETURNING id`,
+        [userId, scope, key, requestHash]
+      );
+
+      if (claimed.rows.length === 0) {
+        const existing = await q(
+          `SELECT request_hash, status_code, response_body
+           FROM idempotency_keys
+           WHERE user_id=$1 AND scope=$2 AND key=$3`,
+          [userId, scope, key]
+        );
+
+        const row = existing.rows[0];
+
+        if (!row) {
+          return res.status(409).json({ error: "Request with this Idempotency-Key is in progress" });
+        }
+
+        if (row.request_hash !== requestHash) {
+          return res.status(422).json({
+            error: "Idempotency-Key was already used with a different request",
+            code: "IDEMPOTENCY_KEY_REUSED"
+          });
+        }
+
+        if (row.status_code == null) {
+          return res.status(409).json({ error: "Request with this Idempotency-Key is in progress" });
+        }
+
+        res.set("Idempotent-Replayed", "true");
+        return res.status(row.status_code).json(row.response_body);
+      }
+
+      const recordId = claimed.rows[0].id;
+      const release = () => q("DELETE FROM idempotency_keys WHERE id=$1", [recordId]);
+
+      // Answered some other way (res.send, express error handler). A dropped connection
+      // keeps the claim: the handler may still store its result, else the lease ends it
+      let answered = false;
+      res.on("finish", () => {
+        if (answered) return;
+        release().catch((e) => console.error("Idempotency release failed:", e?.message || e));
+      });
+
+      // Store the response once the handler answers
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        answered = true;
+        const status = res.statusCode;
+
+        const save =
+          status < 200 || status >= 300
+            ? release()
+            : q(
+                `UPDATE idempotency_keys
+                 SET status_code=$1, response_body=$2, completed_at=NOW()
+                 WHERE id=$3`,
+                [status, JSON.stringify(body ?? null), recordId]
+              );
+
+        // Reply only once the response is stored, so a quick retry replays it
+        save
+          .catch((e) => console.error("Idempotency store failed:", e?.message || e))
+          .finally(() => originalJson(body));
+
+        return res;
+      };
+
+      return next();
+    } catch (e) {
+      console.error("Idempotency check failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to process Idempotency-Key" });
+    }
+  };
+}
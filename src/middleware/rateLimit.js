@@ -0,0 +1,61 @@
+import { hitRateLimit } from "../utils/rateLimit.js";
+import { clientIp } from "../utils/sessions.js";
+
+// What a limit is counted per: the caller's IP, the account named in the body, or the
+// signed-in account (after `auth`)
+const KEYS = {
+  ip: (req) => clientIp(req) || null,
+  email: (req) => String(req.body?.email || "").trim().toLowerCase() || null,
+  user: (req) => (req.user?.userId ? String(req.user.userId) : null)
+};
+
+/**
+ * 429 with Retry-After (seconds); `extra` adds to the JSON body.
+ */
+export function tooManyRequests(res, retryAfter, extra = {}) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: "Too many attempts, please try again later",
+    code: "RATE_LIMITED",
+    retryAfter,
+    ...extra
+  });
+}
+
+/**
+ * 429 for an account locked by utils/loginLockout.js.
+ */
+export function accountLocked(res, retryAfter) {
+  const minutes = Math.ceil(retryAfter / 60);
+  const wait = `${minutes} minute${minutes > 1 ? "s" : ""}`;
+  return tooManyRequests(res, retryAfter, {
+    error: `Too many failed sign-in attempts. Try again in ${wait}`,
+    code: "ACCOUNT_LOCKED"
+  });
+}
+
+/**
+ * At most `limit` requests per `windowSeconds` for each IP (`by: "ip"`), account
+ * named in the JSON body (`by: "email"`) or signed-in user (`by: "user"`), counted
+ * under `scope`.
+ * Store: utils/rateLimit.js. If the store is down, requests go through.
+ */
+export function rateLimit({ scope, by = "ip", limit, windowSeconds }) {
+  if (!scope || !KEYS[by]) throw new Error("rateLimit needs a scope and by: ip | email | user");
+
+  return async function rateLimitMiddleware(req, res, next) {
+    const value = KEYS[by](req);
+    if (!value) return next();
+
+    let r;
+    try {
+      r = await hitRateLimit(`${scope}:${by}:${value}`, { limit, windowSeconds });
+    } catch (e) {
+      console.error("Rate limit check failed:", e?.message || e);
+      return next();
+    }
+
+    if (!r.ok) return tooManyRequests(res, r.retryAfter);
+    next();
+  };
+}
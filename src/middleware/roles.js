@@ -0,0 +1,75 @@
+import { q } from "../db.js";
+import { hasPermission } from "../utils/rbac.js";
+
+/**
+ * Role / permission checks beyond a valid login (roles and permissions: utils/rbac.js).
+ * Use after `auth`, which loads req.user.roles fresh from the database.
+ */
+
+// Any of `roles`, e.g. requireRole("admin", "agent")
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    const mine = req.user?.roles || [];
+    if (!roles.some((r) => mine.includes(r))) {
+      return res.status(403).json({ error: `Requires role: ${roles.join(" or ")}` });
+    }
+    next();
+  };
+}
+
+// e.g. requirePermission("webhooks.manage")
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user?.roles || [], permission)) {
+      return res.status(403).json({ error: `Missing permission: ${permission}` });
+    }
+    next();
+  };
+}
+
+// taxi.dispatch + active taxi_operators row -> req.operator (row + provider name)
+export async function requireOperator(req, res, next) {
+  if (!hasPermission(req.user?.roles || [], "taxi.dispatch")) {
+    return res.status(403).json({ error: "Operator account required" });
+  }
+
+  try {
+    const r = await q(
+      `SELECT o.id, o.user_id, o.provider_id, o.service_areas,
+              p.name AS provider_name, p.slug AS provider_slug
+       FROM taxi_operators o
+       JOIN booking_providers p ON p.id = o.provider_id
+       WHERE o.user_id=$1 AND o.active`,
+      [req.user.userId]
+    );
+
+    if (r.rows.length === 0) {
+      return res.status(403).json({ error: "Operator account is not linked to a taxi provider" });
+    }
+
+    req.operator = r.rows[0];
+    next();
+  } catch (e) {
+    console.error("Operator check failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to check operator account" });
+  }
+}
+
+// Verified email address (users.email_verified): bookings send their confirmations there
+export async function requireVerifiedEmail(req, res, next) {
+  try {
+    const r = await q("SELECT email_verified FROM users WHERE id=$1", [req.user.userId]);
+
+    if (!r.rows[0]?.email_verified) {
+      return res.status(403).json({
+        error: "Please verify your email address before booking",
+        code: "EMAIL_NOT_VERIFIED"
+      });
+    }
+
+    next();
+  } catch (e) {
+    console.error("Email verification check failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to check email verification" });
+  }
+}
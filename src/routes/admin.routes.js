@@ -0,0 +1,203 @@
+import express from "express";
+import { z } from "zod";
+import { auth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
+import { q, withTransaction } from "../db.js";
+import {
+  ROLES,
+  ROLE_PERMISSIONS,
+  grantRole,
+  listRoleGrants,
+  permissionsFor,
+  revokeRole
+} from "../utils/rbac.js";
+
+// -------------------------
+// Validation (Zod)
+// -------------------------
+const grantSchema = z.object({
+  role: z.enum(ROLES),
+  reason: z.string().trim().max(500).optional().default(""),
+  // operator only: link the account to a taxi provider (taxi_operators)
+  provider: z.string().trim().min(1).max(80).optional(),
+  serviceAreas: z.array(z.string().trim().min(1).max(80)).max(50).optional()
+});
+
+const revokeSchema = z.object({
+  reason: z.string().trim().max(500).optional().default("")
+});
+
+const USER_COLUMNS = "id, email, username, roles, created_at";
+
+function userView(u) {
+  return {
+    id: u.id,
+    email: u.email,
+    username: u.username,
+    roles: u.roles,
+    permissions: permissionsFor(u.roles),
+    createdAt: u.created_at
+  };
+}
+
+function userIdParam(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+async function findTaxiProvider(slug) {
+  const r = await q("SELECT id FROM booking_providers WHERE slug=$1 AND booking_type='taxi'", [
+    slug
+  ]);
+  return r.rows[0] || null;
+}
+
+// Create / update the taxi_operators row that goes with the operator role
+async function linkOperator(db, userId, providerId, serviceAreas) {
+  const r = await db.query(
+    `INSERT INTO taxi_operators(user_id, provider_id, service_areas)
+     VALUES($1,$2,$3)
+     ON CONFLICT (user_id)
+     DO UPDATE SET provider_id=EXCLUDED.provider_id,
+                   service_areas=COALESCE($4, taxi_operators.service_areas),
+                   active=TRUE
+     RETURNING id, provider_id, service_areas, active`,
+    [userId, providerId, serviceAreas || [], serviceAreas || null]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Back office: who has which role, grant / revoke, grant history.
+ * Roles and permissions: utils/rbac.js.
+ */
+export function makeAdminRouter() {
+  const router = express.Router();
+
+  router.use(auth, requirePermission("roles.manage"));
+
+  // GET /api/admin/roles  (roles and what each allows)
+  router.get("/roles", (req, res) =>
+    res.json({ ok: true, roles: ROLES, permissions: ROLE_PERMISSIONS })
+  );
+
+  // GET /api/admin/users?role=agent  (without role: every user holding a role)
+  router.get("/users", async (req, res) => {
+    try {
+      const role = req.query.role ? String(req.query.role) : null;
+      if (role && !ROLES.includes(role)) {
+        return res.status(400).json({ error: "Unknown role" });
+      }
+
+      const r = await q(
+        `SELECT ${USER_COLUMNS} FROM users
+         WHERE ($1::text IS NULL AND roles <> '{}') OR $1 = ANY(roles)
+         ORDER BY id ASC`,
+        [role]
+      );
+      return res.json({ ok: true, users: r.rows.map(userView) });
+    } catch (e) {
+      console.error("List role users failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load users" });
+    }
+  });
+
+  // GET /api/admin/users/:id/roles  (current roles + grant history)
+  router.get("/users/:id/roles", async (req, res) => {
+    try {
+      const userId = userIdParam(req.params.id);
+      const r = await q(`SELECT ${USER_COLUMNS} FROM users WHERE id=$1`, [userId || 0]);
+      if (r.rows.length === 0) return res.status(404).json({ error: "User not found" });
+
+      const grants = await listRoleGrants({ userId });
+      return res.json({ ok: true, user: userView(r.rows[0]), grants });
+    } catch (e) {
+      console.error("Load user roles failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load roles" });
+    }
+  });
+
+  // POST /api/admin/users/:id/roles  { role, reason?, provider?, serviceAreas? }
+  router.post("/users/:id/roles", async (req, res) => {
+    const parsed = grantSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Validation failed", issues: parsed.error.issues });
+    }
+
+    const { role, reason, provider, serviceAreas } = parsed.data;
+    if (role !== "operator" && (provider || serviceAreas)) {
+      return res.status(400).json({ error: "provider / serviceAreas only apply to operators" });
+    }
+
+    const userId = userIdParam(req.params.id);
+    if (!userId) return res.status(404).json({ error: "User not found" });
+
+    try {
+      const taxiProvider = provider ? await findTaxiProvider(provider) : null;
+      if (provider && !taxiProvider) {
+        return res.status(400).json({ error: "Unknown taxi provider" });
+      }
+
+      const result = await withTransaction(async (db) => {
+        const granted = await grantRole(userId, role, { actorId: req.user.userId, reason }, db);
+        if (!granted.ok || !taxiProvider) return granted;
+
+        const operator = await linkOperator(db, userId, taxiProvider.id, serviceAreas);
+        return { ...granted, operator };
+      });
+
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      return res.status(result.changed ? 201 : 200).json({
+        ok: true,
+        changed: result.changed,
+        roles: result.roles,
+        ...(result.operator ? { operator: result.operator } : {})
+      });
+    } catch (e) {
+      console.error("Grant role failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to grant role" });
+    }
+  });
+
+  // DELETE /api/admin/users/:id/roles/:role  { reason? }
+  router.delete("/users/:id/roles/:role", async (req, res) => {
+    const parsed = revokeSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Validation failed", issues: parsed.error.issues });
+    }
+
+    const { role } = req.params;
+    if (!ROLES.includes(role)) return res.status(400).json({ error: "Unknown role" });
+
+    const userId = userIdParam(req.params.id);
+    if (!userId) return res.status(404).json({ error: "User not found" });
+
+    try {
+      const result = await revokeRole(userId, role, {
+        actorId: req.user.userId,
+        reason: parsed.data.reason
+      });
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      return res.json({ ok: true, changed: result.changed, roles: result.roles });
+    } catch (e) {
+      console.error("Revoke role failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to revoke role" });
+    }
+  });
+
+  // GET /api/admin/role-grants?limit=100  (everyone's grant history, newest first)
+  router.get("/role-grants", async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+      const grants = await listRoleGrants({ limit });
+      return res.json({ ok: true, grants });
+    } catch (e) {
+      console.error("List role grants failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load role grants" });
+    }
+  });
+
+  return router;
+}
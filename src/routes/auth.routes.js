@@ -2,16 +2,50 @@
 
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { q } from "../db.js";
-import { sendEmail, welcomeEmailTemplate } from "../utils/email.js";
 import { auth } from "../middleware/auth.js";
-
-const JWT_SECRET = process.env.JWT_SECRET || "dev_secret";
-
-function signToken(userId) {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: "7d" });
-}
+import { accountLocked, rateLimit } from "../middleware/rateLimit.js";
+import { acceptInvite } from "../utils/sharing.js";
+import { MIN_PASSWORD_LENGTH, requestPasswordReset, resetPassword } from "../utils/passwordReset.js";
+import { sendVerificationEmail, verifyEmail } from "../utils/emailVerification.js";
+import { permissionsFor } from "../utils/rbac.js";
+import {
+  clearLoginFailures,
+  lockoutRetryAfter,
+  recordLoginFailure
+} from "../utils/loginLockout.js";
+import {
+  clearRefreshCookie,
+  listSessions,
+  refreshSession,
+  refreshTokenFrom,
+  revokeAllSessions,
+  revokeRefreshSession,
+  revokeSession,
+  startSession
+} from "../utils/sessions.js";
+
+// Abuse limits per IP and per account (the email in the body, or the signed-in user);
+// see middleware/rateLimit.js
+const WINDOW_15_MIN = 15 * 60;
+const WINDOW_1_HOUR = 60 * 60;
+
+const loginLimits = [
+  rateLimit({ scope: "login", by: "ip", limit: 30, windowSeconds: WINDOW_15_MIN }),
+  rateLimit({ scope: "login", by: "email", limit: 10, windowSeconds: WINDOW_15_MIN })
+];
+const signupLimits = [
+  rateLimit({ scope: "signup", by: "ip", limit: 10, windowSeconds: WINDOW_1_HOUR }),
+  rateLimit({ scope: "signup", by: "email", limit: 3, windowSeconds: WINDOW_1_HOUR })
+];
+const resendVerificationLimits = [
+  rateLimit({ scope: "resend-verification", by: "ip", limit: 10, windowSeconds: WINDOW_1_HOUR }),
+  rateLimit({ scope: "resend-verification", by: "user", limit: 3, windowSeconds: WINDOW_1_HOUR })
+];
+const forgotPasswordLimits = [
+  rateLimit({ scope: "forgot-password", by: "ip", limit: 10, windowSeconds: WINDOW_1_HOUR }),
+  rateLimit({ scope: "forgot-password", by: "email", limit: 3, windowSeconds: WINDOW_1_HOUR })
+];
 
 export function makeAuthRouter() {
   const authRouter = express.Router();
@@ -23,7 +57,8 @@ export function makeAuthRouter() {
       const userId = req.user.userId;
 
       const found = await q(
-        "SELECT id, email, username, must_change_password FROM users WHERE id=$1",
+        `SELECT id, email, username, email_verified, roles, booking_reminders
+         FROM users WHERE id=$1`,
         [userId]
       );
 
@@ -35,8 +70,15 @@ export function makeAuthRouter() {
 
       return res.json({
         ok: true,
-        user: { id: u.id, email: u.email, username: u.username },
-        mustChangePassword: u.must_change_password
+        user: {
+          id: u.id,
+          email: u.email,
+          username: u.username,
+          emailVerified: u.email_verified,
+          roles: u.roles,
+          permissions: permissionsFor(u.roles)
+        },
+        notifications: { bookingReminders: u.booking_reminders }
       });
     } catch (e) {
       console.error("Auth /me failed:", e?.message || e);
@@ -44,10 +86,38 @@ export function makeAuthRouter() {
     }
   });
 
-  // SIGNUP
-  authRouter.post("/signup", async (req, res) => {
+  // PATCH /api/auth/me/notifications  { bookingReminders: false } -> no more pre-trip reminders
+  authRouter.patch("/me/notifications", auth, async (req, res) => {
     try {
-      const { email, password, username, preferences } = req.body || {};
+      const { bookingReminders } = req.body || {};
+
+      if (typeof bookingReminders !== "boolean") {
+        return res.status(400).json({ error: "bookingReminders must be true or false" });
+      }
+
+      const updated = await q(
+        "UPDATE users SET booking_reminders=$1 WHERE id=$2 RETURNING booking_reminders",
+        [bookingReminders, req.user.userId]
+      );
+
+      if (updated.rows.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      return res.json({
+        ok: true,
+        notifications: { bookingReminders: updated.rows[0].booking_reminders }
+      });
+    } catch (e) {
+      console.error("Update notifications failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to update notification settings" });
+    }
+  });
+
+  // SIGNUP  (optional inviteToken: accept a booking / trip invitation right away)
+  authRouter.post("/signup", ...signupLimits, async (req, res) => {
+    try {
+      const { email, password, username, preferences, inviteToken } = req.body || {};
 
       const cleanEmail = String(email || "").trim().toLowerCase();
       const cleanPassword = String(password || "");
@@ -59,10 +129,10 @@ export function makeAuthRouter() {
           .json({ error: "Email, password, and username are required" });
       }
 
-      if (String(cleanPassword).length < 6) {
+      if (String(cleanPassword).length < MIN_PASSWORD_LENGTH) {
         return res
           .status(400)
-          .json({ error: "Password must be at least 6 characters" });
+          .json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
       }
 
       const exists = await q("SELECT id FROM users WHERE LOWER(email)=LOWER($1)", [
@@ -75,9 +145,9 @@ export function makeAuthRouter() {
       const passwordHash = await bcrypt.hash(cleanPassword, 10);
 
       const created = await q(
-        `INSERT INTO users(email, password_hash, username, must_change_password)
-         VALUES($1,$2,$3,FALSE)
-         RETURNING id, email, username, must_change_password`,
+        `INSERT INTO users(email, password_hash, username)
+         VALUES($1,$2,$3)
+         RETURNING id, email, username, email_verified, token_version, roles`,
         [cleanEmail, passwordHash, cleanUsername]
       );
 
@@ -93,24 +163,39 @@ export function makeAuthRouter() {
         }
       }
 
-      // ✅ Welcome email (do NOT block signup response)
-      sendEmail({
-        to: user.email,
-        subject: "Welcome to Travel Buddy",
-        html: welcomeEmailTemplate({
-          username: user.username,
-          preferences: Array.isArray(preferences) ? preferences : []
-        })
-      }).catch((e) => {
-        console.error("Welcome email failed:", e?.message || e);
-      });
+      // ✅ Verification link via the outbox (retried, never blocks signup response);
+      // the welcome email follows once the address is verified
+      try {
+        await sendVerificationEmail(user);
+      } catch (e) {
+        console.error("Verification email enqueue failed:", e?.message || e);
+      }
+
+      // Invitation problems never fail the signup; the app shows them instead
+      let invite;
+      if (inviteToken) {
+        try {
+          const r = await acceptInvite(String(inviteToken), user.id);
+          invite = r.ok ? { accepted: true, share: r.share } : { accepted: false, error: r.error };
+        } catch (e) {
+          console.error("Signup invite accept failed:", e?.message || e);
+          invite = { accepted: false, error: "Failed to accept invitation" };
+        }
+      }
 
-      const token = signToken(user.id);
+      const { token, expiresIn } = await startSession(req, res, user);
 
       return res.json({
         token,
-        user: { id: user.id, email: user.email, username: user.username },
-        mustChangePassword: user.must_change_password
+        expiresIn,
+        user: {
+          id: user.id,
+          email: user.email,
+          username: user.username,
+          emailVerified: user.email_verified,
+          roles: user.roles
+        },
+        ...(invite ? { invite } : {})
       });
     } catch (e) {
       console.error("Signup failed:", e?.message || e);
@@ -118,8 +203,8 @@ export function makeAuthRouter() {
     }
   });
 
-  // LOGIN
-  authRouter.post("/login", async (req, res) => {
+  // LOGIN  (wrong passwords lock the account for a while: utils/loginLockout.js)
+  authRouter.post("/login", ...loginLimits, async (req, res) => {
     try {
       const { email, password } = req.body || {};
 
@@ -131,7 +216,9 @@ export function makeAuthRouter() {
       }
 
       const found = await q(
-        "SELECT id, email, username, password_hash, must_change_password FROM users WHERE LOWER(email)=LOWER($1)",
+        `SELECT id, email, username, password_hash, email_verified, token_version, roles,
+                locked_until
+         FROM users WHERE LOWER(email)=LOWER($1)`,
         [cleanEmail]
       );
 
@@ -140,15 +227,32 @@ export function makeAuthRouter() {
       }
 
       const u = found.rows[0];
+
+      // checked before the password, so a locked account cannot be guessed at
+      const lockedFor = lockoutRetryAfter(u);
+      if (lockedFor > 0) return accountLocked(res, lockedFor);
+
       const ok = await bcrypt.compare(cleanPassword, u.password_hash);
-      if (!ok) return res.status(400).json({ error: "Invalid credentials" });
+      if (!ok) {
+        const failure = await recordLoginFailure(u, req);
+        if (failure.locked) return accountLocked(res, failure.retryAfter);
+        return res.status(400).json({ error: "Invalid credentials" });
+      }
+
+      await clearLoginFailures(u.id);
 
-      const token = signToken(u.id);
+      const { token, expiresIn } = await startSession(req, res, u);
 
       return res.json({
         token,
-        user: { id: u.id, email: u.email, username: u.username },
-        mustChangePassword: u.must_change_password
+        expiresIn,
+        user: {
+          id: u.id,
+          email: u.email,
+          username: u.username,
+          emailVerified: u.email_verified,
+          roles: u.roles
+        }
       });
     } catch (e) {
       console.error("Login failed:", e?.message || e);
@@ -156,54 +260,126 @@ export function makeAuthRouter() {
     }
   });
 
-  // FORGOT PASSWORD (reset to KR134)
-  authRouter.post("/forgot-password", async (req, res) => {
+  // REFRESH  (refresh cookie -> new access token; the cookie is rotated)
+  authRouter.post("/refresh", async (req, res) => {
     try {
-      const { email } = req.body || {};
-      const cleanEmail = String(email || "").trim().toLowerCase();
-
-      if (!cleanEmail) return res.status(400).json({ error: "Email is required" });
+      const r = await refreshSession(req, res);
 
-      // Always respond ok (prevents account enumeration)
-      const found = await q("SELECT id, email, username FROM users WHERE LOWER(email)=LOWER($1)", [
-        cleanEmail
-      ]);
+      // Lost a race with another tab: the browser now holds the winner's cookie,
+      // so leave it alone; calling /refresh again returns a token
+      if (r.superseded) {
+        return res
+          .status(409)
+          .json({ error: "Refresh already in progress", code: "REFRESH_SUPERSEDED" });
+      }
 
-      if (found.rows.length === 0) {
-        return res.json({ ok: true, message: "If the email exists, a reset email was sent." });
+      if (!r.ok) {
+        clearRefreshCookie(res);
+        return res.status(401).json({ error: r.error });
       }
 
-      const user = found.rows[0];
+      return res.json({ token: r.token, expiresIn: r.expiresIn, user: r.user });
+    } catch (e) {
+      console.error("Refresh failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to refresh session" });
+    }
+  });
+
+  // LOGOUT  (this device: the refresh cookie's session; no valid access token needed)
+  authRouter.post("/logout", async (req, res) => {
+    try {
+      await revokeRefreshSession(refreshTokenFrom(req), "logout");
+      clearRefreshCookie(res);
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("Logout failed:", e?.message || e);
+      return res.status(500).json({ error: "Logout failed" });
+    }
+  });
+
+  // LOGOUT ALL  (every device, this one included)
+  authRouter.post("/logout-all", auth, async (req, res) => {
+    try {
+      const revoked = await revokeAllSessions(req.user.userId, { reason: "logout_all" });
+      clearRefreshCookie(res);
+      return res.json({ ok: true, revoked });
+    } catch (e) {
+      console.error("Logout-all failed:", e?.message || e);
+      return res.status(500).json({ error: "Logout failed" });
+    }
+  });
 
-      const TEMP_PASSWORD = "KR134";
-      const passwordHash = await bcrypt.hash(TEMP_PASSWORD, 10);
+  // GET /api/auth/sessions  (active sessions with device info; `current` = this one)
+  authRouter.get("/sessions", auth, async (req, res) => {
+    try {
+      const sessions = await listSessions(req.user.userId, req.user.sid);
+      return res.json({ ok: true, sessions });
+    } catch (e) {
+      console.error("List sessions failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load sessions" });
+    }
+  });
+
+  // DELETE /api/auth/sessions/:id  (sign out one device)
+  authRouter.delete("/sessions/:id", auth, async (req, res) => {
+    try {
+      const revoked = await revokeSession(req.params.id, req.user.userId, "logout");
+      if (!revoked) return res.status(404).json({ error: "Session not found" });
 
-      await q("UPDATE users SET password_hash=$1, must_change_password=TRUE WHERE id=$2", [
-        passwordHash,
-        user.id
+      if (Number(req.params.id) === Number(req.user.sid)) clearRefreshCookie(res);
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("Revoke session failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to revoke session" });
+    }
+  });
+
+  // VERIFY EMAIL  { token } (from the emailed link; no login needed)
+  authRouter.post("/verify-email", async (req, res) => {
+    try {
+      const { token } = req.body || {};
+      if (!token) return res.status(400).json({ error: "Token is required" });
+
+      const r = await verifyEmail(String(token));
+      if (!r.ok) return res.status(r.status).json({ error: r.error });
+
+      return res.json({ ok: true, user: r.user, alreadyVerified: r.alreadyVerified });
+    } catch (e) {
+      console.error("Verify email failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to verify email" });
+    }
+  });
+
+  // RESEND VERIFICATION  (new link to the account's current address)
+  authRouter.post("/resend-verification", auth, ...resendVerificationLimits, async (req, res) => {
+    try {
+      const found = await q("SELECT id, email, username, email_verified FROM users WHERE id=$1", [
+        req.user.userId
       ]);
+      const u = found.rows[0];
 
-      const html = `
-        <div style="font-family:Arial,sans-serif;line-height:1.5;color:#111827">
-          <h2 style="margin:0 0 10px 0;">Password reset</h2>
-          <p style="margin:0 0 10px 0;">Hello <b>${user.username}</b>,</p>
-          <p style="margin:0 0 12px 0;color:#374151;">
-            Use the temporary password below to sign in. You’ll be prompted to create a new password immediately after login.
-          </p>
-          <div style="display:inline-block;padding:10px 14px;border-radius:12px;border:1px solid #e5e7eb;font-size:16px;font-weight:700;">
-            ${TEMP_PASSWORD}
-          </div>
-        </div>
-      `;
-
-      // ✅ Reset email (do NOT block response)
-      sendEmail({
-        to: user.email,
-        subject: "Password reset",
-        html
-      }).catch((e) => {
-        console.error("Forgot-password email failed:", e?.message || e);
-      });
+      if (!u) return res.status(404).json({ error: "User not found" });
+      if (u.email_verified) return res.status(409).json({ error: "Email already verified" });
+
+      const job = await sendVerificationEmail(u);
+
+      return res.json({ ok: true, email: { status: "pending", jobId: Number(job.id) } });
+    } catch (e) {
+      console.error("Resend verification failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to send verification email" });
+    }
+  });
+
+  // FORGOT PASSWORD  { email } -> emails a single-use reset link (see utils/passwordReset.js)
+  authRouter.post("/forgot-password", ...forgotPasswordLimits, async (req, res) => {
+    try {
+      const { email } = req.body || {};
+      const cleanEmail = String(email || "").trim().toLowerCase();
+
+      if (!cleanEmail) return res.status(400).json({ error: "Email is required" });
+
+      // Same answer whether or not the account exists (prevents account enumeration)
+      await requestPasswordReset(cleanEmail);
 
       return res.json({ ok: true, message: "If the email exists, a reset email was sent." });
     } catch (e) {
@@ -212,5 +388,31 @@ export function makeAuthRouter() {
     }
   });
 
+  // RESET PASSWORD  { token, newPassword } (token from the emailed link; signs out every session)
+  authRouter.post("/reset-password", async (req, res) => {
+    try {
+      const { token, newPassword } = req.body || {};
+      const cleanPassword = String(newPassword || "");
+
+      if (!token || !cleanPassword) {
+        return res.status(400).json({ error: "Token and new password are required" });
+      }
+
+      if (cleanPassword.length < MIN_PASSWORD_LENGTH) {
+        return res
+          .status(400)
+          .json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+
+      const r = await resetPassword(String(token), cleanPassword);
+      if (!r.ok) return res.status(400).json({ error: r.error });
+
+      return res.json({ ok: true, message: "Password updated. Please sign in again." });
+    } catch (e) {
+      console.error("Reset-password route failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to reset password" });
+    }
+  });
+
   return authRouter;
 }
\ No newline at end of file
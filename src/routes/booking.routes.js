@@ -1,326 +1,1052 @@
 import express from "express";
 import { z } from "zod";
 import { auth } from "../middleware/auth.js";
-import { q } from "../db.js";
-import { sendEmail, bookingEmailTemplate } from "../utils/email.js";
-import { insertEvent } from "../utils/googleCalendar.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-import QRCode from "qrcode";
+import { requirePermission, requireVerifiedEmail } from "../middleware/roles.js";
+import { idempotency } from "../middleware/idempotency.js";
+import { q, withTransaction } from "../db.js";
+import { parseBookingInput } from "../utils/bookingValidation.js";
+import {
+  bookingEmailTemplate,
+  bookingCancelledEmailTemplate,
+  bookingStatusEmailTemplate,
+  bookingTypeLabel,
+  bookingUpdatedEmailTemplate
+} from "../utils/email.js";
+import {
+  BOOKING_STATUSES,
+  isLiveStatus,
+  liveStatuses,
+  recordInitialStatus,
+  transitionBookingStatus,
+  getStatusHistory
+} from "../utils/bookingStatus.js";
+import { enqueueJob, kickOutbox, getBookingDeliveries } from "../utils/outbox.js";
+import { bookingVerificationUrl, qrImageUrl } from "../utils/qr.js";
+import { estimateTaxiFare, estimateTaxiTripFare, formatFare } from "../utils/taxiFare.js";
+import { autocompletePlaces, resolveBookingPlaces } from "../utils/places.js";
+import { bookingIcs, bookingIcsAttachment } from "../utils/ics.js";
+import { getServerBaseUrl } from "../utils/serverUrl.js";
+import { bookingReference, bookingVoucherAttachment, renderBookingVoucher } from "../utils/voucher.js";
+import {
+  bookingArea,
+  buildProviderLinks,
+  getProviderById,
+  getProviderBySlug,
+  providerSummary,
+  selectProvider
+} from "../utils/providers.js";
+import {
+  bookingShareTarget,
+  canAccess,
+  enqueueCoTravellerEmails,
+  inviteToShare,
+  listShares,
+  revokeShare,
+  shareInviteSchema,
+  sharedBookingRoleSql
+} from "../utils/sharing.js";
+import { dispatchSummary, getTaxiDispatch } from "../utils/taxiDispatch.js";
+import { hasPermission } from "../utils/rbac.js";
+import { bookingEventData, enqueueWebhookEvent, loadEventBooking } from "../utils/webhooks.js";
+import { flightTransferPickup } from "../utils/flights.js";
+import { tripStartsAt } from "../utils/bookingLifecycle.js";
 
 export const bookingRouter = express.Router();
 
+function normalizeLang(lang) {
+  const s = String(lang || "").toLowerCase().trim();
+  return s === "fr" || s.startsWith("fr") ? "fr" : "en";
+}
+
 /**
- * Build a public base URL for links in emails.
- * - Prefer SERVER_URL from .env (recommended)
- * - Otherwise fall back to localhost dev
+ * Provider for a new booking: the `provider` slug sent by the client
+ * (must match the booking type and be active), else chosen by type + area.
  */
-function getServerBaseUrl(req) {
-  if (process.env.SERVER_URL) return process.env.SERVER_URL.replace(/\/$/, "");
-
-  const proto = (req.headers["x-forwarded-proto"] || "http").split(",")[0].trim();
-  const host =
-    (req.headers["x-forwarded-host"] || req.headers.host || "travel-buddy-server-9zqk.onrender.com")
-      .split(",")[0]
-      .trim();
+async function resolveProvider(data, requestedSlug) {
+  if (requestedSlug) {
+    const p = await getProviderBySlug(requestedSlug);
+    return p && p.active && p.booking_type === data.type ? p : null;
+  }
 
-  return `${proto}://${host}`;
+  return selectProvider({ type: data.type, area: bookingArea(data) });
 }
 
-function normalizeLang(lang) {
-  const s = String(lang || "").toLowerCase().trim();
-  return s === "fr" || s.startsWith("fr") ? "fr" : "en";
+/**
+ * Activity bookings carry the catalog item's name, area and page, so emails,
+ * calendar events and the QR work from the booking alone.
+ * Returns null when the id is not a catalog activity.
+ */
+async function withCatalogItem(data) {
+  if (data.type !== "activity") return data;
+
+  const r = await q(
+    "SELECT id, name, area, external_url FROM catalog_items WHERE id=$1 AND type='activity'",
+    [data.catalogItemId]
+  );
+  if (r.rows.length === 0) return null;
+
+  const item = r.rows[0];
+  return {
+    ...data,
+    activityName: item.name,
+    activityArea: item.area || "",
+    activityUrl: item.external_url || ""
+  };
 }
 
 /**
- * Hotel link: booking.com search URL with prefilled dates and pax
+ * Airport transfers: pickup date/time come from the flight schedule, then the
+ * taxi rules (pickup in the future, return after pickup) are checked again.
+ * Returns { ok: true, data } or { ok: false, error } for an unknown flight.
  */
-function buildHotelLink(details) {
-  const ss = encodeURIComponent(details.hotelNameOrArea || "Mauritius");
-  const checkin = details.checkIn;
-  const checkout = details.checkOut;
-  const adults = Number(details.adults || 1);
-  const children = Number(details.children || 0);
-  const rooms = Number(details.rooms || 1);
-
-  const params = new URLSearchParams({
-    ss,
-    checkin,
-    checkout,
-    group_adults: String(adults),
-    group_children: String(children),
-    no_rooms: String(rooms)
-  });
+async function withFlightSchedule(data, validation) {
+  if (data.type !== "taxi") return { ok: true, data };
+  if (!data.flightNumber) return { ok: true, data: { ...data, flightMode: "", flightDate: "" } };
+
+  const r = await flightTransferPickup(data);
+  if (!r.ok) return r;
 
-  return `https://www.booking.com/searchresults.html?${params.toString()}`;
+  const checked = parseBookingInput(
+    { ...data, pickupDate: r.pickupDate, pickupTime: r.pickupTime },
+    validation
+  );
+
+  return {
+    ok: true,
+    data: {
+      ...checked,
+      flightTime: r.flight.time,
+      flightAirline: r.flight.airline,
+      flightAirport: r.flight.airport
+    }
+  };
 }
 
 /**
- * ✅ Taxi LINK (clickable): WhatsApp chat with a clean, readable message.
- * Company WhatsApp: +230 57223280
+ * Fare estimate stored with a taxi booking, all legs included
+ * (null for hotels/activities or unknown places).
  */
-function buildTaxiWhatsAppLink(details, lang = "en") {
-  const whatsappNumber = "23057223280";
-
-  const pickup = details.pickupLocation || "";
-  const dropoff = details.dropoffLocation || "";
-  const date = details.pickupDate || "";
-  const time = details.pickupTime || "";
-  const pax = details.passengers ?? "";
-  const luggage = details.luggage || "";
-  const notes = details.notes || "";
-
-  const isFr = lang === "fr";
-
-  // ✅ Build a human-readable message with real new lines, then encode ONCE.
-  const lines = [
-    isFr ? "Bonjour MoKabb," : "Hello MoKabb,",
-    "",
-    isFr
-      ? "Je souhaite réserver un taxi avec les détails suivants :"
-      : "I would like to book a taxi with the following details:",
-    "",
-    `${isFr ? "Prise en charge" : "Pickup"}: ${pickup}`,
-    `${isFr ? "Destination" : "Dropoff"}: ${dropoff}`,
-    `${isFr ? "Date" : "Date"}: ${date}`,
-    `${isFr ? "Heure" : "Time"}: ${time}`,
-    `${isFr ? "Passagers" : "Passengers"}: ${pax}`
-  ];
-
-  if (luggage) lines.push(`${isFr ? "Bagages" : "Luggage"}: ${luggage}`);
-  if (notes) lines.push(`${isFr ? "Remarques" : "Notes"}: ${notes}`);
-
-  lines.push("");
-  lines.push(isFr ? "Merci." : "Thank you.");
-
-  const message = lines.join("\n");
-  const encoded = encodeURIComponent(message);
-
-  // ✅ wa.me format
-  return `https://wa.me/${whatsappNumber}?text=${encoded}`;
+function bookingFareEstimate(data) {
+  if (data.type !== "taxi") return null;
+  const r = estimateTaxiTripFare(data);
+  return r.ok ? r.estimate : null;
 }
 
 /**
- * ✅ Taxi QR target: Google Maps directions (pickup -> dropoff)
+ * Details shown in emails: booking fields + provider name + fare estimate.
  */
-function buildTaxiMapsDirectionsLink(details) {
-  const origin = details.pickupLocation || "Mauritius";
-  const destination = details.dropoffLocation || "Mauritius";
-
-  const params = new URLSearchParams({
-    api: "1",
-    origin,
-    destination,
-    travelmode: "driving"
-  });
+function emailDetails(data, { provider, fareEstimate, externalLink }) {
+  return {
+    ...data,
+    provider: provider.name,
+    ...(fareEstimate ? { fareEstimate: formatFare(fareEstimate) } : {}),
+    externalLink
+  };
+}
 
-  return `https://www.google.com/maps/dir/?${params.toString()}`;
+async function loadUser(userId) {
+  const u = await q("SELECT email, username FROM users WHERE id=$1", [userId]);
+  return u.rows[0];
+}
+
+function bookingQrUrl(req, bookingId, { bust = false } = {}) {
+  return qrImageUrl(getServerBaseUrl(req), bookingId, { bust });
 }
 
 /**
- * Create QR image file for a given URL.
- * Saved under server/uploads/qr/booking-<id>.png
+ * Queue the side effects of a created/edited booking (QR file, calendar, email
+ * to the owner and copies to co-travellers) in the same transaction as the booking write.
  */
-async function generateQrPng({ bookingId, url }) {
-  const __filename = fileURLToPath(import.meta.url);
-  const __dirname = path.dirname(__filename);
+async function enqueueBookingSideEffects(
+  db,
+  { booking, user, provider, qrTargetLink, qrUrl, verifyUrl, email }
+) {
+  const voucher = await bookingVoucherAttachment({
+    booking,
+    user,
+    provider,
+    qrTargetLink,
+    verifyUrl
+  });
+
+  const qrJob = await enqueueJob(
+    {
+      kind: "booking.qr",
+      purpose: "qr_code",
+      bookingId: booking.id,
+      userId: booking.user_id,
+      payload: { bookingId: booking.id, url: qrTargetLink }
+    },
+    db
+  );
+
+  const calendarJob = await enqueueJob(
+    {
+      kind: "booking.calendar.sync",
+      purpose: "calendar_sync",
+      bookingId: booking.id,
+      userId: booking.user_id,
+      payload: { bookingId: booking.id, qrUrl }
+    },
+    db
+  );
+
+  // ✅ .ics so the booking lands in any calendar app, Google connected or not,
+  // and the printable voucher
+  const attachments = [bookingIcsAttachment(booking, { qrUrl }), voucher];
+
+  const emailJob = await enqueueJob(
+    {
+      kind: "email.send",
+      purpose: email.purpose,
+      bookingId: booking.id,
+      userId: booking.user_id,
+      payload: {
+        to: user.email,
+        subject: email.subject,
+        html: email.render({ username: user.username }),
+        attachments
+      }
+    },
+    db
+  );
 
-  const qrDir = path.join(__dirname, "..", "..", "uploads", "qr");
-  fs.mkdirSync(qrDir, { recursive: true });
+  const emailCopies = await enqueueCoTravellerEmails(db, {
+    booking,
+    owner: user,
+    email,
+    attachments
+  });
+
+  return {
+    qr: { status: "pending", jobId: Number(qrJob.id) },
+    calendar: { status: "pending", jobId: Number(calendarJob.id) },
+    email: { status: "pending", jobId: Number(emailJob.id) },
+    emailCopies
+  };
+}
 
-  const filename = `booking-${bookingId}.png`;
-  const filePath = path.join(qrDir, filename);
+/**
+ * Field-level differences between stored and updated booking details.
+ */
+function diffDetails(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.delete("type");
+  keys.delete("lang");
 
-  await QRCode.toFile(filePath, url, { width: 512, margin: 2 });
+  const changes = [];
+  for (const field of keys) {
+    const a = before?.[field] ?? "";
+    const b = after?.[field] ?? "";
+    if (String(a) !== String(b)) changes.push({ field, before: a, after: b });
+  }
+  return changes;
+}
 
-  return { filePath, filename };
+/**
+ * Message language for validation errors: booking lang, else Accept-Language.
+ */
+function validationLang(req, raw) {
+  return raw?.lang || String(req.headers["accept-language"] || "").split(",")[0];
 }
 
 // -------------------------
-// Validation (Zod)
+// GET /api/bookings/taxi/quote?pickupLocation=&dropoffLocation=&passengers=&luggage=&pickupTime=
+// (no login needed: the chat widget asks before the traveller books)
 // -------------------------
-const hotelSchema = z.object({
-  type: z.literal("hotel"),
-  hotelNameOrArea: z.string().min(2),
-  checkIn: z.string().min(4),
-  checkOut: z.string().min(4),
-  rooms: z.coerce.number().int().min(1),
-  adults: z.coerce.number().int().min(1),
-  children: z.coerce.number().int().min(0),
-  budgetMUR: z.coerce.number().int().min(0),
-  specialRequests: z.string().optional().default("")
+const quoteSchema = z.object({
+  pickupLocation: z.string().trim().min(2),
+  dropoffLocation: z.string().trim().min(2),
+  passengers: z.coerce.number().int().min(1).max(20).optional().default(1),
+  luggage: z.string().optional().default(""),
+  pickupTime: z
+    .string()
+    .regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Expected HH:mm")
+    .optional()
 });
 
-// ✅ allow optional lang from client (so WhatsApp message is EN/FR correctly)
-const taxiSchema = z.object({
-  type: z.literal("taxi"),
-  pickupLocation: z.string().min(2),
-  dropoffLocation: z.string().min(2),
-  pickupDate: z.string().min(4),
-  pickupTime: z.string().min(3),
-  passengers: z.coerce.number().int().min(1),
-  luggage: z.string().optional().default(""),
-  notes: z.string().optional().default(""),
-  lang: z.string().optional().default("en")
+bookingRouter.get("/taxi/quote", async (req, res) => {
+  try {
+    const input = quoteSchema.parse(req.query || {});
+    const r = estimateTaxiFare(input);
+
+    if (!r.ok) {
+      const suggestions = Object.fromEntries(
+        r.unresolved.map((field) => [field, autocompletePlaces(input[field], { limit: 5 })])
+      );
+
+      return res.status(422).json({
+        error: "Could not place this location, please pick a town, beach or the airport",
+        unresolved: r.unresolved,
+        suggestions
+      });
+    }
+
+    return res.json({ ok: true, estimate: r.estimate, display: formatFare(r.estimate) });
+  } catch (err) {
+    if (err?.issues) {
+      return res.status(400).json({ error: "Validation failed", issues: err.issues });
+    }
+    console.error("Taxi quote failed:", err?.message || err);
+    return res.status(500).json({ error: "Failed to estimate fare" });
+  }
+});
+
+// -------------------------
+// POST /api/bookings  (optional Idempotency-Key header: retries return the first booking)
+// Unverified accounts get 403 { code: "EMAIL_NOT_VERIFIED" }
+// -------------------------
+bookingRouter.post(
+  "/",
+  auth,
+  requireVerifiedEmail,
+  idempotency({ scope: "bookings.create" }),
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const raw = req.body || {};
+
+      const validation = { lang: validationLang(req, raw) };
+      const parsed = parseBookingInput(raw, validation);
+
+      if (!parsed) return res.status(400).json({ error: "Invalid booking type" });
+
+      const scheduled = await withFlightSchedule(parsed, validation);
+      if (!scheduled.ok) return res.status(400).json({ error: scheduled.error });
+
+      const data = await withCatalogItem(scheduled.data);
+      if (!data) return res.status(400).json({ error: "Activity not found" });
+
+      // normalize lang (only matters for taxi WhatsApp message)
+      const L = normalizeLang(data.lang);
+
+      // Optional: add the booking straight into one of the user's trips
+      let tripId = null;
+      if (raw.tripId != null && raw.tripId !== "") {
+        const t = await q("SELECT id FROM trips WHERE id=$1 AND user_id=$2", [
+          Number(raw.tripId) || 0,
+          userId
+        ]);
+        if (t.rows.length === 0) return res.status(400).json({ error: "Trip not found" });
+        tripId = t.rows[0].id;
+      }
+
+      // Which partner handles it (by area, or the one the client picked)
+      const provider = await resolveProvider(data, raw.provider);
+      if (!provider) {
+        return res
+          .status(400)
+          .json({ error: `No ${data.type} provider available for this booking` });
+      }
+
+      // ✅ Build link(s) through the provider adapter
+      // - external link (clickable) = WhatsApp (for taxi)
+      // - QR link (scannable) = Google Maps directions (for taxi)
+      const fareEstimate = bookingFareEstimate(data);
+      const resolvedPlaces = resolveBookingPlaces(data);
+      const { externalLink, qrTargetLink } = buildProviderLinks(provider, data, L, {
+        fareEstimate
+      });
+
+      // Get user info for email
+      const user = await loadUser(userId);
+
+      // Booking + its side effects are committed together; the outbox worker
+      // then generates the QR, syncs the calendar and sends the email (with retries).
+      const { booking, qrUrl, deliveries } = await withTransaction(async (db) => {
+        const inserted = await db.query(
+          `INSERT INTO bookings(user_id, type, details, external_link, trip_id, provider_id,
+                                fare_estimate, resolved_places)
+           VALUES($1,$2,$3,$4,$5,$6,$7,$8)
+           RETURNING id, user_id, type, details, external_link, status, trip_id, provider_id,
+                     fare_estimate, resolved_places, created_at`,
+          [userId, data.type, data, externalLink, tripId, provider.id, fareEstimate, resolvedPlaces]
+        );
+
+        const booking = inserted.rows[0];
+
+        await recordInitialStatus(
+          { bookingId: booking.id, status: booking.status, changedBy: userId },
+          db
+        );
+
+        // ✅ booked activities count towards "popular" recommendations
+        if (data.type === "activity") {
+          await db.query(
+            "INSERT INTO item_interactions(user_id, item_id, action) VALUES($1,$2,'book')",
+            [userId, data.catalogItemId]
+          );
+        }
+
+        const qrUrl = bookingQrUrl(req, booking.id);
+
+        const deliveries = await enqueueBookingSideEffects(db, {
+          booking,
+          user,
+          provider,
+          qrTargetLink, // ✅ maps directions for taxi
+          qrUrl,
+          verifyUrl: bookingVerificationUrl(getServerBaseUrl(req), booking.id),
+          email: {
+            purpose: "booking_confirmation",
+            subject: `${bookingTypeLabel(data.type)} confirmation`,
+            render: ({ username, sharedBy }) =>
+              bookingEmailTemplate({
+                username,
+                sharedBy,
+                bookingType: data.type,
+                details: emailDetails(data, { provider, fareEstimate, externalLink }),
+                externalLink, // ✅ WhatsApp for taxi
+                qrUrl // ✅ maps QR for taxi
+              })
+          }
+        });
+
+        await enqueueWebhookEvent(db, {
+          event: "booking.created",
+          bookingId: booking.id,
+          data: bookingEventData({ booking, provider, baseUrl: getServerBaseUrl(req) })
+        });
+
+        return { booking, qrUrl, deliveries };
+      });
+
+      kickOutbox();
+
+      return res.json({
+        ok: true,
+        booking,
+        provider: providerSummary(provider),
+        fareEstimate,
+        externalLink, // ✅ WhatsApp for taxi
+        qrUrl, // ✅ maps QR for taxi
+        email: deliveries.email,
+        calendar: deliveries.calendar,
+        deliveries
+      });
+    } catch (err) {
+      if (err?.issues) {
+        return res.status(400).json({ error: "Validation failed", issues: err.issues });
+      }
+      console.error("Create booking failed:", err?.message || err);
+      return res.status(500).json({ error: "Booking failed" });
+    }
+  }
+);
+
+// -------------------------
+// GET /api/bookings/mine?status=requested,confirmed | ?live=true
+// Own bookings and the ones shared with the user (access: owner | editor | viewer)
+// -------------------------
+bookingRouter.get("/mine", auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    let statuses = null;
+    if (String(req.query.live || "").toLowerCase() === "true") {
+      statuses = liveStatuses();
+    } else if (req.query.status) {
+      statuses = String(req.query.status)
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean);
+
+      const unknown = statuses.filter((s) => !BOOKING_STATUSES.includes(s));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown status: ${unknown.join(", ")}` });
+      }
+    }
+
+    const sharedRole = sharedBookingRoleSql("b", "$1");
+
+    const params = [userId];
+    let sql = `SELECT b.id, b.type, b.details, b.external_link, b.status, b.status_updated_at,
+                      b.trip_id, b.provider_id, b.fare_estimate, b.resolved_places, b.created_at,
+                      CASE WHEN b.user_id=$1 THEN 'owner' ELSE ${sharedRole} END AS access
+               FROM bookings b
+               WHERE (b.user_id=$1 OR ${sharedRole} IS NOT NULL)`;
+
+    if (statuses) {
+      params.push(statuses);
+      sql += ` AND b.status = ANY($${params.length})`;
+    }
+
+    sql += " ORDER BY b.created_at DESC";
+
+    const b = await q(sql, params);
+    return res.json({ bookings: b.rows });
+  } catch (e) {
+    console.error("List bookings failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to load bookings" });
+  }
+});
+
+/**
+ * The booking if the user owns it or it is shared with them (directly or through
+ * its trip); booking.access is owner | editor | viewer. With `readAny` (staff holding
+ * bookings.read_any) any other booking comes back with access "staff", which
+ * canAccess() never lets edit.
+ */
+async function findBookingForUser(bookingId, userId, { readAny = false } = {}) {
+  const id = Number(bookingId);
+  if (!Number.isInteger(id) || id <= 0) return null;
+
+  const sharedRole = sharedBookingRoleSql("b", "$2");
+  const access = `CASE WHEN b.user_id=$2 THEN 'owner' ELSE ${sharedRole} END`;
+
+  const r = await q(
+    `SELECT * FROM (
+       SELECT b.id, b.user_id, b.type, b.details, b.external_link, b.status,
+              b.status_updated_at, b.trip_id, b.provider_id, b.fare_estimate,
+              b.resolved_places, b.google_event_id, b.google_calendar_id, b.created_at,
+              ${readAny ? `COALESCE(${access}, 'staff')` : access} AS access
+       FROM bookings b
+       WHERE b.id=$1
+     ) x
+     WHERE access IS NOT NULL`,
+    [id, userId]
+  );
+  return r.rows[0] || null;
+}
+
+// Read-only routes: the user's own / shared bookings, or any booking for support staff
+function findBookingToRead(req) {
+  return findBookingForUser(req.params.id, req.user.userId, {
+    readAny: hasPermission(req.user.roles || [], "bookings.read_any")
+  });
+}
+
+// Found but the role is too low (viewers cannot edit, only owners manage sharing)
+function forbidden(res, booking) {
+  const error =
+    booking.access === "viewer"
+      ? "You have view-only access to this booking"
+      : "Only the booking owner can do this";
+  return res.status(403).json({ error });
+}
+
+// -------------------------
+// GET /api/bookings/:id  (booking + status history + taxi operator's answer)
+// -------------------------
+bookingRouter.get("/:id", auth, async (req, res) => {
+  try {
+    const booking = await findBookingToRead(req);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const history = await getStatusHistory(booking.id);
+    const dispatch = booking.type === "taxi" ? await getTaxiDispatch(booking.id) : null;
+
+    return res.json({ ok: true, booking, history, dispatch: dispatchSummary(dispatch) });
+  } catch (e) {
+    console.error("Get booking failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to load booking" });
+  }
 });
 
 // -------------------------
-// POST /api/bookings
+// PATCH /api/bookings/:id  (partial details; type cannot change)
 // -------------------------
-bookingRouter.post("/", auth, async (req, res) => {
+bookingRouter.patch("/:id", auth, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const raw = req.body || {};
 
-    const data =
-      raw.type === "hotel"
-        ? hotelSchema.parse(raw)
-        : raw.type === "taxi"
-        ? taxiSchema.parse(raw)
-        : null;
+    const booking = await findBookingForUser(req.params.id, userId);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+    if (!canAccess(booking.access, "editor")) return forbidden(res, booking);
+
+    if (!isLiveStatus(booking.status)) {
+      return res.status(409).json({
+        error: `Booking cannot be edited (status: ${booking.status})`
+      });
+    }
+
+    // Re-validate the merged booking with the same schema as creation
+    const merged = { ...booking.details, ...(req.body || {}), type: booking.type };
+    const validation = { lang: validationLang(req, merged) };
+
+    const scheduled = await withFlightSchedule(parseBookingInput(merged, validation), validation);
+    if (!scheduled.ok) return res.status(400).json({ error: scheduled.error });
 
-    if (!data) return res.status(400).json({ error: "Invalid booking type" });
+    const data = await withCatalogItem(scheduled.data);
+    if (!data) return res.status(400).json({ error: "Activity not found" });
+
+    const changes = diffDetails(booking.details, data);
+    if (changes.length === 0) {
+      return res.json({ ok: true, booking, changes });
+    }
 
-    // normalize lang (only matters for taxi WhatsApp message)
     const L = normalizeLang(data.lang);
 
-    // Insert booking first (without external link for now)
-    const inserted = await q(
-      `INSERT INTO bookings(user_id, type, details, external_link)
-       VALUES($1,$2,$3,$4)
-       RETURNING id, type, details, external_link, created_at`,
-      [userId, data.type, data, null]
-    );
+    // Keep the partner the booking was made with
+    const provider = booking.provider_id
+      ? await getProviderById(booking.provider_id)
+      : await selectProvider({ type: data.type, area: bookingArea(data) });
+    if (!provider) {
+      return res.status(400).json({ error: `No ${data.type} provider available for this booking` });
+    }
+
+    const fareEstimate = bookingFareEstimate(data);
+    const resolvedPlaces = resolveBookingPlaces(data);
+    const { externalLink, qrTargetLink } = buildProviderLinks(provider, data, L, { fareEstimate });
+
+    // Emails go to the owner (and copies to co-travellers), whoever made the edit
+    const user = await loadUser(booking.user_id);
+
+    // ✅ Same QR file name as before, so old links keep working with the new target
+    const qrUrl = bookingQrUrl(req, booking.id, { bust: true });
+
+    const result = await withTransaction(async (db) => {
+      // Re-check under the row lock: a cancel, decline, operator answer or another edit
+      // may have landed since the booking was read above
+      const locked = await db.query("SELECT status, details FROM bookings WHERE id=$1 FOR UPDATE", [
+        booking.id
+      ]);
+      const current = locked.rows[0];
+      if (!current || !isLiveStatus(current.status)) {
+        return { conflict: `Booking cannot be edited (status: ${current?.status || "deleted"})` };
+      }
+      if (JSON.stringify(current.details) !== JSON.stringify(booking.details)) {
+        return { conflict: "Booking was changed meanwhile, please reload it and try again" };
+      }
+
+      const updated = await db.query(
+        `UPDATE bookings
+         SET details=$1, external_link=$2, provider_id=$3, fare_estimate=$4, resolved_places=$5
+         WHERE id=$6
+         RETURNING id, user_id, type, details, external_link, status, status_updated_at, trip_id,
+                   provider_id, fare_estimate, resolved_places, google_event_id,
+                   google_calendar_id, created_at`,
+        [data, externalLink, provider.id, fareEstimate, resolvedPlaces, booking.id]
+      );
+
+      const saved = updated.rows[0];
+
+      const deliveries = await enqueueBookingSideEffects(db, {
+        booking: saved,
+        user,
+        provider,
+        qrTargetLink,
+        qrUrl,
+        verifyUrl: bookingVerificationUrl(getServerBaseUrl(req), saved.id),
+        email: {
+          purpose: "booking_updated",
+          subject: `${bookingTypeLabel(booking.type)} updated`,
+          render: ({ username, sharedBy }) =>
+            bookingUpdatedEmailTemplate({
+              username,
+              sharedBy,
+              bookingType: booking.type,
+              details: emailDetails(data, { provider, fareEstimate, externalLink }),
+              changes,
+              externalLink,
+              qrUrl
+            })
+        }
+      });
+
+      await enqueueWebhookEvent(db, {
+        event: "booking.updated",
+        bookingId: saved.id,
+        data: bookingEventData({ booking: saved, provider, baseUrl: getServerBaseUrl(req), changes })
+      });
+
+      return { saved, deliveries };
+    });
 
-    const booking = inserted.rows[0];
+    if (result.conflict) return res.status(409).json({ error: result.conflict });
+    const { saved, deliveries } = result;
 
-    // ✅ Build link(s)
-    // - external link (clickable) = WhatsApp (for taxi)
-    // - QR link (scannable) = Google Maps directions (for taxi)
-    let externalLink = "";
-    let qrTargetLink = "";
+    kickOutbox();
 
-    if (data.type === "hotel") {
-      externalLink = buildHotelLink(data);
-      qrTargetLink = externalLink; // hotel QR opens booking.com search
-    } else {
-      externalLink = buildTaxiWhatsAppLink(data, L);
-      qrTargetLink = buildTaxiMapsDirectionsLink(data); // QR always maps directions
+    return res.json({
+      ok: true,
+      booking: { ...saved, access: booking.access },
+      provider: providerSummary(provider),
+      fareEstimate,
+      changes,
+      externalLink,
+      qrUrl,
+      email: deliveries.email,
+      calendar: deliveries.calendar,
+      deliveries
+    });
+  } catch (err) {
+    if (err?.issues) {
+      return res.status(400).json({ error: "Validation failed", issues: err.issues });
     }
+    console.error("Update booking failed:", err?.message || err);
+    return res.status(500).json({ error: "Failed to update booking" });
+  }
+});
 
-    // Save external link to DB (this is the button link)
-    const updated = await q(
-      "UPDATE bookings SET external_link=$1 WHERE id=$2 RETURNING id, external_link",
-      [externalLink, booking.id]
-    );
+// -------------------------
+// POST /api/bookings/:id/cancel  { reason? }
+// -------------------------
+bookingRouter.post("/:id/cancel", auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reason = String(req.body?.reason || "").trim().slice(0, 500);
 
-    const finalExternalLink = updated.rows[0]?.external_link || externalLink;
+    const booking = await findBookingForUser(req.params.id, userId);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+    if (!canAccess(booking.access, "editor")) return forbidden(res, booking);
 
-    // ✅ Generate QR for the QR TARGET (maps for taxi)
-    const { filename } = await generateQrPng({
-      bookingId: booking.id,
-      url: qrTargetLink
+    const user = await loadUser(booking.user_id);
+
+    const email = {
+      purpose: "booking_cancelled",
+      subject: `${bookingTypeLabel(booking.type)} cancelled`,
+      render: ({ username, sharedBy }) =>
+        bookingCancelledEmailTemplate({
+          username,
+          sharedBy,
+          bookingType: booking.type,
+          details: booking.details,
+          reason
+        })
+    };
+
+    const result = await withTransaction(async (db) => {
+      const result = await transitionBookingStatus(
+        {
+          bookingId: booking.id,
+          to: "cancelled",
+          changedBy: userId,
+          reason: reason || null
+        },
+        db
+      );
+
+      if (!result.ok) return result;
+
+      // ✅ Cancelled trips should not stay in the user's calendar
+      const calendarJob = await enqueueJob(
+        {
+          kind: "booking.calendar.remove",
+          purpose: "calendar_remove",
+          bookingId: booking.id,
+          userId: booking.user_id,
+          payload: { bookingId: booking.id }
+        },
+        db
+      );
+
+      const emailJob = await enqueueJob(
+        {
+          kind: "email.send",
+          purpose: email.purpose,
+          bookingId: booking.id,
+          userId: booking.user_id,
+          payload: {
+            to: user.email,
+            subject: email.subject,
+            html: email.render({ username: user.username })
+          }
+        },
+        db
+      );
+
+      const emailCopies = await enqueueCoTravellerEmails(db, { booking, owner: user, email });
+
+      await enqueueWebhookEvent(db, {
+        event: "booking.cancelled",
+        bookingId: booking.id,
+        data: bookingEventData({
+          booking: await loadEventBooking(db, booking.id),
+          provider: booking.provider_id ? await getProviderById(booking.provider_id) : null,
+          baseUrl: getServerBaseUrl(req),
+          reason: reason || null
+        })
+      });
+
+      return {
+        ...result,
+        calendar: { status: "pending", jobId: Number(calendarJob.id) },
+        email: { status: "pending", jobId: Number(emailJob.id) },
+        emailCopies
+      };
+    });
+
+    if (!result.ok) {
+      return res.status(409).json({
+        error: `Booking cannot be cancelled (status: ${result.from || booking.status})`
+      });
+    }
+
+    kickOutbox();
+
+    return res.json({
+      ok: true,
+      booking: result.booking,
+      email: result.email,
+      emailCopies: result.emailCopies,
+      calendar: result.calendar
     });
+  } catch (e) {
+    console.error("Cancel booking failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to cancel booking" });
+  }
+});
+
+// -------------------------
+// POST /api/bookings/:id/status  { status, reason? }  (back office: bookings.manage)
+// confirmed / declined: hotel and activity requests (taxis answer in the operator portal)
+// completed / no_show: confirmed bookings, once the trip has started
+// -------------------------
+const staffStatusSchema = z.object({
+  status: z.enum(["confirmed", "declined", "completed", "no_show"]),
+  reason: z.string().trim().max(500).optional().default("")
+});
+
+bookingRouter.post("/:id/status", auth, requirePermission("bookings.manage"), async (req, res) => {
+  try {
+    const { status, reason } = staffStatusSchema.parse(req.body || {});
 
-    const serverBaseUrl = getServerBaseUrl(req);
-    const qrUrl = `${serverBaseUrl}/uploads/qr/${filename}`;
+    const id = Number(req.params.id);
+    const found = await q(
+      `SELECT id, user_id, type, details, external_link, status, provider_id, trip_id
+       FROM bookings WHERE id=$1`,
+      [Number.isInteger(id) && id > 0 ? id : 0]
+    );
+    const booking = found.rows[0];
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
 
-    // Get user info for email
-    const u = await q("SELECT email, username FROM users WHERE id=$1", [userId]);
-    const user = u.rows[0];
+    const answer = status === "confirmed" || status === "declined";
+    if (answer && booking.type === "taxi") {
+      return res.status(409).json({ error: "Taxi requests are answered by the taxi operator" });
+    }
 
-    // -------------------------
-    // ✅ AUTO GOOGLE CALENDAR SYNC (never blocks booking)
-    // -------------------------
-    let calendar = { ok: false, reason: "not_connected" };
+    const startsAt = tripStartsAt(booking);
+    if (!answer && (!startsAt || startsAt.getTime() > Date.now())) {
+      return res.status(409).json({ error: "The trip has not started yet" });
+    }
 
-    try {
-      const tok = await q("SELECT * FROM user_google_tokens WHERE user_id=$1", [userId]);
-
-      if (tok.rows.length === 0) {
-        calendar = { ok: false, reason: "not_connected" };
-      } else {
-        const tokens = tok.rows[0];
-
-        if (!tokens.refresh_token) {
-          calendar = { ok: false, reason: "missing_refresh_token" };
-        } else {
-          const calDetails = { ...data, qrUrl, externalLink: finalExternalLink };
-
-          const { eventId, htmlLink } = await insertEvent({
-            tokens: {
-              access_token: tokens.access_token,
-              refresh_token: tokens.refresh_token,
-              scope: tokens.scope,
-              token_type: tokens.token_type,
-              expiry_date: tokens.expiry_date
-            },
-            type: data.type,
-            details: calDetails,
-            externalLink: finalExternalLink,
-            qrUrl
-          });
-
-          calendar = { ok: true, eventId, htmlLink };
+    const user = await loadUser(booking.user_id);
+    const provider = booking.provider_id ? await getProviderById(booking.provider_id) : null;
+
+    const email = answer
+      ? {
+          purpose: `booking_${status}`,
+          subject: `${bookingTypeLabel(booking.type)} ${status}`,
+          render: ({ username, sharedBy }) =>
+            bookingStatusEmailTemplate({
+              username,
+              sharedBy,
+              bookingType: booking.type,
+              details: booking.details,
+              status,
+              reason,
+              externalLink: booking.external_link
+            })
         }
+      : null;
+
+    const result = await withTransaction(async (db) => {
+      const result = await transitionBookingStatus(
+        { bookingId: booking.id, to: status, changedBy: req.user.userId, reason: reason || null },
+        db
+      );
+      if (!result.ok) return result;
+
+      if (status === "declined") {
+        await enqueueJob(
+          {
+            kind: "booking.calendar.remove",
+            purpose: "calendar_remove",
+            bookingId: booking.id,
+            userId: booking.user_id,
+            payload: { bookingId: booking.id }
+          },
+          db
+        );
       }
-    } catch (e) {
-      calendar = { ok: false, reason: "calendar_error", error: e?.message || String(e) };
-      console.error("Calendar sync failed:", e?.message || e);
-    }
 
-    // -------------------------
-    // Send confirmation email
-    // -------------------------
-    let emailOk = true;
-    let emailError = null;
+      let emailJob = null;
+      let emailCopies = [];
+      if (email) {
+        emailJob = await enqueueJob(
+          {
+            kind: "email.send",
+            purpose: email.purpose,
+            bookingId: booking.id,
+            userId: booking.user_id,
+            payload: {
+              to: user.email,
+              subject: email.subject,
+              html: email.render({ username: user.username })
+            }
+          },
+          db
+        );
+        emailCopies = await enqueueCoTravellerEmails(db, { booking, owner: user, email });
+      }
 
-    try {
-      await sendEmail({
-        to: user.email,
-        subject:
-          data.type === "hotel"
-            ? "Hotel booking confirmation"
-            : "Taxi booking confirmation",
-        html: bookingEmailTemplate({
-          username: user.username,
-          bookingType: data.type,
-          details: { ...data, externalLink: finalExternalLink },
-          externalLink: finalExternalLink, // ✅ WhatsApp for taxi
-          qrUrl // ✅ maps QR for taxi
+      await enqueueWebhookEvent(db, {
+        event: `booking.${status}`,
+        bookingId: booking.id,
+        data: bookingEventData({
+          booking: await loadEventBooking(db, booking.id),
+          provider,
+          baseUrl: getServerBaseUrl(req),
+          reason: reason || null
         })
       });
-    } catch (e) {
-      emailOk = false;
-      emailError = e?.message || String(e);
-      console.error("Booking email failed:", emailError);
+
+      return {
+        ...result,
+        email: emailJob ? { status: "pending", jobId: Number(emailJob.id) } : null,
+        emailCopies
+      };
+    });
+
+    if (!result.ok) {
+      const current = result.from || booking.status;
+      return res
+        .status(409)
+        .json({ error: `Booking cannot be set to ${status} (status: ${current})` });
     }
 
+    kickOutbox();
+
     return res.json({
       ok: true,
-      booking: {
-        ...booking,
-        external_link: finalExternalLink
-      },
-      externalLink: finalExternalLink, // ✅ WhatsApp for taxi
-      qrUrl, // ✅ maps QR for taxi
-      email: { ok: emailOk, error: emailError },
-      calendar
+      booking: result.booking,
+      email: result.email,
+      emailCopies: result.emailCopies
     });
   } catch (err) {
     if (err?.issues) {
       return res.status(400).json({ error: "Validation failed", issues: err.issues });
     }
-    return res.status(400).json({ error: err.message || "Booking failed" });
+    console.error("Booking status update failed:", err?.message || err);
+    return res.status(500).json({ error: "Failed to update booking status" });
   }
 });
 
 // -------------------------
-// GET /api/bookings/mine
+// GET /api/bookings/:id/ics  (single-booking iCalendar download)
 // -------------------------
-bookingRouter.get("/mine", auth, async (req, res) => {
-  const userId = req.user.userId;
-  const b = await q("SELECT * FROM bookings WHERE user_id=$1 ORDER BY created_at DESC", [userId]);
-  return res.json({ bookings: b.rows });
-});
\ No newline at end of file
+bookingRouter.get("/:id/ics", auth, async (req, res) => {
+  try {
+    const booking = await findBookingToRead(req);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const ics = bookingIcs(booking, { qrUrl: bookingQrUrl(req, booking.id) });
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="booking-${booking.id}.ics"`);
+    return res.send(ics);
+  } catch (e) {
+    console.error("Booking ics failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to build calendar file" });
+  }
+});
+
+// -------------------------
+// GET /api/bookings/:id/voucher.pdf  (printable voucher for the hotel / driver)
+// -------------------------
+bookingRouter.get("/:id/voucher.pdf", auth, async (req, res) => {
+  try {
+    const booking = await findBookingToRead(req);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const user = await loadUser(booking.user_id);
+    const provider = booking.provider_id ? await getProviderById(booking.provider_id) : null;
+
+    // The voucher QR lets the hotel / driver check the booking is genuine
+    const pdf = await renderBookingVoucher({
+      booking,
+      user,
+      provider,
+      verifyUrl: bookingVerificationUrl(getServerBaseUrl(req), booking.id)
+    });
+
+    res.set("Content-Type", "application/pdf");
+    res.set(
+      "Content-Disposition",
+      `inline; filename="voucher-${bookingReference(booking.id)}.pdf"`
+    );
+    return res.send(pdf);
+  } catch (e) {
+    console.error("Booking voucher failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to build voucher" });
+  }
+});
+
+// -------------------------
+// GET /api/bookings/:id/deliveries  (email / QR / calendar: pending, sent or failed)
+// -------------------------
+bookingRouter.get("/:id/deliveries", auth, async (req, res) => {
+  try {
+    const booking = await findBookingToRead(req);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const deliveries = await getBookingDeliveries(booking.id);
+
+    return res.json({ ok: true, bookingId: booking.id, deliveries });
+  } catch (e) {
+    console.error("Booking deliveries failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to load deliveries" });
+  }
+});
+
+// -------------------------
+// Sharing with co-travellers (owner only)
+// POST   /api/bookings/:id/shares  { email, role: viewer | editor }
+// GET    /api/bookings/:id/shares
+// DELETE /api/bookings/:id/shares/:shareId
+// -------------------------
+bookingRouter.post("/:id/shares", auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const booking = await findBookingForUser(req.params.id, userId);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+    if (!canAccess(booking.access, "owner")) return forbidden(res, booking);
+
+    const data = shareInviteSchema.parse(req.body || {});
+    const inviter = { id: userId, ...(await loadUser(userId)) };
+
+    const result = await inviteToShare(bookingShareTarget(booking), data, inviter);
+    if (!result.ok) return res.status(400).json({ error: result.error });
+
+    return res.json({ ok: true, share: result.share, invitation: result.invitation });
+  } catch (err) {
+    if (err?.issues) {
+      return res.status(400).json({ error: "Validation failed", issues: err.issues });
+    }
+    console.error("Share booking failed:", err?.message || err);
+    return res.status(500).json({ error: "Failed to share booking" });
+  }
+});
+
+bookingRouter.get("/:id/shares", auth, async (req, res) => {
+  try {
+    const booking = await findBookingForUser(req.params.id, req.user.userId);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+    if (!canAccess(booking.access, "owner")) return forbidden(res, booking);
+
+    const shares = await listShares(bookingShareTarget(booking));
+
+    return res.json({ ok: true, shares });
+  } catch (e) {
+    console.error("List booking shares failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to load shares" });
+  }
+});
+
+bookingRouter.delete("/:id/shares/:shareId", auth, async (req, res) => {
+  try {
+    const booking = await findBookingForUser(req.params.id, req.user.userId);
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+    if (!canAccess(booking.access, "owner")) return forbidden(res, booking);
+
+    const share = await revokeShare(bookingShareTarget(booking), req.params.shareId);
+    if (!share) return res.status(404).json({ error: "Share not found" });
+
+    return res.json({ ok: true, share });
+  } catch (e) {
+    console.error("Revoke booking share failed:", e?.message || e);
+    return res.status(500).json({ error: "Failed to revoke share" });
+  }
+});
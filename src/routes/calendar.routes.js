@@ -0,0 +1,123 @@
+import express from "express";
+import crypto from "crypto";
+import { auth } from "../middleware/auth.js";
+import { q } from "../db.js";
+import { bookingEventLines, buildCalendar } from "../utils/ics.js";
+import { getServerBaseUrl } from "../utils/serverUrl.js";
+import { appTimeZone, todayInZone } from "../utils/datetime.js";
+import { qrImageUrl } from "../utils/qr.js";
+
+function newFeedToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function feedUrls(req, token) {
+  const httpsUrl = `${getServerBaseUrl(req)}/api/calendar/feed/${token}.ics`;
+  return { httpsUrl, webcalUrl: httpsUrl.replace(/^https?:\/\//, "webcal://") };
+}
+
+/**
+ * Personal iCalendar feed (Apple Calendar, Outlook… subscribe to the webcal:// URL).
+ * The feed is public but addressed by a per-user secret token.
+ */
+export function makeCalendarRouter() {
+  const router = express.Router();
+
+  // GET /api/calendar/feed-url  -> { httpsUrl, webcalUrl } (token created on first call)
+  router.get("/feed-url", auth, async (req, res) => {
+    try {
+      const userId = req.user.userId;
+
+      // COALESCE keeps an existing token, so this is safe to call repeatedly
+      const r = await q(
+        `UPDATE users SET calendar_feed_token = COALESCE(calendar_feed_token, $1)
+         WHERE id=$2
+         RETURNING calendar_feed_token`,
+        [newFeedToken(), userId]
+      );
+
+      if (r.rows.length === 0) return res.status(404).json({ error: "User not found" });
+
+      return res.json({ ok: true, ...feedUrls(req, r.rows[0].calendar_feed_token) });
+    } catch (e) {
+      console.error("Calendar feed url failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to get calendar feed" });
+    }
+  });
+
+  // POST /api/calendar/feed-url/rotate  (old URL stops working)
+  router.post("/feed-url/rotate", auth, async (req, res) => {
+    try {
+      const r = await q(
+        "UPDATE users SET calendar_feed_token=$1 WHERE id=$2 RETURNING calendar_feed_token",
+        [newFeedToken(), req.user.userId]
+      );
+
+      if (r.rows.length === 0) return res.status(404).json({ error: "User not found" });
+
+      return res.json({ ok: true, ...feedUrls(req, r.rows[0].calendar_feed_token) });
+    } catch (e) {
+      console.error("Calendar feed rotate failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to rotate calendar feed" });
+    }
+  });
+
+  // GET /api/calendar/feed/:token.ics
+  // Upcoming bookings; cancelled ones stay in as STATUS:CANCELLED so subscribed calendars drop them.
+  router.get("/feed/:token.ics", async (req, res) => {
+    try {
+      const token = String(req.params.token || "");
+      if (!token) return res.status(404).json({ error: "Not found" });
+
+      const u = await q("SELECT id, username FROM users WHERE calendar_feed_token=$1", [token]);
+      if (u.rows.length === 0) return res.status(404).json({ error: "Not found" });
+
+      const user = u.rows[0];
+      const today = todayInZone(appTimeZone());
+
+      const b = await q(
+        `SELECT id, type, details, external_link, status
+         FROM bookings
+         WHERE user_id=$1
+           AND status <> 'no_show'
+           AND (
+             (type = 'taxi' AND details->>'pickupDate' >= $2)
+             OR (type = 'taxi' AND details->>'returnDate' >= $2)
+             OR (type = 'hotel' AND details->>'checkOut' >= $2)
+             OR (type = 'activity' AND details->>'date' >= $2)
+           )
+         ORDER BY id ASC`,
+        [user.id, today]
+      );
+
+      const base = getServerBaseUrl(req);
+      const events = [];
+
+      for (const booking of b.rows) {
+        try {
+          events.push(
+            bookingEventLines(booking, { qrUrl: qrImageUrl(base, booking.id) })
+          );
+        } catch (e) {
+          // one bad legacy row should not break the whole feed
+          console.error(`Calendar feed: skipping booking ${booking.id}:`, e?.message || e);
+        }
+      }
+
+      const ics = buildCalendar({
+        events,
+        name: `Travel Buddy — ${user.username}`,
+        refreshHours: 1
+      });
+
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Cache-Control", "private, max-age=300");
+      return res.send(ics);
+    } catch (e) {
+      console.error("Calendar feed failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to build calendar feed" });
+    }
+  });
+
+  return router;
+}
@@ -348,7 +348,9 @@ export function makeChatRouter(intents) {
 
       if (matched) {
 
-        if (matched.intent === "book_hotel" || matched.intent === "book_taxi") {
+        // plan_trip opens the trip form on the client, like the booking triggers
+
+        if (["book_hotel", "book_taxi", "plan_trip"].includes(matched.intent)) {
 
           return res.json({
 
@@ -3,6 +3,7 @@ import jwt from "jsonwebtoken";
 import { q } from "../db.js";
 import { auth } from "../middleware/auth.js";
 import { buildAuthUrl, makeOAuthClient, insertEvent } from "../utils/googleCalendar.js";
+import { getClientBaseUrl } from "../utils/serverUrl.js";
 
 const JWT_SECRET = process.env.JWT_SECRET || "dev_secret";
 
@@ -14,10 +15,6 @@ function verifyState(state) {
   return jwt.verify(state, JWT_SECRET);
 }
 
-function getClientBaseUrl() {
-  return (process.env.CLIENT_URL || "https://travel-buddy-kr134.vercel.app").replace(/\/$/, "");
-}
-
 // ✅ IMPORTANT: Your app has no /chat route (no React Router).
 // Your ChatPage reads query params on the current page, so redirect to "/" only.
 function appRedirectUrl(flag) {
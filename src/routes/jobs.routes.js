@@ -0,0 +1,41 @@
+import express from "express";
+import { runDueJobs } from "../utils/outbox.js";
+import { runDueReminders } from "../utils/reminders.js";
+import { closePastBookings } from "../utils/bookingLifecycle.js";
+
+/**
+ * Serverless deployments (Vercel) have no long-running worker loop:
+ * a scheduler calls this endpoint to queue due reminders, close past bookings and
+ * drain the outbox instead
+ * (on Vercel: the cron in vercel.json, every 5 minutes).
+ * Protected by CRON_SECRET (sent as "Authorization: Bearer <secret>",
+ * which is what Vercel Cron does).
+ */
+export function makeJobsRouter() {
+  const router = express.Router();
+
+  // GET|POST /api/jobs/run
+  router.all("/run", async (req, res) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return res.status(503).json({ error: "Job runner not configured" });
+
+    const header = req.headers.authorization || "";
+    if (header !== `Bearer ${secret}`) return res.status(401).json({ error: "Unauthorized" });
+
+    try {
+      const limit = Math.min(Number(req.query.limit || 50), 200);
+
+      // queue due reminders first so this same run sends them
+      const reminders = await runDueReminders();
+      const pastBookings = await closePastBookings();
+      const result = await runDueJobs({ limit });
+
+      return res.json({ ok: true, ...result, reminders, pastBookings });
+    } catch (e) {
+      console.error("Job run failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to run jobs" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,355 @@
+import express from "express";
+import { z } from "zod";
+import { auth } from "../middleware/auth.js";
+import { requireOperator } from "../middleware/roles.js";
+import { q, withTransaction } from "../db.js";
+import { BOOKING_STATUSES, transitionBookingStatus } from "../utils/bookingStatus.js";
+import { taxiDispatchEmailTemplate } from "../utils/email.js";
+import { enqueueJob, kickOutbox } from "../utils/outbox.js";
+import { enqueueCoTravellerEmails } from "../utils/sharing.js";
+import { appTimeZone, parseIsoDate, parseIsoTime, todayInZone } from "../utils/datetime.js";
+import { dispatchSummary, operatorServesBooking } from "../utils/taxiDispatch.js";
+import { bookingReference } from "../utils/voucher.js";
+import { getProviderById } from "../utils/providers.js";
+import { getServerBaseUrl } from "../utils/serverUrl.js";
+import { bookingEventData, enqueueWebhookEvent, loadEventBooking } from "../utils/webhooks.js";
+import { tripStartsAt } from "../utils/bookingLifecycle.js";
+
+// -------------------------
+// Validation (Zod)
+// -------------------------
+const acceptSchema = z.object({
+  eta: z
+    .string()
+    .trim()
+    .refine((v) => !!parseIsoTime(v), { message: "Expected HH:MM" })
+    .transform((v) => v.slice(0, 5)),
+  driverName: z.string().trim().min(2).max(80),
+  driverPhone: z.string().trim().max(30).optional().default(""),
+  vehicle: z.string().trim().min(2).max(80),
+  plate: z.string().trim().max(20).optional().default("")
+});
+
+const declineSchema = z.object({
+  reason: z.string().trim().max(500).optional().default("")
+});
+
+const OPERATOR_BOOKING_SELECT = `
+  SELECT b.id, b.user_id, b.type, b.details, b.status, b.status_updated_at, b.provider_id,
+         b.trip_id, b.fare_estimate, b.created_at, u.username AS traveller,
+         CASE WHEN d.booking_id IS NULL THEN NULL ELSE to_jsonb(d) END AS dispatch
+  FROM bookings b
+  JOIN users u ON u.id = b.user_id
+  LEFT JOIN taxi_dispatches d ON d.booking_id = b.id`;
+
+// What an operator gets to see: the ride, not the traveller's account
+function operatorView(booking) {
+  const { user_id, provider_id, trip_id, external_link, dispatch, ...rest } = booking;
+  return {
+    ...rest,
+    reference: bookingReference(booking.id),
+    dispatch: dispatchSummary(dispatch)
+  };
+}
+
+async function findOperatorBooking(bookingId, operator) {
+  const id = Number(bookingId);
+  if (!Number.isInteger(id) || id <= 0) return null;
+
+  const r = await q(`${OPERATOR_BOOKING_SELECT} WHERE b.id=$1`, [id]);
+  const booking = r.rows[0];
+
+  return booking && operatorServesBooking(operator, booking) ? booking : null;
+}
+
+/**
+ * Record the operator's answer: status change, dispatch row, traveller email
+ * (+ co-traveller copies) and, when declined, calendar removal — one transaction.
+ */
+async function respondToRequest(req, booking, dispatch) {
+  const declined = dispatch.decision === "declined";
+
+  const u = await q("SELECT email, username FROM users WHERE id=$1", [booking.user_id]);
+  const owner = u.rows[0];
+  const provider = await getProviderById(booking.provider_id);
+
+  return withTransaction(async (db) => {
+    const result = await transitionBookingStatus(
+      {
+        bookingId: booking.id,
+        to: declined ? "declined" : "confirmed",
+        changedBy: req.user.userId,
+        reason: declined ? dispatch.reason || null : null
+      },
+      db
+    );
+
+    if (!result.ok) return result;
+
+    const saved = await db.query(
+      `INSERT INTO taxi_dispatches(booking_id, operator_id, decision, eta, driver_name,
+                                   driver_phone, vehicle, plate, reason)
+       VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       RETURNING *`,
+      [
+        booking.id,
+        req.operator.id,
+        dispatch.decision,
+        dispatch.eta || null,
+        dispatch.driverName || null,
+        dispatch.driverPhone || null,
+        dispatch.vehicle || null,
+        dispatch.plate || null,
+        dispatch.reason || null
+      ]
+    );
+    const row = saved.rows[0];
+
+    if (declined) {
+      await enqueueJob(
+        {
+          kind: "booking.calendar.remove",
+          purpose: "calendar_remove",
+          bookingId: booking.id,
+          userId: booking.user_id,
+          payload: { bookingId: booking.id }
+        },
+        db
+      );
+    }
+
+    const email = {
+      purpose: declined ? "taxi_declined" : "taxi_accepted",
+      subject: declined ? "Taxi request declined" : "Taxi confirmed",
+      render: ({ username, sharedBy }) =>
+        taxiDispatchEmailTemplate({
+          username,
+          sharedBy,
+          details: booking.details,
+          dispatch: row,
+          providerName: req.operator.provider_name
+        })
+    };
+
+    const emailJob = await enqueueJob(
+      {
+        kind: "email.send",
+        purpose: email.purpose,
+        bookingId: booking.id,
+        userId: booking.user_id,
+        payload: {
+          to: owner.email,
+          subject: email.subject,
+          html: email.render({ username: owner.username })
+        }
+      },
+      db
+    );
+
+    const emailCopies = await enqueueCoTravellerEmails(db, { booking, owner, email });
+
+    await enqueueWebhookEvent(db, {
+      event: declined ? "booking.declined" : "booking.confirmed",
+      bookingId: booking.id,
+      data: bookingEventData({
+        booking: await loadEventBooking(db, booking.id),
+        provider,
+        baseUrl: getServerBaseUrl(req),
+        dispatch: dispatchSummary(row)
+      })
+    });
+
+    return {
+      ...result,
+      dispatch: row,
+      email: { status: "pending", jobId: Number(emailJob.id) },
+      emailCopies
+    };
+  });
+}
+
+// Route handler for accept / decline
+function respondHandler(decision, schema) {
+  const action = decision === "accepted" ? "accept" : "decline";
+
+  return async (req, res) => {
+    try {
+      const booking = await findOperatorBooking(req.params.id, req.operator);
+      if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+      const data = schema.parse(req.body || {});
+
+      const result = await respondToRequest(req, booking, { decision, ...data });
+      if (!result.ok) {
+        return res.status(409).json({
+          error: `Booking cannot be ${decision} (status: ${result.from || booking.status})`
+        });
+      }
+
+      kickOutbox();
+
+      return res.json({
+        ok: true,
+        booking: operatorView({ ...booking, ...result.booking, dispatch: result.dispatch }),
+        email: result.email,
+        emailCopies: result.emailCopies
+      });
+    } catch (err) {
+      if (err?.issues) {
+        return res.status(400).json({ error: "Validation failed", issues: err.issues });
+      }
+      console.error(`Operator ${action} failed:`, err?.message || err);
+      return res.status(500).json({ error: `Failed to ${action} booking` });
+    }
+  };
+}
+
+const CLOSE_EVENTS = { completed: "booking.completed", no_show: "booking.no_show" };
+
+// Route handler for complete / no-show (confirmed rides, from the first pickup time on)
+function closeHandler(to) {
+  return async (req, res) => {
+    try {
+      const booking = await findOperatorBooking(req.params.id, req.operator);
+      if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+      const { reason } = declineSchema.parse(req.body || {});
+
+      const startsAt = tripStartsAt(booking);
+      if (!startsAt || startsAt.getTime() > Date.now()) {
+        return res.status(409).json({ error: "The pickup time has not come yet" });
+      }
+
+      const provider = await getProviderById(booking.provider_id);
+
+      const result = await withTransaction(async (db) => {
+        const result = await transitionBookingStatus(
+          { bookingId: booking.id, to, changedBy: req.user.userId, reason: reason || null },
+          db
+        );
+        if (!result.ok) return result;
+
+        await enqueueWebhookEvent(db, {
+          event: CLOSE_EVENTS[to],
+          bookingId: booking.id,
+          data: bookingEventData({
+            booking: await loadEventBooking(db, booking.id),
+            provider,
+            baseUrl: getServerBaseUrl(req),
+            reason: reason || null
+          })
+        });
+
+        return result;
+      });
+
+      if (!result.ok) {
+        return res.status(409).json({
+          error: `Booking cannot be set to ${to} (status: ${result.from || booking.status})`
+        });
+      }
+
+      kickOutbox();
+
+      return res.json({ ok: true, booking: operatorView({ ...booking, ...result.booking }) });
+    } catch (err) {
+      if (err?.issues) {
+        return res.status(400).json({ error: "Validation failed", issues: err.issues });
+      }
+      console.error(`Operator ${to} failed:`, err?.message || err);
+      return res.status(500).json({ error: "Failed to update booking" });
+    }
+  };
+}
+
+/**
+ * Taxi operator portal: incoming requests of the operator's provider / areas,
+ * accepted (driver, vehicle, ETA) or declined. Operator accounts only.
+ */
+export function makeOperatorRouter() {
+  const router = express.Router();
+
+  router.use(auth, requireOperator);
+
+  // GET /api/operator/me
+  router.get("/me", (req, res) => {
+    const o = req.operator;
+    return res.json({
+      ok: true,
+      operator: {
+        id: o.id,
+        provider: { id: o.provider_id, slug: o.provider_slug, name: o.provider_name },
+        serviceAreas: o.service_areas
+      }
+    });
+  });
+
+  // GET /api/operator/bookings?status=requested (default) | confirmed,declined | all
+  //                           &from=YYYY-MM-DD (default today; rides on/after that day)
+  router.get("/bookings", async (req, res) => {
+    try {
+      const statusParam = String(req.query.status || "requested").toLowerCase();
+      const statuses =
+        statusParam === "all"
+          ? BOOKING_STATUSES
+          : statusParam
+              .split(",")
+              .map((s) => s.trim())
+              .filter(Boolean);
+
+      const unknown = statuses.filter((s) => !BOOKING_STATUSES.includes(s));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown status: ${unknown.join(", ")}` });
+      }
+
+      const from = req.query.from ? String(req.query.from) : todayInZone(appTimeZone());
+      if (!parseIsoDate(from)) return res.status(400).json({ error: "from must be YYYY-MM-DD" });
+
+      const r = await q(
+        `${OPERATOR_BOOKING_SELECT}
+         WHERE b.type = 'taxi'
+           AND b.provider_id = $1
+           AND b.status = ANY($2)
+           AND GREATEST(b.details->>'pickupDate', COALESCE(b.details->>'returnDate', '')) >= $3
+         ORDER BY b.details->>'pickupDate' ASC, b.details->>'pickupTime' ASC, b.id ASC`,
+        [req.operator.provider_id, statuses, from]
+      );
+
+      const bookings = r.rows
+        .filter((b) => operatorServesBooking(req.operator, b))
+        .map(operatorView);
+
+      return res.json({ ok: true, bookings });
+    } catch (e) {
+      console.error("Operator bookings failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load bookings" });
+    }
+  });
+
+  // GET /api/operator/bookings/:id
+  router.get("/bookings/:id", async (req, res) => {
+    try {
+      const booking = await findOperatorBooking(req.params.id, req.operator);
+      if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+      return res.json({ ok: true, booking: operatorView(booking) });
+    } catch (e) {
+      console.error("Operator booking failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load booking" });
+    }
+  });
+
+  // POST /api/operator/bookings/:id/accept  { eta: "HH:MM", driverName, driverPhone?, vehicle, plate? }
+  router.post("/bookings/:id/accept", respondHandler("accepted", acceptSchema));
+
+  // POST /api/operator/bookings/:id/decline  { reason? }
+  router.post("/bookings/:id/decline", respondHandler("declined", declineSchema));
+
+  // POST /api/operator/bookings/:id/complete  { reason? }  (ride done)
+  router.post("/bookings/:id/complete", closeHandler("completed"));
+
+  // POST /api/operator/bookings/:id/no-show  { reason? }  (traveller never showed up)
+  router.post("/bookings/:id/no-show", closeHandler("no_show"));
+
+  return router;
+}
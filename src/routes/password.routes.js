@@ -1,29 +1,75 @@
 import express from "express";
 import bcrypt from "bcryptjs";
 import { auth } from "../middleware/auth.js";
+import { accountLocked, rateLimit } from "../middleware/rateLimit.js";
 import { q } from "../db.js";
+import {
+  clearLoginFailures,
+  lockoutRetryAfter,
+  recordLoginFailure
+} from "../utils/loginLockout.js";
+import { MIN_PASSWORD_LENGTH } from "../utils/passwordReset.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+
+// The current-password check can be used to guess passwords: limited like login, and
+// wrong answers count towards the account lockout
+const WINDOW_15_MIN = 15 * 60;
+
+const changePasswordLimits = [
+  rateLimit({ scope: "change-password", by: "ip", limit: 30, windowSeconds: WINDOW_15_MIN }),
+  rateLimit({ scope: "change-password", by: "user", limit: 10, windowSeconds: WINDOW_15_MIN })
+];
 
 export function makePasswordRouter() {
   const router = express.Router();
 
-  // User must be logged in to set a new password
-  router.post("/change-password", auth, async (req, res) => {
-    const userId = req.user.userId;
-    const { newPassword } = req.body || {};
+  // Logged-in user, current password confirmed; every other session is signed out
+  router.post("/change-password", auth, ...changePasswordLimits, async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { currentPassword, newPassword } = req.body || {};
 
-    if (!newPassword) return res.status(400).json({ error: "New password is required" });
-    if (String(newPassword).length < 6) {
-      return res.status(400).json({ error: "Password must be at least 6 characters" });
-    }
+      if (!currentPassword) return res.status(400).json({ error: "Current password is required" });
+      if (!newPassword) return res.status(400).json({ error: "New password is required" });
+      if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+        return res
+          .status(400)
+          .json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+
+      const found = await q(
+        "SELECT id, email, username, password_hash, locked_until FROM users WHERE id=$1",
+        [userId]
+      );
+      const user = found.rows[0];
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const lockedFor = lockoutRetryAfter(user);
+      if (lockedFor > 0) return accountLocked(res, lockedFor);
 
-    const hash = await bcrypt.hash(newPassword, 10);
+      const ok = await bcrypt.compare(String(currentPassword), user.password_hash || "");
+      if (!ok) {
+        const failure = await recordLoginFailure(user, req);
+        if (failure.locked) return accountLocked(res, failure.retryAfter);
+        return res.status(400).json({ error: "Current password is incorrect" });
+      }
 
-    await q(
-      "UPDATE users SET password_hash=$1, must_change_password=FALSE WHERE id=$2",
-      [hash, userId]
-    );
+      await clearLoginFailures(user.id);
 
-    return res.json({ ok: true });
+      const hash = await bcrypt.hash(String(newPassword), 10);
+
+      await q("UPDATE users SET password_hash=$1 WHERE id=$2", [hash, userId]);
+
+      const signedOut = await revokeAllSessions(userId, {
+        reason: "password_change",
+        exceptSessionId: req.user.sid
+      });
+
+      return res.json({ ok: true, signedOut });
+    } catch (e) {
+      console.error("Change password failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to change password" });
+    }
   });
 
   return router;
@@ -0,0 +1,30 @@
+import express from "express";
+import { autocompletePlaces } from "../utils/places.js";
+
+const KINDS = ["airport", "town", "beach", "hotel"];
+
+export function makePlacesRouter() {
+  const router = express.Router();
+
+  // GET /api/places/autocomplete?q=gran bay&kind=town,beach&limit=8
+  router.get("/autocomplete", (req, res) => {
+    const text = String(req.query.q || "").trim();
+    const limit = Math.min(Number(req.query.limit) || 8, 20);
+
+    const kinds = req.query.kind
+      ? String(req.query.kind)
+          .split(",")
+          .map((k) => k.trim().toLowerCase())
+          .filter((k) => KINDS.includes(k))
+      : null;
+
+    if (text.length < 2) return res.json({ ok: true, places: [] });
+
+    return res.json({
+      ok: true,
+      places: autocompletePlaces(text, { limit, kinds: kinds?.length ? kinds : null })
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,87 @@
+import express from "express";
+import { z } from "zod";
+import { auth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
+import {
+  getProviderById,
+  listProviders,
+  providerSummary,
+  selectProvider,
+  updateProvider
+} from "../utils/providers.js";
+
+// Slug, type and adapter are fixed: bookings and code refer to them
+const providerPatchSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  config: z.record(z.unknown()).optional(),
+  contactChannel: z.enum(["whatsapp", "phone", "email", "web"]).nullable().optional(),
+  contactValue: z.string().trim().max(200).nullable().optional(),
+  serviceAreas: z.array(z.string().trim().min(1).max(100)).max(100).optional(),
+  priority: z.number().int().min(0).max(10000).optional(),
+  active: z.boolean().optional()
+});
+
+/**
+ * Public list of active booking partners, so the client can show who
+ * handles a booking (or let the user pick one with `provider: <slug>`).
+ * The catalog routes (every provider, edits) need catalog.manage.
+ */
+export function makeProviderRouter() {
+  const router = express.Router();
+
+  // GET /api/providers?type=taxi
+  // GET /api/providers?type=taxi&area=Grand Baie  -> { providers, suggested }
+  router.get("/", async (req, res) => {
+    try {
+      const type = ["hotel", "taxi", "activity"].includes(req.query.type) ? req.query.type : null;
+      const providers = await listProviders({ type });
+
+      const suggested =
+        type && req.query.area
+          ? await selectProvider({ type, area: String(req.query.area) })
+          : null;
+
+      return res.json({
+        providers: providers.map(providerSummary),
+        suggested: providerSummary(suggested)
+      });
+    } catch (e) {
+      console.error("List providers failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load providers" });
+    }
+  });
+
+  // GET /api/providers/catalog  (inactive ones too, with adapter / config / priority)
+  router.get("/catalog", auth, requirePermission("catalog.manage"), async (req, res) => {
+    try {
+      const providers = await listProviders({ activeOnly: false });
+      return res.json({ providers });
+    } catch (e) {
+      console.error("List provider catalog failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load providers" });
+    }
+  });
+
+  // PATCH /api/providers/:id  { name, config, contactChannel, contactValue, serviceAreas,
+  //                             priority, active }
+  router.patch("/:id", auth, requirePermission("catalog.manage"), async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const provider = Number.isInteger(id) && id > 0 ? await getProviderById(id) : null;
+      if (!provider) return res.status(404).json({ error: "Provider not found" });
+
+      const data = providerPatchSchema.parse(req.body || {});
+      const updated = await updateProvider(provider, data);
+
+      return res.json({ ok: true, provider: updated });
+    } catch (err) {
+      if (err?.issues) {
+        return res.status(400).json({ error: "Validation failed", issues: err.issues });
+      }
+      console.error("Update provider failed:", err?.message || err);
+      return res.status(500).json({ error: "Failed to update provider" });
+    }
+  });
+
+  return router;
+}
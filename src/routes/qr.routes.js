@@ -0,0 +1,256 @@
+import express from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+import { q } from "../db.js";
+import { BRAND, displayValue, escapeHtml, hasValue, keyLabel } from "../utils/email.js";
+import { qrStorage } from "../utils/qrStorage.js";
+import {
+  bookingVerificationUrl,
+  generateQrPng,
+  qrFilename,
+  renderQrPng,
+  renderQrSvg
+} from "../utils/qr.js";
+import { bookingQrTargetLink, getProviderById } from "../utils/providers.js";
+import { verifyBookingLink } from "../utils/signing.js";
+import { bookingReference } from "../utils/voucher.js";
+import { getServerBaseUrl } from "../utils/serverUrl.js";
+
+async function loadBooking(bookingId) {
+  const id = Number(bookingId);
+  if (!Number.isInteger(id) || id <= 0) return null;
+
+  const r = await q(
+    `SELECT b.id, b.type, b.details, b.external_link, b.status, b.status_updated_at,
+            b.provider_id, b.fare_estimate, b.created_at, u.username
+     FROM bookings b
+     JOIN users u ON u.id = b.user_id
+     WHERE b.id=$1`,
+    [id]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Booking QR as PNG: stored image when there is one, else rendered from the
+ * booking and stored for next time (e.g. files lost on a serverless redeploy).
+ */
+async function bookingQrPng(booking) {
+  const stored = await qrStorage().get(qrFilename(booking.id));
+  if (stored) return stored.body;
+
+  const url = await bookingQrTargetLink(booking);
+  if (!url) return null;
+
+  await generateQrPng({ bookingId: booking.id, url });
+  return (await qrStorage().get(qrFilename(booking.id)))?.body || null;
+}
+
+// -------------------------
+// Verification page (what a hotel / driver sees after scanning a voucher)
+// -------------------------
+const VERIFY_FIELDS = {
+  hotel: ["hotelNameOrArea", "checkIn", "checkOut", "rooms", "adults", "children"],
+  taxi: [
+    "pickupLocation",
+    "stops",
+    "dropoffLocation",
+    "pickupDate",
+    "pickupTime",
+    "flightNumber",
+    "returnDate",
+    "returnTime",
+    "passengers",
+    "luggage"
+  ],
+  activity: ["activityName", "activityArea", "date", "timeSlot", "participants", "pickupFromHotel"]
+};
+
+// "Aurélie Dupont" -> "Aurélie D." (enough to match the guest, no full name leak)
+function guestName(username) {
+  const parts = String(username || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length <= 1) return parts[0] || "Guest";
+  return `${parts[0]} ${parts[parts.length - 1][0]}.`;
+}
+
+function verifyPage({ title, tone, headline, message, rows = [] }) {
+  const colors = {
+    ok: { bg: "#ecfdf5", border: "#a7f3d0", text: "#065f46" },
+    warn: { bg: "#fffbeb", border: "#fde68a", text: "#92400e" },
+    bad: { bg: "#fef2f2", border: "#fecaca", text: "#991b1b" }
+  }[tone];
+
+  const rowsHtml = rows
+    .map(
+      ([k, v]) => `
+        <tr>
+          <td style="padding:10px 12px;border:1px solid #e5e7eb;background:#f9fafb;font-weight:700;width:40%;">${escapeHtml(k)}</td>
+          <td style="padding:10px 12px;border:1px solid #e5e7eb;">${escapeHtml(v)}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;background:#f3f4f6;font-family:Arial,sans-serif;color:#111827;">
+  <div style="max-width:560px;margin:0 auto;padding:24px 12px;">
+    <div style="background:#fff;border:1px solid #e5e7eb;border-radius:18px;overflow:hidden;">
+      <div style="padding:18px 20px;background:linear-gradient(135deg, ${BRAND.accent}, ${BRAND.accent2});color:#fff;">
+        <div style="font-size:18px;font-weight:700;">${BRAND.name}</div>
+        <div style="font-size:13px;opacity:0.92;margin-top:3px;">Booking verification</div>
+      </div>
+      <div style="padding:20px;">
+        <div style="padding:14px;border-radius:14px;background:${colors.bg};border:1px solid ${colors.border};color:${colors.text};">
+          <div style="font-size:18px;font-weight:700;">${escapeHtml(headline)}</div>
+          <div style="margin-top:4px;font-size:14px;">${escapeHtml(message)}</div>
+        </div>
+        ${rowsHtml ? `<table style="border-collapse:collapse;width:100%;font-size:14px;margin-top:16px;"><tbody>${rowsHtml}</tbody></table>` : ""}
+        <p style="margin:16px 0 0 0;font-size:12px;color:#6b7280;">Checked ${escapeHtml(new Date().toISOString().replace("T", " ").slice(0, 16))} UTC. This page is read-only.</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+export function makeQrRouter() {
+  const router = express.Router();
+
+  // GET /api/qr/verify/:bookingId?sig=...
+  router.get("/verify/:bookingId", async (req, res) => {
+    res.set("Cache-Control", "no-store");
+
+    try {
+      const { bookingId } = req.params;
+
+      if (!verifyBookingLink("verify", bookingId, req.query.sig)) {
+        return res.status(404).send(
+          verifyPage({
+            title: "Booking not verified",
+            tone: "bad",
+            headline: "Not a valid Travel Buddy booking",
+            message: "This link is invalid or has been altered. Do not accept it as proof of booking."
+          })
+        );
+      }
+
+      const booking = await loadBooking(bookingId);
+      if (!booking) {
+        return res.status(404).send(
+          verifyPage({
+            title: "Booking not found",
+            tone: "bad",
+            headline: "Booking not found",
+            message: "This booking no longer exists."
+          })
+        );
+      }
+
+      const provider = booking.provider_id ? await getProviderById(booking.provider_id) : null;
+      const d = booking.details || {};
+
+      const rows = [
+        ["Reference", bookingReference(booking.id)],
+        ["Status", booking.status.replace(/_/g, " ")],
+        ["Guest", guestName(booking.username)],
+        ...(VERIFY_FIELDS[booking.type] || [])
+          .filter((k) => hasValue(d[k]))
+          .map((k) => [keyLabel(k), displayValue(d[k])]),
+        ...(provider ? [["Provider", provider.name]] : [])
+      ];
+
+      const byStatus = {
+        confirmed: ["ok", "Genuine booking — confirmed", "This booking is valid and confirmed."],
+        requested: ["warn", "Genuine booking — awaiting confirmation", "The booking exists but has not been confirmed by the partner yet."],
+        completed: ["warn", "Genuine booking — already completed", "This booking has already been used."],
+        declined: ["bad", "Booking declined", "The partner declined this booking; it is not valid."],
+        cancelled: ["bad", "Booking cancelled", "This booking was cancelled and is no longer valid."],
+        no_show: ["bad", "Booking closed (no-show)", "This booking is no longer valid."]
+      };
+      const [tone, headline, message] = byStatus[booking.status] || byStatus.requested;
+
+      return res.send(
+        verifyPage({ title: `${bookingReference(booking.id)} — verification`, tone, headline, message, rows })
+      );
+    } catch (e) {
+      console.error("Booking verification failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to verify booking" });
+    }
+  });
+
+  // GET /api/qr/:bookingId.png|svg?sig=...[&target=verify]
+  // target=verify encodes the signed verification page instead of the route / booking link
+  router.get("/:bookingId.:format", async (req, res) => {
+    try {
+      const { bookingId, format } = req.params;
+
+      if (format !== "png" && format !== "svg") {
+        return res.status(404).json({ error: "Not found" });
+      }
+      if (!verifyBookingLink("qr", bookingId, req.query.sig)) {
+        return res.status(404).json({ error: "Not found" });
+      }
+
+      const booking = await loadBooking(bookingId);
+      if (!booking) return res.status(404).json({ error: "Not found" });
+
+      const target =
+        req.query.target === "verify"
+          ? bookingVerificationUrl(getServerBaseUrl(req), booking.id)
+          : null;
+
+      res.set("Cache-Control", "public, max-age=300");
+
+      if (format === "svg") {
+        const url = target || (await bookingQrTargetLink(booking));
+        if (!url) return res.status(404).json({ error: "Not found" });
+        res.type("image/svg+xml");
+        return res.send(await renderQrSvg(url));
+      }
+
+      if (target) {
+        res.type("image/png");
+        return res.send(await renderQrPng(target));
+      }
+
+      const png = await bookingQrPng(booking);
+      if (!png) return res.status(404).json({ error: "Not found" });
+
+      res.type("image/png");
+      return res.send(png);
+    } catch (e) {
+      console.error("QR image failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load QR code" });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Old emails link to /uploads/qr/booking-<id>.png without a signature. Only the
+ * files written there before signed links existed are served; nothing is rendered
+ * or read from QR storage here, so booking ids cannot be enumerated for new QRs.
+ */
+export function makeLegacyQrRouter() {
+  const router = express.Router();
+  const __dirname = path.dirname(fileURLToPath(import.meta.url));
+  const legacyDir = path.join(__dirname, "..", "..", "uploads", "qr");
+
+  router.get("/booking-:bookingId.png", (req, res) => {
+    const id = Number(req.params.bookingId);
+    if (!Number.isInteger(id) || id <= 0) return res.status(404).json({ error: "Not found" });
+
+    res.sendFile(qrFilename(id), { root: legacyDir }, (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: "Not found" });
+    });
+  });
+
+  return router;
+}
@@ -1,6 +1,7 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
 import { q } from "../db.js";
+import { placeArea, resolvePlace } from "../utils/places.js";
 
 function clean(s) {
   return String(s || "").trim().toLowerCase();
@@ -67,7 +68,13 @@ export function makeRecommendationsRouter() {
       const params = [type];
       let sql = "SELECT id, type, name, area, description, tags, price_range, external_url FROM catalog_items WHERE type=$1";
 
-      if (area) {
+      // "Grand Bay", "gran bay" or a hotel there all mean the catalog's "Grand Baie"
+      const areaPlace = area ? placeArea(resolvePlace(area)?.place) : null;
+
+      if (areaPlace) {
+        params.push([areaPlace.name, ...areaPlace.aliases].map((n) => `%${n}%`));
+        sql += ` AND area ILIKE ANY($${params.length})`;
+      } else if (area) {
         params.push(area);
         sql += ` AND area ILIKE $${params.length}`;
       }
@@ -110,6 +117,7 @@ export function makeRecommendationsRouter() {
         algo,
         type,
         area: area || null,
+        areaPlaceId: areaPlace?.id || null,
         items: top
       });
     } catch (e) {
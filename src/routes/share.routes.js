@@ -0,0 +1,66 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { acceptInvite, describeInvite, leaveShare, receivedShares } from "../utils/sharing.js";
+
+/**
+ * Co-traveller side of sharing (owners invite from /api/bookings/:id/shares
+ * and /api/trips/:id/shares). New accounts can also accept at signup
+ * with { inviteToken }.
+ */
+export function makeShareRouter() {
+  const router = express.Router();
+
+  // GET /api/shares  (accepted shares + pending invites for the user's email)
+  router.get("/", auth, async (req, res) => {
+    try {
+      return res.json({ ok: true, shares: await receivedShares(req.user.userId) });
+    } catch (e) {
+      console.error("List received shares failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load shares" });
+    }
+  });
+
+  // GET /api/shares/invites/:token  (public: what the invite link is about, login or signup)
+  router.get("/invites/:token", async (req, res) => {
+    try {
+      const invite = await describeInvite(req.params.token);
+      if (!invite) return res.status(404).json({ error: "Invitation not found" });
+
+      return res.json({ ok: true, invite });
+    } catch (e) {
+      console.error("Describe invite failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load invitation" });
+    }
+  });
+
+  // POST /api/shares/accept  { token }
+  router.post("/accept", auth, async (req, res) => {
+    try {
+      const token = String(req.body?.token || "").trim();
+      if (!token) return res.status(400).json({ error: "token is required" });
+
+      const result = await acceptInvite(token, req.user.userId);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      return res.json({ ok: true, share: result.share });
+    } catch (e) {
+      console.error("Accept invite failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to accept invitation" });
+    }
+  });
+
+  // DELETE /api/shares/:id  (co-traveller leaves a shared booking / trip)
+  router.delete("/:id", auth, async (req, res) => {
+    try {
+      const share = await leaveShare(req.params.id, req.user.userId);
+      if (!share) return res.status(404).json({ error: "Share not found" });
+
+      return res.json({ ok: true, share });
+    } catch (e) {
+      console.error("Leave share failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to leave share" });
+    }
+  });
+
+  return router;
+}
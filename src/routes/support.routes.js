@@ -1,14 +1,17 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
-import { q } from "../db.js";
-// optional: email notify
-import { sendEmail } from "../utils/email.js";
+import { requirePermission } from "../middleware/roles.js";
+import { idempotency } from "../middleware/idempotency.js";
+import { q, withTransaction } from "../db.js";
+import { escapeHtml } from "../utils/email.js";
+// optional: email notify (through the outbox, so it is retried)
+import { enqueueJob, kickOutbox } from "../utils/outbox.js";
 
 export function makeSupportRouter() {
   const router = express.Router();
 
-  // POST /api/support/tickets  { message }
-  router.post("/tickets", auth, async (req, res) => {
+  // POST /api/support/tickets  { message }  (optional Idempotency-Key header)
+  router.post("/tickets", auth, idempotency({ scope: "support.tickets.create" }), async (req, res) => {
     try {
       const userId = req.user.userId;
       const message = String(req.body?.message || "").trim();
@@ -17,29 +20,70 @@ export function makeSupportRouter() {
         return res.status(400).json({ error: "Message is required" });
       }
 
-      const inserted = await q(
-        `INSERT INTO support_tickets(user_id, message, status)
-         VALUES($1,$2,'open')
-         RETURNING id, created_at`,
-        [userId, message]
-      );
-
-      // Optional notify to your email (set SUPPORT_EMAIL in env)
+      // Ticket and notification commit together; the worker picks the email up after
       const supportEmail = process.env.SUPPORT_EMAIL;
-      if (supportEmail) {
-        sendEmail({
-          to: supportEmail,
-          subject: "Travel Buddy — New Support Ticket",
-          html: `<p><b>User ID:</b> ${userId}</p><p><b>Message:</b><br/>${message}</p>`
-        }).catch(() => {});
-      }
+      const ticket = await withTransaction(async (db) => {
+        const inserted = await db.query(
+          `INSERT INTO support_tickets(user_id, message, status)
+           VALUES($1,$2,'open')
+           RETURNING id, created_at`,
+          [userId, message]
+        );
+
+        // Optional notify to your email (set SUPPORT_EMAIL in env)
+        if (supportEmail) {
+          await enqueueJob(
+            {
+              kind: "email.send",
+              purpose: "support_ticket",
+              userId,
+              payload: {
+                to: supportEmail,
+                subject: "Travel Buddy — New Support Ticket",
+                html:
+                  `<p><b>Ticket:</b> #${inserted.rows[0].id}</p>` +
+                  `<p><b>User ID:</b> ${userId}</p>` +
+                  `<p><b>Message:</b><br/>${escapeHtml(message).replace(/\n/g, "<br/>")}</p>`
+              }
+            },
+            db
+          );
+        }
 
-      return res.json({ ok: true, ticket: inserted.rows[0] });
+        return inserted.rows[0];
+      });
+
+      if (supportEmail) kickOutbox();
+
+      return res.json({ ok: true, ticket });
     } catch (e) {
       console.error("Support ticket error:", e?.message || e);
       return res.status(500).json({ error: "Failed to create ticket" });
     }
   });
 
+  // GET /api/support/tickets?status=open  (support console, newest first)
+  router.get("/tickets", auth, requirePermission("support.manage"), async (req, res) => {
+    try {
+      const status = req.query.status ? String(req.query.status).trim().toLowerCase() : null;
+      const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+      const r = await q(
+        `SELECT t.id, t.user_id, u.email, t.message, t.status, t.created_at
+         FROM support_tickets t
+         LEFT JOIN users u ON u.id = t.user_id
+         WHERE ($1::text IS NULL OR t.status = $1)
+         ORDER BY t.id DESC
+         LIMIT $2`,
+        [status, limit]
+      );
+
+      return res.json({ tickets: r.rows });
+    } catch (e) {
+      console.error("List support tickets failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load tickets" });
+    }
+  });
+
   return router;
 }
\ No newline at end of file
@@ -0,0 +1,401 @@
+import express from "express";
+import { z } from "zod";
+import { auth } from "../middleware/auth.js";
+import { q } from "../db.js";
+import { itineraryEmailTemplate } from "../utils/email.js";
+import { enqueueJob, kickOutbox } from "../utils/outbox.js";
+import { buildItinerary, findItineraryGaps } from "../utils/itinerary.js";
+import {
+  canAccess,
+  inviteToShare,
+  listShares,
+  revokeShare,
+  shareInviteSchema,
+  sharedTripRoleSql,
+  tripShareTarget
+} from "../utils/sharing.js";
+
+// -------------------------
+// Validation (Zod)
+// -------------------------
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD");
+
+const travellerSchema = z.object({
+  name: z.string().trim().min(1),
+  email: z.string().trim().email().optional()
+});
+
+const tripSchema = z
+  .object({
+    name: z.string().trim().min(2).max(120),
+    startDate: isoDate.nullable().optional(),
+    endDate: isoDate.nullable().optional(),
+    travellers: z.array(travellerSchema).max(20).optional().default([]),
+    bookingIds: z.array(z.coerce.number().int().positive()).optional().default([])
+  })
+  .refine((t) => !t.startDate || !t.endDate || t.endDate >= t.startDate, {
+    message: "endDate must be on or after startDate",
+    path: ["endDate"]
+  });
+
+const tripPatchSchema = z.object({
+  name: z.string().trim().min(2).max(120).optional(),
+  startDate: isoDate.nullable().optional(),
+  endDate: isoDate.nullable().optional(),
+  travellers: z.array(travellerSchema).max(20).optional()
+});
+
+// DATE columns as plain strings (pg would turn them into local-midnight Date objects)
+const TRIP_COLUMNS = `id, user_id, name,
+  to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date,
+  travellers, created_at, updated_at`;
+
+// owner | editor | viewer (NULL: no access) for the user in `userParam`
+function tripAccessSql(userParam) {
+  return `CASE WHEN trips.user_id=${userParam} THEN 'owner'
+               ELSE ${sharedTripRoleSql("trips", userParam)} END`;
+}
+
+/**
+ * The trip if the user owns it or it is shared with them; trip.access is
+ * owner | editor | viewer.
+ */
+async function findTripForUser(tripId, userId) {
+  const id = Number(tripId);
+  if (!Number.isInteger(id) || id <= 0) return null;
+
+  const r = await q(
+    `SELECT * FROM (
+       SELECT ${TRIP_COLUMNS}, ${tripAccessSql("$2")} AS access FROM trips WHERE id=$1
+     ) x
+     WHERE access IS NOT NULL`,
+    [id, userId]
+  );
+  return r.rows[0] || null;
+}
+
+// Found but the role is too low
+function forbidden(res, trip) {
+  const error =
+    trip.access === "viewer"
+      ? "You have view-only access to this trip"
+      : "Only the trip owner can do this";
+  return res.status(403).json({ error });
+}
+
+async function tripBookings(tripId) {
+  const r = await q(
+    `SELECT id, type, details, external_link, status, created_at
+     FROM bookings
+     WHERE trip_id=$1
+     ORDER BY created_at ASC`,
+    [tripId]
+  );
+  return r.rows;
+}
+
+async function tripWithItinerary(trip) {
+  const bookings = await tripBookings(trip.id);
+
+  return {
+    ...trip,
+    bookings,
+    itinerary: buildItinerary(bookings),
+    gaps: findItineraryGaps(trip, bookings)
+  };
+}
+
+/**
+ * Attach the user's own bookings to a trip. Returns the ids actually attached.
+ */
+async function attachBookings(tripId, userId, bookingIds) {
+  if (!bookingIds.length) return [];
+
+  const r = await q(
+    `UPDATE bookings SET trip_id=$1
+     WHERE user_id=$2 AND id = ANY($3)
+     RETURNING id`,
+    [tripId, userId, bookingIds]
+  );
+  return r.rows.map((x) => x.id);
+}
+
+export function makeTripRouter() {
+  const router = express.Router();
+
+  // GET /api/trips  (own trips and the ones shared with the user)
+  router.get("/", auth, async (req, res) => {
+    try {
+      const userId = req.user.userId;
+
+      const r = await q(
+        `SELECT * FROM (
+           SELECT ${TRIP_COLUMNS}, ${tripAccessSql("$1")} AS access,
+                  (SELECT COUNT(*)::int FROM bookings b WHERE b.trip_id = trips.id) AS booking_count
+           FROM trips
+         ) x
+         WHERE access IS NOT NULL
+         ORDER BY start_date ASC NULLS LAST, created_at DESC`,
+        [userId]
+      );
+
+      return res.json({ ok: true, trips: r.rows });
+    } catch (e) {
+      console.error("List trips failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load trips" });
+    }
+  });
+
+  // POST /api/trips  { name, startDate?, endDate?, travellers?, bookingIds? }
+  router.post("/", auth, async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const data = tripSchema.parse(req.body || {});
+
+      const created = await q(
+        `INSERT INTO trips(user_id, name, start_date, end_date, travellers)
+         VALUES($1,$2,$3,$4,$5)
+         RETURNING ${TRIP_COLUMNS}`,
+        [
+          userId,
+          data.name,
+          data.startDate || null,
+          data.endDate || null,
+          JSON.stringify(data.travellers)
+        ]
+      );
+
+      const trip = { ...created.rows[0], access: "owner" };
+      await attachBookings(trip.id, userId, data.bookingIds);
+
+      return res.json({ ok: true, trip: await tripWithItinerary(trip) });
+    } catch (err) {
+      if (err?.issues) {
+        return res.status(400).json({ error: "Validation failed", issues: err.issues });
+      }
+      console.error("Create trip failed:", err?.message || err);
+      return res.status(500).json({ error: "Failed to create trip" });
+    }
+  });
+
+  // GET /api/trips/:id  (trip + bookings + chronological itinerary + gaps)
+  router.get("/:id", auth, async (req, res) => {
+    try {
+      const trip = await findTripForUser(req.params.id, req.user.userId);
+      if (!trip) return res.status(404).json({ error: "Trip not found" });
+
+      return res.json({ ok: true, trip: await tripWithItinerary(trip) });
+    } catch (e) {
+      console.error("Get trip failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load trip" });
+    }
+  });
+
+  // PATCH /api/trips/:id  { name?, startDate?, endDate?, travellers? }
+  router.patch("/:id", auth, async (req, res) => {
+    try {
+      const userId = req.user.userId;
+
+      const trip = await findTripForUser(req.params.id, userId);
+      if (!trip) return res.status(404).json({ error: "Trip not found" });
+      if (!canAccess(trip.access, "editor")) return forbidden(res, trip);
+
+      const data = tripPatchSchema.parse(req.body || {});
+
+      const next = {
+        name: data.name ?? trip.name,
+        startDate: data.startDate !== undefined ? data.startDate : trip.start_date,
+        endDate: data.endDate !== undefined ? data.endDate : trip.end_date,
+        travellers: data.travellers ?? trip.travellers
+      };
+
+      if (next.startDate && next.endDate && next.endDate < next.startDate) {
+        return res.status(400).json({ error: "endDate must be on or after startDate" });
+      }
+
+      const updated = await q(
+        `UPDATE trips SET name=$1, start_date=$2, end_date=$3, travellers=$4
+         WHERE id=$5
+         RETURNING ${TRIP_COLUMNS}`,
+        [next.name, next.startDate, next.endDate, JSON.stringify(next.travellers), trip.id]
+      );
+
+      return res.json({
+        ok: true,
+        trip: await tripWithItinerary({ ...updated.rows[0], access: trip.access })
+      });
+    } catch (err) {
+      if (err?.issues) {
+        return res.status(400).json({ error: "Validation failed", issues: err.issues });
+      }
+      console.error("Update trip failed:", err?.message || err);
+      return res.status(500).json({ error: "Failed to update trip" });
+    }
+  });
+
+  // DELETE /api/trips/:id  (bookings are kept, just detached)
+  router.delete("/:id", auth, async (req, res) => {
+    try {
+      const trip = await findTripForUser(req.params.id, req.user.userId);
+      if (!trip) return res.status(404).json({ error: "Trip not found" });
+      if (!canAccess(trip.access, "owner")) return forbidden(res, trip);
+
+      await q("DELETE FROM trips WHERE id=$1", [trip.id]);
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("Delete trip failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to delete trip" });
+    }
+  });
+
+  // POST /api/trips/:id/bookings  { bookingId } or { bookingIds: [] }
+  router.post("/:id/bookings", auth, async (req, res) => {
+    try {
+      const userId = req.user.userId;
+
+      const trip = await findTripForUser(req.params.id, userId);
+      if (!trip) return res.status(404).json({ error: "Trip not found" });
+      if (!canAccess(trip.access, "owner")) return forbidden(res, trip);
+
+      const ids = (
+        Array.isArray(req.body?.bookingIds) ? req.body.bookingIds : [req.body?.bookingId]
+      )
+        .map(Number)
+        .filter((n) => Number.isInteger(n) && n > 0);
+
+      if (!ids.length) return res.status(400).json({ error: "bookingId is required" });
+
+      const attached = await attachBookings(trip.id, userId, ids);
+      if (!attached.length) return res.status(404).json({ error: "Booking not found" });
+
+      return res.json({ ok: true, attached, trip: await tripWithItinerary(trip) });
+    } catch (e) {
+      console.error("Attach booking failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to add booking to trip" });
+    }
+  });
+
+  // DELETE /api/trips/:id/bookings/:bookingId
+  router.delete("/:id/bookings/:bookingId", auth, async (req, res) => {
+    try {
+      const userId = req.user.userId;
+
+      const trip = await findTripForUser(req.params.id, userId);
+      if (!trip) return res.status(404).json({ error: "Trip not found" });
+      if (!canAccess(trip.access, "owner")) return forbidden(res, trip);
+
+      const r = await q(
+        "UPDATE bookings SET trip_id=NULL WHERE id=$1 AND trip_id=$2 AND user_id=$3 RETURNING id",
+        [Number(req.params.bookingId) || 0, trip.id, userId]
+      );
+      if (r.rows.length === 0) return res.status(404).json({ error: "Booking not in this trip" });
+
+      return res.json({ ok: true, trip: await tripWithItinerary(trip) });
+    } catch (e) {
+      console.error("Detach booking failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to remove booking from trip" });
+    }
+  });
+
+  // POST /api/trips/:id/email  (send the itinerary to the requesting traveller)
+  router.post("/:id/email", auth, async (req, res) => {
+    try {
+      const userId = req.user.userId;
+
+      const trip = await findTripForUser(req.params.id, userId);
+      if (!trip) return res.status(404).json({ error: "Trip not found" });
+
+      const full = await tripWithItinerary(trip);
+
+      const u = await q("SELECT email, username FROM users WHERE id=$1", [userId]);
+      const user = u.rows[0];
+
+      // Through the outbox, so a mail provider hiccup is retried
+      const job = await enqueueJob({
+        kind: "email.send",
+        purpose: "trip_itinerary",
+        userId,
+        payload: {
+          to: user.email,
+          subject: `Your itinerary — ${trip.name}`,
+          html: itineraryEmailTemplate({
+            username: user.username,
+            trip: full,
+            items: full.itinerary,
+            gaps: full.gaps
+          })
+        }
+      });
+
+      kickOutbox();
+
+      return res.json({ ok: true, email: { status: "pending", jobId: Number(job.id) } });
+    } catch (e) {
+      console.error("Itinerary email failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to queue itinerary email" });
+    }
+  });
+
+  // -------------------------
+  // Sharing with co-travellers (owner only; covers every booking of the trip)
+  // POST   /api/trips/:id/shares  { email, role: viewer | editor }
+  // GET    /api/trips/:id/shares
+  // DELETE /api/trips/:id/shares/:shareId
+  // -------------------------
+  router.post("/:id/shares", auth, async (req, res) => {
+    try {
+      const userId = req.user.userId;
+
+      const trip = await findTripForUser(req.params.id, userId);
+      if (!trip) return res.status(404).json({ error: "Trip not found" });
+      if (!canAccess(trip.access, "owner")) return forbidden(res, trip);
+
+      const data = shareInviteSchema.parse(req.body || {});
+
+      const u = await q("SELECT id, email, username FROM users WHERE id=$1", [userId]);
+
+      const result = await inviteToShare(tripShareTarget(trip), data, u.rows[0]);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+
+      return res.json({ ok: true, share: result.share, invitation: result.invitation });
+    } catch (err) {
+      if (err?.issues) {
+        return res.status(400).json({ error: "Validation failed", issues: err.issues });
+      }
+      console.error("Share trip failed:", err?.message || err);
+      return res.status(500).json({ error: "Failed to share trip" });
+    }
+  });
+
+  router.get("/:id/shares", auth, async (req, res) => {
+    try {
+      const trip = await findTripForUser(req.params.id, req.user.userId);
+      if (!trip) return res.status(404).json({ error: "Trip not found" });
+      if (!canAccess(trip.access, "owner")) return forbidden(res, trip);
+
+      return res.json({ ok: true, shares: await listShares(tripShareTarget(trip)) });
+    } catch (e) {
+      console.error("List trip shares failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load shares" });
+    }
+  });
+
+  router.delete("/:id/shares/:shareId", auth, async (req, res) => {
+    try {
+      const trip = await findTripForUser(req.params.id, req.user.userId);
+      if (!trip) return res.status(404).json({ error: "Trip not found" });
+      if (!canAccess(trip.access, "owner")) return forbidden(res, trip);
+
+      const share = await revokeShare(tripShareTarget(trip), req.params.shareId);
+      if (!share) return res.status(404).json({ error: "Share not found" });
+
+      return res.json({ ok: true, share });
+    } catch (e) {
+      console.error("Revoke trip share failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to revoke share" });
+    }
+  });
+
+  return router;
+}
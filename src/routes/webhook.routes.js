@@ -0,0 +1,248 @@
+import express from "express";
+import { z } from "zod";
+import { auth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/roles.js";
+import { q } from "../db.js";
+import {
+  WEBHOOK_EVENTS,
+  newWebhookSecret,
+  replayDelivery,
+  webhookUrlProblem
+} from "../utils/webhooks.js";
+
+// -------------------------
+// Validation (Zod)
+// -------------------------
+// https, public host (utils/webhooks.js); schemas using it need parseAsync
+const webhookUrl = z
+  .string()
+  .trim()
+  .url()
+  .superRefine(async (u, ctx) => {
+    if (!URL.canParse(u)) return; // already reported by .url()
+    const problem = await webhookUrlProblem(u);
+    if (problem) ctx.addIssue({ code: z.ZodIssueCode.custom, message: problem });
+  });
+
+const subscriptionSchema = z.object({
+  url: webhookUrl,
+  events: z.array(z.enum(WEBHOOK_EVENTS)).optional().default([]), // [] = every event
+  secret: z.string().min(16).max(200).optional(),
+  description: z.string().trim().max(200).optional().default(""),
+  active: z.boolean().optional().default(true)
+});
+
+const subscriptionPatchSchema = z.object({
+  url: webhookUrl.optional(),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).optional(),
+  description: z.string().trim().max(200).optional(),
+  active: z.boolean().optional()
+});
+
+const DELIVERY_STATUSES = ["pending", "retrying", "delivered", "failed", "skipped"];
+
+const SUBSCRIPTION_COLUMNS =
+  "id, url, secret, events, description, active, created_by, created_at, updated_at";
+
+const DELIVERY_COLUMNS = `id, subscription_id, event_id, event, booking_id, status, attempts,
+  response_status, last_error, replay_of, created_at, delivered_at`;
+
+// The secret is only returned in full on create / rotate
+function subscriptionView(row, { withSecret = false } = {}) {
+  const { secret, ...rest } = row;
+  return {
+    ...rest,
+    ...(withSecret ? { secret } : { secretHint: `${secret.slice(0, 6)}…${secret.slice(-4)}` })
+  };
+}
+
+async function findSubscription(id) {
+  const n = Number(id);
+  if (!Number.isInteger(n) || n <= 0) return null;
+
+  const r = await q(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id=$1`, [n]);
+  return r.rows[0] || null;
+}
+
+/**
+ * Webhook subscriptions, delivery logs and replays (back-office only).
+ * Events and signing: utils/webhooks.js.
+ */
+export function makeWebhookRouter() {
+  const router = express.Router();
+
+  router.use(auth, requirePermission("webhooks.manage"));
+
+  // GET /api/webhooks/events
+  router.get("/events", (req, res) => res.json({ ok: true, events: WEBHOOK_EVENTS }));
+
+  // GET /api/webhooks
+  router.get("/", async (req, res) => {
+    try {
+      const r = await q(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions ORDER BY id ASC`);
+      return res.json({ ok: true, subscriptions: r.rows.map((s) => subscriptionView(s)) });
+    } catch (e) {
+      console.error("List webhooks failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load webhooks" });
+    }
+  });
+
+  // POST /api/webhooks  { url, events?, secret?, description?, active? }
+  router.post("/", async (req, res) => {
+    try {
+      const data = await subscriptionSchema.parseAsync(req.body || {});
+
+      const r = await q(
+        `INSERT INTO webhook_subscriptions(url, secret, events, description, active, created_by)
+         VALUES($1,$2,$3,$4,$5,$6)
+         RETURNING ${SUBSCRIPTION_COLUMNS}`,
+        [
+          data.url,
+          data.secret || newWebhookSecret(),
+          data.events,
+          data.description,
+          data.active,
+          req.user.userId
+        ]
+      );
+
+      return res.json({ ok: true, subscription: subscriptionView(r.rows[0], { withSecret: true }) });
+    } catch (err) {
+      if (err?.issues) {
+        return res.status(400).json({ error: "Validation failed", issues: err.issues });
+      }
+      console.error("Create webhook failed:", err?.message || err);
+      return res.status(500).json({ error: "Failed to create webhook" });
+    }
+  });
+
+  // PATCH /api/webhooks/:id  { url?, events?, description?, active? }
+  router.patch("/:id", async (req, res) => {
+    try {
+      const sub = await findSubscription(req.params.id);
+      if (!sub) return res.status(404).json({ error: "Webhook not found" });
+
+      const data = await subscriptionPatchSchema.parseAsync(req.body || {});
+
+      const r = await q(
+        `UPDATE webhook_subscriptions SET url=$1, events=$2, description=$3, active=$4
+         WHERE id=$5
+         RETURNING ${SUBSCRIPTION_COLUMNS}`,
+        [
+          data.url ?? sub.url,
+          data.events ?? sub.events,
+          data.description ?? sub.description,
+          data.active ?? sub.active,
+          sub.id
+        ]
+      );
+
+      return res.json({ ok: true, subscription: subscriptionView(r.rows[0]) });
+    } catch (err) {
+      if (err?.issues) {
+        return res.status(400).json({ error: "Validation failed", issues: err.issues });
+      }
+      console.error("Update webhook failed:", err?.message || err);
+      return res.status(500).json({ error: "Failed to update webhook" });
+    }
+  });
+
+  // POST /api/webhooks/:id/rotate-secret  (old secret stops validating right away)
+  router.post("/:id/rotate-secret", async (req, res) => {
+    try {
+      const r = await q(
+        `UPDATE webhook_subscriptions SET secret=$1 WHERE id=$2 RETURNING ${SUBSCRIPTION_COLUMNS}`,
+        [newWebhookSecret(), Number(req.params.id) || 0]
+      );
+      if (r.rows.length === 0) return res.status(404).json({ error: "Webhook not found" });
+
+      return res.json({ ok: true, subscription: subscriptionView(r.rows[0], { withSecret: true }) });
+    } catch (e) {
+      console.error("Rotate webhook secret failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to rotate secret" });
+    }
+  });
+
+  // DELETE /api/webhooks/:id  (delivery logs go with it)
+  router.delete("/:id", async (req, res) => {
+    try {
+      const r = await q("DELETE FROM webhook_subscriptions WHERE id=$1 RETURNING id", [
+        Number(req.params.id) || 0
+      ]);
+      if (r.rows.length === 0) return res.status(404).json({ error: "Webhook not found" });
+
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("Delete webhook failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to delete webhook" });
+    }
+  });
+
+  // GET /api/webhooks/:id/deliveries?status=failed&limit=50
+  router.get("/:id/deliveries", async (req, res) => {
+    try {
+      const sub = await findSubscription(req.params.id);
+      if (!sub) return res.status(404).json({ error: "Webhook not found" });
+
+      const params = [sub.id];
+      let sql = `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE subscription_id=$1`;
+
+      if (req.query.status) {
+        const status = String(req.query.status).toLowerCase();
+        if (!DELIVERY_STATUSES.includes(status)) {
+          return res.status(400).json({ error: `Unknown status: ${status}` });
+        }
+        params.push(status);
+        sql += ` AND status=$${params.length}`;
+      }
+
+      const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+      params.push(limit);
+      sql += ` ORDER BY id DESC LIMIT $${params.length}`;
+
+      const r = await q(sql, params);
+      return res.json({ ok: true, deliveries: r.rows });
+    } catch (e) {
+      console.error("List webhook deliveries failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load deliveries" });
+    }
+  });
+
+  // GET /api/webhooks/deliveries/:deliveryId  (body sent + every attempt)
+  router.get("/deliveries/:deliveryId", async (req, res) => {
+    try {
+      const id = Number(req.params.deliveryId) || 0;
+
+      const d = await q(`SELECT ${DELIVERY_COLUMNS}, payload FROM webhook_deliveries WHERE id=$1`, [id]);
+      if (d.rows.length === 0) return res.status(404).json({ error: "Delivery not found" });
+
+      const attempts = await q(
+        `SELECT attempt, response_status, response_body, error, duration_ms, created_at
+         FROM webhook_delivery_attempts
+         WHERE delivery_id=$1
+         ORDER BY attempt ASC, id ASC`,
+        [id]
+      );
+
+      return res.json({ ok: true, delivery: d.rows[0], attempts: attempts.rows });
+    } catch (e) {
+      console.error("Get webhook delivery failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to load delivery" });
+    }
+  });
+
+  // POST /api/webhooks/deliveries/:deliveryId/replay
+  router.post("/deliveries/:deliveryId/replay", async (req, res) => {
+    try {
+      const deliveryId = await replayDelivery(req.params.deliveryId);
+      if (!deliveryId) return res.status(404).json({ error: "Delivery not found" });
+
+      return res.json({ ok: true, deliveryId });
+    } catch (e) {
+      console.error("Replay webhook delivery failed:", e?.message || e);
+      return res.status(500).json({ error: "Failed to replay delivery" });
+    }
+  });
+
+  return router;
+}
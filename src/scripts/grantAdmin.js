@@ -0,0 +1,45 @@
+// server/src/scripts/grantAdmin.js
+import { pool, q } from "../db.js";
+import { grantRole } from "../utils/rbac.js";
+
+/**
+ * Make an existing account admin from the command line. This is how the first
+ * admin is created (roles are otherwise only granted by an admin, in
+ * POST /api/admin/users/:id/roles). Uses the same database env as the server:
+ *
+ *   npm run grant-admin -- owner@example.com "Initial back-office account"
+ */
+async function main() {
+  const [email, reason = "Granted with npm run grant-admin"] = process.argv.slice(2);
+  if (!email) {
+    console.error('Usage: npm run grant-admin -- <email> ["reason"]');
+    return 1;
+  }
+
+  const r = await q("SELECT id, email FROM users WHERE LOWER(email)=LOWER($1)", [email.trim()]);
+  const user = r.rows[0];
+  if (!user) {
+    console.error(`No account with email ${email}; sign up first`);
+    return 1;
+  }
+
+  const result = await grantRole(user.id, "admin", { actorId: null, reason });
+  if (!result.ok) {
+    console.error(result.error);
+    return 1;
+  }
+
+  console.log(
+    result.changed ? `${user.email} is now an admin` : `${user.email} was already an admin`
+  );
+  return 0;
+}
+
+try {
+  process.exitCode = await main();
+} catch (e) {
+  console.error("Grant admin failed:", e?.message || e);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,156 @@
+// server/src/utils/bookingCalendar.js
+import { q } from "../db.js";
+import {
+  calendarEventsFromBooking,
+  insertEvent,
+  updateEvent,
+  deleteEvent,
+  isEventGoneError,
+  googleTokensFromRow
+} from "./googleCalendar.js";
+
+/**
+ * Booking <-> Google Calendar events, one per leg, keyed by booking_calendar_events
+ * (leg 0 is mirrored on bookings.google_event_id / google_calendar_id).
+ * Google/network errors are thrown so the outbox can retry; "not connected"
+ * style outcomes are returned as { ok: false, reason } (nothing to retry).
+ */
+
+async function loadGoogleTokens(userId) {
+  const tok = await q("SELECT * FROM user_google_tokens WHERE user_id=$1", [userId]);
+
+  if (tok.rows.length === 0) return { reason: "not_connected" };
+  if (!tok.rows[0].refresh_token) return { reason: "missing_refresh_token" };
+
+  return { tokens: googleTokensFromRow(tok.rows[0]) };
+}
+
+async function loadLegEvents(booking) {
+  const r = await q(
+    `SELECT leg, google_event_id, google_calendar_id
+     FROM booking_calendar_events
+     WHERE booking_id=$1
+     ORDER BY leg ASC`,
+    [booking.id]
+  );
+
+  // Bookings synced before per-leg events only have the columns on bookings
+  if (r.rows.length === 0 && booking.google_event_id) {
+    return [
+      {
+        leg: 0,
+        google_event_id: booking.google_event_id,
+        google_calendar_id: booking.google_calendar_id
+      }
+    ];
+  }
+
+  return r.rows;
+}
+
+async function saveLegEvent(bookingId, leg, { eventId, calendarId }) {
+  await q(
+    `INSERT INTO booking_calendar_events(booking_id, leg, google_event_id, google_calendar_id)
+     VALUES($1,$2,$3,$4)
+     ON CONFLICT (booking_id, leg) DO UPDATE
+     SET google_event_id=EXCLUDED.google_event_id,
+         google_calendar_id=EXCLUDED.google_calendar_id,
+         updated_at=NOW()`,
+    [bookingId, leg, eventId, calendarId]
+  );
+
+  if (leg === 0) {
+    await q("UPDATE bookings SET google_event_id=$1, google_calendar_id=$2 WHERE id=$3", [
+      eventId,
+      calendarId,
+      bookingId
+    ]);
+  }
+}
+
+async function deleteLegEvent(tokens, bookingId, row) {
+  await deleteEvent({
+    tokens,
+    eventId: row.google_event_id,
+    calendarId: row.google_calendar_id || undefined
+  });
+
+  await q("DELETE FROM booking_calendar_events WHERE booking_id=$1 AND leg=$2", [
+    bookingId,
+    row.leg
+  ]);
+}
+
+/**
+ * Create (or update, when they already exist) the booking's Google Calendar
+ * events and remember their ids. A leg that no longer exists (return ride
+ * removed) has its event deleted.
+ */
+export async function syncBookingCalendar({ userId, booking, details, externalLink, qrUrl }) {
+  const { tokens, reason } = await loadGoogleTokens(userId);
+  if (!tokens) return { ok: false, reason };
+
+  const events = calendarEventsFromBooking({
+    type: booking.type,
+    details: { ...details, qrUrl, externalLink },
+    externalLink,
+    qrUrl
+  });
+
+  const existing = new Map((await loadLegEvents(booking)).map((row) => [row.leg, row]));
+  const results = [];
+
+  for (const [leg, event] of events.entries()) {
+    const row = existing.get(leg);
+    let result = null;
+
+    if (row) {
+      try {
+        result = await updateEvent({
+          tokens,
+          event,
+          eventId: row.google_event_id,
+          calendarId: row.google_calendar_id || undefined
+        });
+      } catch (e) {
+        // Deleted from the calendar by the user: create a fresh one below
+        if (!isEventGoneError(e)) throw e;
+      }
+    }
+
+    if (!result) result = await insertEvent({ tokens, event });
+
+    await saveLegEvent(booking.id, leg, result);
+    results.push({ leg, eventId: result.eventId, htmlLink: result.htmlLink });
+  }
+
+  for (const row of existing.values()) {
+    if (row.leg >= events.length) await deleteLegEvent(tokens, booking.id, row);
+  }
+
+  return {
+    ok: true,
+    eventId: results[0]?.eventId || null,
+    htmlLink: results[0]?.htmlLink || null,
+    events: results
+  };
+}
+
+/**
+ * Delete the booking's Google Calendar events (cancelled booking).
+ */
+export async function removeBookingCalendar({ userId, booking }) {
+  const rows = await loadLegEvents(booking);
+  if (rows.length === 0) return { ok: true, reason: "no_event" };
+
+  const { tokens, reason } = await loadGoogleTokens(userId);
+  if (!tokens) return { ok: false, reason };
+
+  for (const row of rows) await deleteLegEvent(tokens, booking.id, row);
+
+  await q("UPDATE bookings SET google_event_id=NULL, google_calendar_id=NULL WHERE id=$1", [
+    booking.id
+  ]);
+
+  return { ok: true, removed: true, events: rows.length };
+}
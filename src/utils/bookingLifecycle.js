@@ -0,0 +1,220 @@
+// server/src/utils/bookingLifecycle.js
+import { q, withTransaction } from "../db.js";
+import { liveStatuses, transitionBookingStatus } from "./bookingStatus.js";
+import { appTimeZone, parseTimeSlot, todayInZone, zonedDateTimeToUtc } from "./datetime.js";
+import { bookingCancelledEmailTemplate, bookingTypeLabel } from "./email.js";
+import { enqueueJob, kickOutbox } from "./outbox.js";
+import { getProviderById } from "./providers.js";
+import { getServerBaseUrl } from "./serverUrl.js";
+import { enqueueCoTravellerEmails } from "./sharing.js";
+import { taxiLegs } from "./taxiLegs.js";
+import { bookingEventData, enqueueWebhookEvent, loadEventBooking } from "./webhooks.js";
+
+/**
+ * When a booking's trip starts / ends, and the sweep that closes past bookings.
+ *
+ * Bookings still live AUTO_CLOSE_AFTER_HOURS after their trip ended are closed:
+ *   confirmed         -> completed
+ *   requested (taxi)  -> cancelled (no operator took it), with the same email and
+ *                        calendar removal as a cancel by the traveller
+ * Hotel and activity requests are confirmed by hand in the back office, so they stay
+ * requested for staff to settle. A no-show is never guessed either.
+ */
+
+export const AUTO_CLOSE_AFTER_HOURS = 12;
+
+const HOTEL_CHECK_IN_TIME = "14:00";
+const HOTEL_CHECK_OUT_TIME = "11:00";
+const TAXI_RIDE_HOURS = 2;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function taxiLegTimes(details, tz) {
+  return taxiLegs(details)
+    .map((leg) => zonedDateTimeToUtc(leg.date, leg.time, tz))
+    .filter(Boolean);
+}
+
+/**
+ * First pickup / check-in / activity start (Date, APP_TIMEZONE), null when unknown.
+ */
+export function tripStartsAt(booking) {
+  const d = booking.details || {};
+  const tz = appTimeZone();
+
+  if (booking.type === "taxi") return taxiLegTimes(d, tz)[0] || null;
+  if (booking.type === "hotel") return zonedDateTimeToUtc(d.checkIn, HOTEL_CHECK_IN_TIME, tz);
+  if (booking.type === "activity") {
+    const slot = parseTimeSlot(d.timeSlot);
+    return slot ? zonedDateTimeToUtc(d.date, slot.start, tz) : null;
+  }
+  return null;
+}
+
+/**
+ * Last ride (+ TAXI_RIDE_HOURS) / check-out / activity end, null when unknown.
+ */
+export function tripEndsAt(booking) {
+  const d = booking.details || {};
+  const tz = appTimeZone();
+
+  if (booking.type === "taxi") {
+    const times = taxiLegTimes(d, tz);
+    if (!times.length) return null;
+    return new Date(Math.max(...times.map((t) => t.getTime())) + TAXI_RIDE_HOURS * HOUR_MS);
+  }
+  if (booking.type === "hotel") return zonedDateTimeToUtc(d.checkOut, HOTEL_CHECK_OUT_TIME, tz);
+  if (booking.type === "activity") {
+    const slot = parseTimeSlot(d.timeSlot);
+    return slot ? zonedDateTimeToUtc(d.date, slot.end || slot.start, tz) : null;
+  }
+  return null;
+}
+
+/**
+ * What the sweep does with a live booking at `now`: { to, reason } or null (leave it).
+ */
+export function autoCloseAction(booking, now = new Date()) {
+  const endsAt = tripEndsAt(booking);
+  if (!endsAt || now.getTime() < endsAt.getTime() + AUTO_CLOSE_AFTER_HOURS * HOUR_MS) return null;
+
+  if (booking.status === "confirmed") return { to: "completed", reason: "Trip date passed" };
+  if (booking.status === "requested" && booking.type === "taxi") {
+    return { to: "cancelled", reason: "Not confirmed before the trip date" };
+  }
+  return null;
+}
+
+const AUTO_CLOSE_EVENTS = { completed: "booking.completed", cancelled: "booking.cancelled" };
+
+// What POST /api/bookings/:id/cancel queues: calendar removal + owner / co-traveller emails
+async function enqueueCancellation(db, booking, reason) {
+  await enqueueJob(
+    {
+      kind: "booking.calendar.remove",
+      purpose: "calendar_remove",
+      bookingId: booking.id,
+      userId: booking.user_id,
+      payload: { bookingId: booking.id }
+    },
+    db
+  );
+
+  const found = await db.query("SELECT email, username FROM users WHERE id=$1", [booking.user_id]);
+  const owner = found.rows[0];
+  if (!owner) return;
+
+  const email = {
+    purpose: "booking_cancelled",
+    subject: `${bookingTypeLabel(booking.type)} cancelled`,
+    render: ({ username, sharedBy }) =>
+      bookingCancelledEmailTemplate({
+        username,
+        sharedBy,
+        bookingType: booking.type,
+        details: booking.details,
+        reason
+      })
+  };
+
+  await enqueueJob(
+    {
+      kind: "email.send",
+      purpose: email.purpose,
+      bookingId: booking.id,
+      userId: booking.user_id,
+      payload: {
+        to: owner.email,
+        subject: email.subject,
+        html: email.render({ username: owner.username })
+      }
+    },
+    db
+  );
+
+  await enqueueCoTravellerEmails(db, { booking, owner, email });
+}
+
+async function closeBooking(booking, { to, reason }) {
+  return withTransaction(async (db) => {
+    const result = await transitionBookingStatus({ bookingId: booking.id, to, reason }, db);
+    if (!result.ok) return false;
+
+    if (to === "cancelled") await enqueueCancellation(db, booking, reason);
+
+    await enqueueWebhookEvent(db, {
+      event: AUTO_CLOSE_EVENTS[to],
+      bookingId: booking.id,
+      data: bookingEventData({
+        booking: await loadEventBooking(db, booking.id),
+        provider: booking.provider_id ? await getProviderById(booking.provider_id) : null,
+        baseUrl: getServerBaseUrl(),
+        reason
+      })
+    });
+
+    return true;
+  });
+}
+
+/**
+ * Close every live booking whose trip is over. Safe to run from several places at once
+ * (transitions are row-locked). Returns { checked, closed }.
+ */
+export async function closePastBookings({ now = new Date(), limit = 200 } = {}) {
+  const today = todayInZone(appTimeZone(), now);
+
+  // Coarse date filter; autoCloseAction decides with the exact times
+  const r = await q(
+    `SELECT id, user_id, trip_id, type, details, status, provider_id
+     FROM bookings
+     WHERE status = ANY($1)
+       AND GREATEST(
+             COALESCE(details->>'pickupDate', ''), COALESCE(details->>'returnDate', ''),
+             COALESCE(details->>'checkOut', ''), COALESCE(details->>'date', '')
+           ) <= $2
+     ORDER BY id ASC
+     LIMIT $3`,
+    [liveStatuses(), today, limit]
+  );
+
+  let closed = 0;
+  for (const booking of r.rows) {
+    const action = autoCloseAction(booking, now);
+    if (!action) continue;
+
+    try {
+      if (await closeBooking(booking, action)) closed += 1;
+    } catch (e) {
+      console.error(`[Bookings] Closing booking ${booking.id} failed:`, e?.message || e);
+    }
+  }
+
+  if (closed > 0) kickOutbox();
+  return { checked: r.rows.length, closed };
+}
+
+// -------------------------
+// Sweep loop (long-running server only; serverless uses POST /api/jobs/run)
+// -------------------------
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await closePastBookings();
+  } catch (e) {
+    console.error("[Bookings] Sweep failed:", e?.message || e);
+  } finally {
+    running = false;
+  }
+}
+
+export function startPastBookingsSweep({
+  intervalMs = Number(process.env.PAST_BOOKINGS_POLL_MS || 15 * 60_000)
+} = {}) {
+  const timer = setInterval(tick, intervalMs);
+  tick();
+  return () => clearInterval(timer);
+}
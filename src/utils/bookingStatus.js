@@ -0,0 +1,119 @@
+// server/src/utils/bookingStatus.js
+import { q, withTransaction } from "../db.js";
+
+export const BOOKING_STATUSES = [
+  "requested",
+  "confirmed",
+  "declined",
+  "completed",
+  "cancelled",
+  "no_show"
+];
+
+/**
+ * Allowed status transitions.
+ * - requested: waiting for the partner (taxi: operator portal; hotel / activity:
+ *   back office, POST /api/bookings/:id/status)
+ * - confirmed: partner accepted, trip still upcoming
+ * - declined: partner turned the request down
+ * - completed / no_show: recorded by the operator or the back office once the trip
+ *   started; confirmed bookings left live after the trip are completed by the sweep
+ *   in utils/bookingLifecycle.js (unanswered taxi requests are cancelled)
+ * - declined / completed / cancelled / no_show: final, nothing moves out of these
+ */
+const TRANSITIONS = {
+  requested: ["confirmed", "declined", "cancelled"],
+  confirmed: ["completed", "cancelled", "no_show"],
+  declined: [],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+const LIVE_STATUSES = new Set(["requested", "confirmed"]);
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+export function isLiveStatus(status) {
+  return LIVE_STATUSES.has(status);
+}
+
+export function liveStatuses() {
+  return [...LIVE_STATUSES];
+}
+
+/**
+ * Record the first history entry for a freshly inserted booking.
+ * Pass `db` (a transaction client) to write it with the booking insert.
+ */
+export async function recordInitialStatus(
+  { bookingId, status = "requested", changedBy = null },
+  db = { query: q }
+) {
+  await db.query(
+    `INSERT INTO booking_status_history(booking_id, from_status, to_status, changed_by)
+     VALUES($1, NULL, $2, $3)`,
+    [bookingId, status, changedBy]
+  );
+}
+
+/**
+ * Move a booking to a new status (row-locked, so two concurrent
+ * cancels cannot both succeed) and append a history entry.
+ * Pass `db` (a transaction client) to make it part of a larger transaction.
+ *
+ * Returns { ok: true, booking, from } or { ok: false, reason, from? }
+ * where reason is "not_found" or "invalid_transition".
+ */
+export async function transitionBookingStatus(
+  { bookingId, to, changedBy = null, reason = null },
+  db = null
+) {
+  if (!BOOKING_STATUSES.includes(to)) {
+    return { ok: false, reason: "invalid_status" };
+  }
+
+  if (!db) {
+    return withTransaction((client) =>
+      transitionBookingStatus({ bookingId, to, changedBy, reason }, client)
+    );
+  }
+
+  const cur = await db.query("SELECT id, status FROM bookings WHERE id=$1 FOR UPDATE", [
+    bookingId
+  ]);
+
+  if (cur.rows.length === 0) return { ok: false, reason: "not_found" };
+
+  const from = cur.rows[0].status;
+
+  if (!canTransition(from, to)) return { ok: false, reason: "invalid_transition", from };
+
+  const updated = await db.query(
+    `UPDATE bookings SET status=$1, status_updated_at=NOW()
+     WHERE id=$2
+     RETURNING id, user_id, type, details, external_link, status, status_updated_at, created_at`,
+    [to, bookingId]
+  );
+
+  await db.query(
+    `INSERT INTO booking_status_history(booking_id, from_status, to_status, changed_by, reason)
+     VALUES($1,$2,$3,$4,$5)`,
+    [bookingId, from, to, changedBy, reason]
+  );
+
+  return { ok: true, booking: updated.rows[0], from };
+}
+
+export async function getStatusHistory(bookingId) {
+  const r = await q(
+    `SELECT from_status, to_status, changed_by, reason, created_at
+     FROM booking_status_history
+     WHERE booking_id=$1
+     ORDER BY created_at ASC, id ASC`,
+    [bookingId]
+  );
+  return r.rows;
+}
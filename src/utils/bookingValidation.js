@@ -0,0 +1,319 @@
+// server/src/utils/bookingValidation.js
+import { z } from "zod";
+import {
+  appTimeZone,
+  parseIsoDate,
+  parseIsoTime,
+  parseTimeSlot,
+  zonedDateTimeToUtc,
+  todayInZone,
+  daysBetween
+} from "./datetime.js";
+import { MAX_TAXI_STOPS } from "./taxiLegs.js";
+import { FLIGHT_MODES, normalizeFlightNumber } from "./flights.js";
+
+/**
+ * Booking input validation (shape + cross-field rules).
+ * Error messages are localized (EN/FR) and come back in zod's `issues` array.
+ */
+
+export const MAX_STAY_NIGHTS = Number(process.env.BOOKING_MAX_STAY_NIGHTS || 30);
+
+const MESSAGES = {
+  en: {
+    required: "This field is required",
+    invalidNumber: "Must be a number",
+    tooShort: (min) => `Must contain at least ${min} character(s)`,
+    tooSmall: (min) => `Must be at least ${min}`,
+    tooBig: (max) => `Must be at most ${max}`,
+    invalidType: "Invalid booking type",
+    invalidDate: "Use a valid date in the format YYYY-MM-DD",
+    invalidTime: "Use a valid 24h time in the format HH:mm",
+    checkInPast: "Check-in cannot be in the past",
+    checkOutBeforeCheckIn: "Check-out must be after check-in",
+    stayTooLong: (max) => `A stay cannot be longer than ${max} nights`,
+    roomsOverAdults: "Each room needs at least one adult",
+    pickupPast: "Pickup must be in the future",
+    tooManyStops: (max) => `At most ${max} stops`,
+    returnIncomplete: "Give both a return date and a return time",
+    returnBeforePickup: "The return must be after the outbound pickup",
+    invalidFlightNumber: "Use a flight number like MK15 or AF474",
+    invalidFlightMode: "Choose arrival or departure",
+    invalidTimeSlot: "Use a time slot like 09:00 or 09:00-12:30",
+    activityPast: "The activity must be in the future",
+    hotelPickupRequired: "Tell us which hotel to pick you up from"
+  },
+  fr: {
+    required: "Ce champ est obligatoire",
+    invalidNumber: "Doit être un nombre",
+    tooShort: (min) => `Doit contenir au moins ${min} caractère(s)`,
+    tooSmall: (min) => `Doit être au moins ${min}`,
+    tooBig: (max) => `Doit être au plus ${max}`,
+    invalidType: "Type de réservation invalide",
+    invalidDate: "Utilisez une date valide au format AAAA-MM-JJ",
+    invalidTime: "Utilisez une heure valide au format HH:mm (24h)",
+    checkInPast: "L’arrivée ne peut pas être dans le passé",
+    checkOutBeforeCheckIn: "Le départ doit être après l’arrivée",
+    stayTooLong: (max) => `Un séjour ne peut pas dépasser ${max} nuits`,
+    roomsOverAdults: "Chaque chambre doit avoir au moins un adulte",
+    pickupPast: "La prise en charge doit être dans le futur",
+    tooManyStops: (max) => `Au plus ${max} arrêts`,
+    returnIncomplete: "Indiquez la date et l’heure du retour",
+    returnBeforePickup: "Le retour doit être après la prise en charge à l’aller",
+    invalidFlightNumber: "Utilisez un numéro de vol comme MK15 ou AF474",
+    invalidFlightMode: "Choisissez arrivée ou départ",
+    invalidTimeSlot: "Utilisez un créneau comme 09:00 ou 09:00-12:30",
+    activityPast: "L’activité doit être dans le futur",
+    hotelPickupRequired: "Indiquez l’hôtel où venir vous chercher"
+  }
+};
+
+function normalizeLang(lang) {
+  const s = String(lang || "").toLowerCase().trim();
+  return s === "fr" || s.startsWith("fr") ? "fr" : "en";
+}
+
+function messagesFor(lang) {
+  return MESSAGES[normalizeLang(lang)];
+}
+
+/**
+ * Localized messages for zod's built-in checks.
+ */
+function makeErrorMap(M) {
+  return (issue, ctx) => {
+    if (issue.code === z.ZodIssueCode.invalid_type) {
+      if (issue.received === "undefined" || issue.received === "null") {
+        return { message: M.required };
+      }
+      if (issue.expected === "number") return { message: M.invalidNumber };
+    }
+
+    if (issue.code === z.ZodIssueCode.too_small) {
+      return {
+        message: issue.type === "string" ? M.tooShort(issue.minimum) : M.tooSmall(issue.minimum)
+      };
+    }
+
+    if (issue.code === z.ZodIssueCode.too_big) {
+      return { message: M.tooBig(issue.maximum) };
+    }
+
+    if (issue.code === z.ZodIssueCode.invalid_literal) {
+      return { message: M.invalidType };
+    }
+
+    return { message: ctx.defaultError };
+  };
+}
+
+// Strict YYYY-MM-DD date strings
+const isoDateField = (M) =>
+  z
+    .string()
+    .trim()
+    .refine((v) => !!parseIsoDate(v), { message: M.invalidDate });
+
+function makeHotelSchema(M, { now }) {
+  return z
+    .object({
+      type: z.literal("hotel"),
+      hotelNameOrArea: z.string().trim().min(2),
+      checkIn: isoDateField(M),
+      checkOut: isoDateField(M),
+      rooms: z.coerce.number().int().min(1),
+      adults: z.coerce.number().int().min(1),
+      children: z.coerce.number().int().min(0),
+      budgetMUR: z.coerce.number().int().min(0),
+      specialRequests: z.string().optional().default(""),
+      lang: z.string().optional().default("en")
+    })
+    .superRefine((d, ctx) => {
+      if (d.rooms > d.adults) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["rooms"], message: M.roomsOverAdults });
+      }
+
+      // Date format problems are already reported by the fields themselves
+      if (!parseIsoDate(d.checkIn) || !parseIsoDate(d.checkOut)) return;
+
+      const today = todayInZone(appTimeZone(), now);
+
+      if (d.checkIn < today) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["checkIn"], message: M.checkInPast });
+      }
+
+      const nights = daysBetween(d.checkIn, d.checkOut);
+
+      if (!(nights > 0)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["checkOut"],
+          message: M.checkOutBeforeCheckIn
+        });
+      } else if (nights > MAX_STAY_NIGHTS) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["checkOut"],
+          message: M.stayTooLong(MAX_STAY_NIGHTS)
+        });
+      }
+    });
+}
+
+// Optional date/time ("" = not set), e.g. the return leg of a taxi.
+// Times are strict and normalized ("9:05:00" is rejected, "09:05:00" -> "09:05")
+const optionalIsoDateField = (M) =>
+  z
+    .string()
+    .trim()
+    .optional()
+    .default("")
+    .refine((v) => !v || !!parseIsoDate(v), { message: M.invalidDate });
+
+const optionalIsoTimeField = (M) =>
+  z
+    .string()
+    .trim()
+    .optional()
+    .default("")
+    .refine((v) => !v || !!parseIsoTime(v), { message: M.invalidTime })
+    .transform((v) => v.slice(0, 5));
+
+// IATA flight number, normalized ("mk 015" -> "MK15"); "" = no flight
+const optionalFlightNumberField = (M) =>
+  z
+    .string()
+    .trim()
+    .optional()
+    .default("")
+    .refine((v) => !v || !!normalizeFlightNumber(v), { message: M.invalidFlightNumber })
+    .transform((v) => (v ? normalizeFlightNumber(v) : ""));
+
+// ✅ allow optional lang from client (so WhatsApp message is EN/FR correctly)
+// stops: intermediate stops on the way out; returnDate/returnTime: ride back (dropoff -> pickup)
+// flightNumber/flightMode/flightDate: airport transfer, pickupDate/pickupTime then come
+// from the flight schedule (utils/flights.js) and may be left out
+function makeTaxiSchema(M, { now }) {
+  return z
+    .object({
+      type: z.literal("taxi"),
+      pickupLocation: z.string().trim().min(2),
+      dropoffLocation: z.string().trim().min(2),
+      stops: z
+        .array(z.string().trim().min(2))
+        .max(MAX_TAXI_STOPS, { message: M.tooManyStops(MAX_TAXI_STOPS) })
+        .optional()
+        .default([]),
+      pickupDate: optionalIsoDateField(M),
+      pickupTime: optionalIsoTimeField(M),
+      returnDate: optionalIsoDateField(M),
+      returnTime: optionalIsoTimeField(M),
+      flightNumber: optionalFlightNumberField(M),
+      flightMode: z
+        .string()
+        .trim()
+        .toLowerCase()
+        .optional()
+        .default("")
+        .refine((v) => !v || FLIGHT_MODES.includes(v), { message: M.invalidFlightMode }),
+      flightDate: optionalIsoDateField(M),
+      passengers: z.coerce.number().int().min(1),
+      luggage: z.string().optional().default(""),
+      notes: z.string().optional().default(""),
+      lang: z.string().optional().default("en")
+    })
+    .superRefine((d, ctx) => {
+      const missing = d.flightNumber
+        ? [!d.flightMode && "flightMode", !d.flightDate && "flightDate"]
+        : [!d.pickupDate && "pickupDate", !d.pickupTime && "pickupTime"];
+
+      for (const field of missing.filter(Boolean)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message: M.required });
+      }
+
+      const pickupAt = zonedDateTimeToUtc(d.pickupDate, d.pickupTime, appTimeZone());
+
+      if (pickupAt && pickupAt.getTime() <= now.getTime()) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["pickupTime"], message: M.pickupPast });
+      }
+
+      if (!d.returnDate !== !d.returnTime) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [d.returnDate ? "returnTime" : "returnDate"],
+          message: M.returnIncomplete
+        });
+        return;
+      }
+
+      const returnAt = d.returnDate && zonedDateTimeToUtc(d.returnDate, d.returnTime, appTimeZone());
+
+      if (returnAt && pickupAt && returnAt.getTime() <= pickupAt.getTime()) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["returnDate"],
+          message: M.returnBeforePickup
+        });
+      }
+    });
+}
+
+// Activity from catalog_items (type='activity'); name/area/URL are added by the route
+function makeActivitySchema(M, { now }) {
+  return z
+    .object({
+      type: z.literal("activity"),
+      catalogItemId: z.coerce.number().int().min(1),
+      date: isoDateField(M),
+      timeSlot: z
+        .string()
+        .trim()
+        .refine((v) => !!parseTimeSlot(v), { message: M.invalidTimeSlot })
+        .transform((v) => {
+          const { start, end } = parseTimeSlot(v);
+          return end ? `${start}-${end}` : start;
+        }),
+      participants: z.coerce.number().int().min(1).max(50),
+      pickupFromHotel: z
+        .union([z.boolean(), z.enum(["true", "false"])])
+        .optional()
+        .default(false)
+        .transform((v) => v === true || v === "true"),
+      pickupLocation: z.string().trim().optional().default(""),
+      notes: z.string().optional().default(""),
+      lang: z.string().optional().default("en")
+    })
+    .superRefine((d, ctx) => {
+      if (d.pickupFromHotel && d.pickupLocation.length < 2) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["pickupLocation"],
+          message: M.hotelPickupRequired
+        });
+      }
+
+      const slot = parseTimeSlot(d.timeSlot);
+      const startsAt = slot && zonedDateTimeToUtc(d.date, slot.start, appTimeZone());
+
+      if (startsAt && startsAt.getTime() <= now.getTime()) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["date"], message: M.activityPast });
+      }
+    });
+}
+
+/**
+ * Validate booking input by type.
+ * - Returns parsed data, or null for an unknown type.
+ * - Throws a ZodError (with localized `issues`) when invalid.
+ *
+ * lang: message language; defaults to the `lang` sent with the booking.
+ */
+export function parseBookingInput(raw, { lang, now = new Date() } = {}) {
+  const M = messagesFor(lang ?? raw?.lang);
+  const errorMap = makeErrorMap(M);
+
+  if (raw?.type === "hotel") return makeHotelSchema(M, { now }).parse(raw, { errorMap });
+  if (raw?.type === "taxi") return makeTaxiSchema(M, { now }).parse(raw, { errorMap });
+  if (raw?.type === "activity") return makeActivitySchema(M, { now }).parse(raw, { errorMap });
+  return null;
+}
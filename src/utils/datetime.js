@@ -0,0 +1,139 @@
+// server/src/utils/datetime.js
+
+/**
+ * Date/time helpers for booking fields.
+ * Bookings carry local Mauritius wall-clock values ("2026-03-14", "09:30");
+ * these helpers parse them strictly and convert them to real instants.
+ */
+
+export function appTimeZone() {
+  return process.env.APP_TIMEZONE || "Indian/Mauritius";
+}
+
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+/**
+ * "YYYY-MM-DD" that is a real calendar date -> { year, month, day }, else null.
+ */
+export function parseIsoDate(value) {
+  const m = String(value || "").trim().match(ISO_DATE_RE);
+  if (!m) return null;
+
+  const year = Number(m[1]);
+  const month = Number(m[2]);
+  const day = Number(m[3]);
+
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) {
+    return null; // e.g. 2026-02-30
+  }
+
+  return { year, month, day };
+}
+
+/**
+ * "HH:mm" or "HH:mm:ss" (24h) -> { hour, minute }, else null.
+ */
+export function parseIsoTime(value) {
+  const m = String(value || "").trim().match(ISO_TIME_RE);
+  if (!m) return null;
+  return { hour: Number(m[1]), minute: Number(m[2]) };
+}
+
+/**
+ * Activity time slot: "09:00" or "09:00-12:30" -> { start, end } ("HH:mm", end may be null).
+ * Null when malformed or when the end is not after the start.
+ */
+export function parseTimeSlot(value) {
+  const [from, to, ...rest] = String(value || "").split("-").map((s) => s.trim());
+  if (rest.length || !parseIsoTime(from) || (to !== undefined && !parseIsoTime(to))) return null;
+
+  const start = from.slice(0, 5);
+  const end = to !== undefined ? to.slice(0, 5) : null;
+  if (end && end <= start) return null;
+
+  return { start, end };
+}
+
+// Offset (ms) of a time zone from UTC at a given instant
+function tzOffsetMs(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Local wall-clock date + time in `timeZone` -> Date (UTC instant).
+ * Returns null when either part does not parse.
+ */
+export function zonedDateTimeToUtc(dateStr, timeStr, timeZone = appTimeZone()) {
+  const d = parseIsoDate(dateStr);
+  const t = parseIsoTime(timeStr);
+  if (!d || !t) return null;
+
+  const guess = Date.UTC(d.year, d.month - 1, d.day, t.hour, t.minute);
+
+  // Two passes handle zones with DST (Mauritius has none, but APP_TIMEZONE may differ)
+  const offset = tzOffsetMs(new Date(guess), timeZone);
+  let utc = guess - offset;
+
+  const offset2 = tzOffsetMs(new Date(utc), timeZone);
+  if (offset2 !== offset) utc = guess - offset2;
+
+  return new Date(utc);
+}
+
+/**
+ * Today's date ("YYYY-MM-DD") as seen in `timeZone`.
+ */
+export function todayInZone(timeZone = appTimeZone(), now = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).format(now);
+}
+
+/**
+ * Whole days from date a to date b (both "YYYY-MM-DD").
+ */
+export function daysBetween(a, b) {
+  const da = parseIsoDate(a);
+  const db = parseIsoDate(b);
+  if (!da || !db) return NaN;
+
+  const ms =
+    Date.UTC(db.year, db.month - 1, db.day) - Date.UTC(da.year, da.month - 1, da.day);
+  return Math.round(ms / 86_400_000);
+}
+
+export function addDaysIso(date, n) {
+  const d = parseIsoDate(date);
+  if (!d) return null;
+
+  const out = new Date(Date.UTC(d.year, d.month - 1, d.day + n));
+  return out.toISOString().slice(0, 10);
+}
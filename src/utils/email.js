@@ -2,7 +2,7 @@
 import nodemailer from "nodemailer";
 import { Resend } from "resend";
 
-const BRAND = {
+export const BRAND = {
   name: "Travel Buddy",
   accent: "#4F46E5",
   accent2: "#10B981"
@@ -16,7 +16,7 @@ function required(name) {
   return String(v).trim();
 }
 
-function escapeHtml(str) {
+export function escapeHtml(str) {
   return String(str ?? "")
     .replaceAll("&", "&amp;")
     .replaceAll("<", "&lt;")
@@ -25,7 +25,20 @@ function escapeHtml(str) {
     .replaceAll("'", "&#039;");
 }
 
-function keyLabel(k) {
+const BOOKING_TYPE_LABELS = {
+  hotel: "Hotel booking",
+  taxi: "Taxi booking",
+  activity: "Activity booking"
+};
+
+/**
+ * "Hotel booking" / "Taxi booking" / "Activity booking" (also used for email subjects).
+ */
+export function bookingTypeLabel(type) {
+  return BOOKING_TYPE_LABELS[type] || "Booking";
+}
+
+export function keyLabel(k) {
   const map = {
     hotelNameOrArea: "Hotel area / name",
     checkIn: "Check-in",
@@ -43,6 +56,28 @@ function keyLabel(k) {
     passengers: "Passengers",
     luggage: "Luggage",
     notes: "Notes",
+    fareEstimate: "Estimated fare",
+    stops: "Stops",
+    returnDate: "Return date",
+    returnTime: "Return time",
+    flightNumber: "Flight",
+    flightMode: "Arrival / departure",
+    flightDate: "Flight date",
+    flightTime: "Scheduled flight time",
+    flightAirline: "Airline",
+    flightAirport: "Other airport",
+
+    activityName: "Activity",
+    activityArea: "Area",
+    date: "Date",
+    timeSlot: "Time slot",
+    participants: "Participants",
+    pickupFromHotel: "Hotel pickup",
+    activityUrl: "Activity page",
+
+    cancellationReason: "Cancellation reason",
+    declineReason: "Reason",
+    provider: "Provider",
 
     externalLink: "Booking link",
     taxiWhatsAppLink: "WhatsApp link"
@@ -50,6 +85,18 @@ function keyLabel(k) {
   return map[k] || k;
 }
 
+// Booking fields for display (pickupFromHotel is a boolean, taxi stops a list)
+export function displayValue(v) {
+  if (typeof v === "boolean") return v ? "Yes" : "No";
+  if (Array.isArray(v)) return v.join(", ");
+  return v;
+}
+
+// Unset optional fields (no stops, no return leg…) are left out of tables
+export function hasValue(v) {
+  return v !== "" && v != null && !(Array.isArray(v) && !v.length);
+}
+
 function emailShell({ title, subtitle, contentHtml }) {
   return `
   <div style="background:#f3f4f6;padding:24px 12px;">
@@ -103,17 +150,29 @@ export function bookingEmailTemplate({
   details,
   externalLink = null,
   taxiWhatsAppLink = null,
-  qrUrl = null
+  qrUrl = null,
+  title = "Booking confirmation",
+  intro = null,
+  summaryHtml = "",
+  sharedBy = null
 }) {
-  const niceType = bookingType === "hotel" ? "Hotel booking" : "Taxi booking";
-
-  const HIDE_KEYS = new Set(["type", "externalLink", "taxiWhatsAppLink", "qrUrl"]);
+  const niceType = bookingTypeLabel(bookingType);
+
+  const HIDE_KEYS = new Set([
+    "type",
+    "lang",
+    "externalLink",
+    "taxiWhatsAppLink",
+    "qrUrl",
+    "catalogItemId",
+    "activityUrl"
+  ]);
 
   const rows = Object.entries(details || {})
-    .filter(([k]) => !HIDE_KEYS.has(k))
+    .filter(([k, v]) => !HIDE_KEYS.has(k) && hasValue(v))
     .map(([k, v]) => {
       const label = keyLabel(k);
-      const value = escapeHtml(v);
+      const value = escapeHtml(displayValue(v));
       return `
         <tr>
           <td style="padding:10px 12px;border:1px solid #e5e7eb;background:#f9fafb;font-weight:700;width:40%;">
@@ -127,8 +186,17 @@ export function bookingEmailTemplate({
     .join("");
 
   const isTaxi = bookingType === "taxi";
-  const primaryTitle = isTaxi ? "Open your route" : "Continue on booking partner";
-  const primaryLabel = isTaxi ? "Open Google Maps route →" : "Open booking link →";
+  const isActivity = bookingType === "activity";
+  const primaryTitle = isTaxi
+    ? "Open your route"
+    : isActivity
+      ? "Your activity"
+      : "Continue on booking partner";
+  const primaryLabel = isTaxi
+    ? "Open Google Maps route →"
+    : isActivity
+      ? "Open activity page →"
+      : "Open booking link →";
 
   const linkBlock = externalLink
     ? `
@@ -158,7 +226,7 @@ export function bookingEmailTemplate({
     ? `
       <div style="margin-top:14px;">
         <div style="font-weight:700;margin-bottom:8px;">
-          ${isTaxi ? "Scan QR to open the route" : "Scan QR to open link"}
+          ${isTaxi ? "Scan QR to open the route" : isActivity ? "Scan QR to open the activity page" : "Scan QR to open link"}
         </div>
         <img src="${escapeHtml(qrUrl)}"
              alt="Booking QR code"
@@ -170,8 +238,15 @@ export function bookingEmailTemplate({
   const contentHtml = `
     <p style="margin:0 0 10px 0;">Hello <b>${escapeHtml(username)}</b>,</p>
     <p style="margin:0 0 14px 0;color:#374151;">
-      Your <b>${escapeHtml(niceType)}</b> request has been received.
+      ${intro ? escapeHtml(intro) : `Your <b>${escapeHtml(niceType)}</b> request has been received.`}
     </p>
+    ${
+      sharedBy
+        ? `<p style="margin:0 0 14px 0;color:#6b7280;font-size:13px;">Shared with you by <b>${escapeHtml(sharedBy)}</b>.</p>`
+        : ""
+    }
+
+    ${summaryHtml}
 
     <table style="border-collapse:collapse;width:100%;font-size:14px;">
       <tbody>${rows}</tbody>
@@ -182,12 +257,419 @@ export function bookingEmailTemplate({
   `;
 
   return emailShell({
-    title: "Booking confirmation",
+    title,
     subtitle: niceType,
     contentHtml
   });
 }
 
+/**
+ * "Booking updated": what changed (before -> after), then the full
+ * updated booking with fresh link and QR.
+ * changes: [{ field, before, after }]
+ */
+export function bookingUpdatedEmailTemplate({
+  username,
+  bookingType,
+  details,
+  changes = [],
+  externalLink = null,
+  qrUrl = null,
+  sharedBy = null
+}) {
+  const niceType = bookingTypeLabel(bookingType).toLowerCase();
+
+  const changeRows = changes
+    .map(
+      (c) => `
+        <tr>
+          <td style="padding:8px 12px;border:1px solid #e5e7eb;background:#f9fafb;font-weight:700;width:30%;">
+            ${escapeHtml(keyLabel(c.field))}
+          </td>
+          <td style="padding:8px 12px;border:1px solid #e5e7eb;color:#6b7280;text-decoration:line-through;">
+            ${escapeHtml(displayValue(c.before))}
+          </td>
+          <td style="padding:8px 12px;border:1px solid #e5e7eb;font-weight:700;">
+            ${escapeHtml(displayValue(c.after))}
+          </td>
+        </tr>`
+    )
+    .join("");
+
+  const summaryHtml = changeRows
+    ? `
+      <div style="font-weight:700;margin-bottom:8px;">What changed</div>
+      <table style="border-collapse:collapse;width:100%;font-size:14px;margin-bottom:16px;">
+        <tbody>${changeRows}</tbody>
+      </table>
+      <div style="font-weight:700;margin-bottom:8px;">Updated booking</div>
+    `
+    : "";
+
+  return bookingEmailTemplate({
+    username,
+    bookingType,
+    details,
+    externalLink,
+    qrUrl,
+    title: "Booking updated",
+    intro: `Your ${niceType} has been updated.`,
+    summaryHtml,
+    sharedBy
+  });
+}
+
+/**
+ * Cancellation notice: same details table as the confirmation,
+ * without the partner link / QR (they no longer apply).
+ */
+export function bookingCancelledEmailTemplate({
+  username,
+  bookingType,
+  details,
+  reason = "",
+  sharedBy = null
+}) {
+  const niceType = bookingTypeLabel(bookingType).toLowerCase();
+
+  return bookingEmailTemplate({
+    username,
+    bookingType,
+    details: reason ? { ...details, cancellationReason: reason } : details,
+    title: "Booking cancelled",
+    intro: `Your ${niceType} has been cancelled. No further action is needed on your side.`,
+    sharedBy
+  });
+}
+
+/**
+ * Hotel / activity booking confirmed or declined by the back office
+ * (POST /api/bookings/:id/status). Taxis get taxiDispatchEmailTemplate instead.
+ */
+export function bookingStatusEmailTemplate({
+  username,
+  bookingType,
+  details,
+  status,
+  reason = "",
+  externalLink = null,
+  sharedBy = null
+}) {
+  const niceType = bookingTypeLabel(bookingType).toLowerCase();
+
+  if (status === "declined") {
+    return bookingEmailTemplate({
+      username,
+      bookingType,
+      details: reason ? { ...details, declineReason: reason } : details,
+      title: "Booking declined",
+      intro: `Unfortunately your ${niceType} could not be confirmed. You can book another option in the app.`,
+      sharedBy
+    });
+  }
+
+  return bookingEmailTemplate({
+    username,
+    bookingType,
+    details,
+    externalLink,
+    title: "Booking confirmed",
+    intro: `Good news: your ${niceType} is confirmed.`,
+    sharedBy
+  });
+}
+
+/**
+ * The taxi operator's answer (routes/operator.routes.js).
+ * accepted: driver / vehicle / ETA block above the booking details;
+ * declined: the reason, and a hint to book again.
+ * dispatch: row of taxi_dispatches
+ */
+export function taxiDispatchEmailTemplate({
+  username,
+  details,
+  dispatch,
+  providerName,
+  sharedBy = null
+}) {
+  if (dispatch.decision === "declined") {
+    return bookingEmailTemplate({
+      username,
+      sharedBy,
+      bookingType: "taxi",
+      details: dispatch.reason ? { ...details, declineReason: dispatch.reason } : details,
+      title: "Taxi request declined",
+      intro: `${providerName} cannot take your taxi request. You can book again; another provider may be available.`
+    });
+  }
+
+  const driverRows = [
+    ["Driver", dispatch.driver_name],
+    ["Driver phone", dispatch.driver_phone],
+    ["Vehicle", dispatch.vehicle],
+    ["Plate", dispatch.plate],
+    ["Arrives at pickup", dispatch.eta]
+  ]
+    .filter(([, v]) => hasValue(v))
+    .map(
+      ([label, v]) => `
+        <tr>
+          <td style="padding:8px 12px;border:1px solid #e5e7eb;background:#f9fafb;font-weight:700;width:40%;">
+            ${escapeHtml(label)}
+          </td>
+          <td style="padding:8px 12px;border:1px solid #e5e7eb;">${escapeHtml(v)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const summaryHtml = `
+    <div style="font-weight:700;margin-bottom:8px;">Your driver</div>
+    <table style="border-collapse:collapse;width:100%;font-size:14px;margin-bottom:16px;">
+      <tbody>${driverRows}</tbody>
+    </table>
+    <div style="font-weight:700;margin-bottom:8px;">Booking</div>
+  `;
+
+  return bookingEmailTemplate({
+    username,
+    sharedBy,
+    bookingType: "taxi",
+    details,
+    title: "Taxi confirmed",
+    intro: `${providerName} accepted your taxi request.`,
+    summaryHtml
+  });
+}
+
+/**
+ * Pre-trip reminder (utils/reminders.js).
+ * kind: taxi_24h | taxi_2h | taxi_return_24h | taxi_return_2h | hotel_day_before
+ * leg: the taxi leg the reminder is about (see utils/taxiLegs.js)
+ */
+export function bookingReminderEmailTemplate({
+  username,
+  bookingType,
+  kind,
+  details,
+  leg = null,
+  externalLink = null,
+  taxiWhatsAppLink = null
+}) {
+  const d = details || {};
+  const ride = leg?.kind === "return" ? "Your return taxi" : "Your taxi";
+  const time = leg?.time || d.pickupTime;
+  const from = leg?.from || d.pickupLocation;
+
+  const intro = kind.endsWith("_24h")
+    ? `${ride} picks you up tomorrow at ${time} from ${from}.`
+    : kind.endsWith("_2h")
+      ? `${ride} picks you up in about 2 hours (${time}) from ${from}.`
+      : `You check in tomorrow (${d.checkIn}) at ${d.hotelNameOrArea}.`;
+
+  return bookingEmailTemplate({
+    username,
+    bookingType,
+    details,
+    externalLink,
+    taxiWhatsAppLink,
+    title: "Trip reminder",
+    intro
+  });
+}
+
+/**
+ * Whole-trip itinerary: chronological entries + warnings from findItineraryGaps.
+ * items: output of buildItinerary()
+ */
+export function itineraryEmailTemplate({ username, trip, items = [], gaps = [] }) {
+  const dates =
+    trip.start_date && trip.end_date ? `${trip.start_date} → ${trip.end_date}` : "Dates not set";
+
+  const travellers = Array.isArray(trip.travellers) ? trip.travellers : [];
+
+  const itemRows = items
+    .map(
+      (it) => `
+        <tr>
+          <td style="padding:10px 12px;border:1px solid #e5e7eb;background:#f9fafb;font-weight:700;width:32%;white-space:nowrap;">
+            ${escapeHtml(it.date || "—")} ${escapeHtml(it.time || "")}
+          </td>
+          <td style="padding:10px 12px;border:1px solid #e5e7eb;">
+            ${
+              it.link
+                ? `<a href="${escapeHtml(it.link)}" style="color:${BRAND.accent};text-decoration:none;font-weight:700;">${escapeHtml(it.title)}</a>`
+                : escapeHtml(it.title)
+            }
+          </td>
+        </tr>`
+    )
+    .join("");
+
+  const gapBlock = gaps.length
+    ? `
+      <div style="margin-top:14px;padding:12px;border:1px solid #fde68a;border-radius:14px;background:#fffbeb;">
+        <div style="font-weight:700;margin-bottom:6px;">Things to check</div>
+        <ul style="margin:0 0 0 18px;padding:0;color:#92400e;">
+          ${gaps.map((g) => `<li>${escapeHtml(g.message)}</li>`).join("")}
+        </ul>
+      </div>
+    `
+    : "";
+
+  const contentHtml = `
+    <p style="margin:0 0 10px 0;">Hello <b>${escapeHtml(username)}</b>,</p>
+    <p style="margin:0 0 6px 0;color:#374151;">Here is the itinerary for <b>${escapeHtml(trip.name)}</b>.</p>
+    <p style="margin:0 0 14px 0;color:#6b7280;font-size:13px;">
+      ${escapeHtml(dates)}${
+        travellers.length
+          ? ` · Travellers: ${escapeHtml(travellers.map((t) => t.name).join(", "))}`
+          : ""
+      }
+    </p>
+
+    ${
+      itemRows
+        ? `<table style="border-collapse:collapse;width:100%;font-size:14px;"><tbody>${itemRows}</tbody></table>`
+        : `<p style="margin:0;color:#374151;">No bookings in this trip yet.</p>`
+    }
+
+    ${gapBlock}
+  `;
+
+  return emailShell({
+    title: "Your trip itinerary",
+    subtitle: trip.name,
+    contentHtml
+  });
+}
+
+/**
+ * Invitation to a shared booking or trip (utils/sharing.js).
+ * what: "Taxi booking TB-000012" or the trip name; role: viewer | editor
+ */
+export function shareInviteEmailTemplate({ inviterName, what, role, acceptUrl, expiresAt }) {
+  const access =
+    role === "editor"
+      ? "You will be able to see, edit and cancel it, and you will receive its booking emails."
+      : "You will be able to see it and you will receive its booking emails.";
+
+  const expires = expiresAt ? new Date(expiresAt).toISOString().slice(0, 10) : "";
+
+  const contentHtml = `
+    <p style="margin:0 0 10px 0;">Hello,</p>
+    <p style="margin:0 0 6px 0;color:#374151;">
+      <b>${escapeHtml(inviterName)}</b> shared <b>${escapeHtml(what)}</b> with you on ${BRAND.name}.
+    </p>
+    <p style="margin:0 0 14px 0;color:#374151;">${escapeHtml(access)}</p>
+
+    <a href="${escapeHtml(acceptUrl)}"
+       style="display:inline-block;background:${BRAND.accent};color:#fff;text-decoration:none;font-weight:700;padding:10px 14px;border-radius:12px;">
+      Accept invitation →
+    </a>
+
+    <p style="margin:14px 0 0 0;color:#6b7280;font-size:13px;">
+      No account yet? You can create one with this email address from the same link.${
+        expires ? ` The invitation expires on ${escapeHtml(expires)}.` : ""
+      }
+    </p>
+  `;
+
+  return emailShell({
+    title: "You have been invited",
+    subtitle: what,
+    contentHtml
+  });
+}
+
+/**
+ * Signup address check (utils/emailVerification.js).
+ */
+export function emailVerificationEmailTemplate({ username, verifyUrl, expiresInHours }) {
+  const contentHtml = `
+    <p style="margin:0 0 10px 0;">Hello <b>${escapeHtml(username)}</b>,</p>
+    <p style="margin:0 0 14px 0;color:#374151;">
+      Please confirm this is your email address. Booking confirmations, vouchers and reminders are sent here.
+    </p>
+
+    <a href="${escapeHtml(verifyUrl)}"
+       style="display:inline-block;background:${BRAND.accent};color:#fff;text-decoration:none;font-weight:700;padding:10px 14px;border-radius:12px;">
+      Verify my email →
+    </a>
+
+    <p style="margin:14px 0 0 0;color:#6b7280;font-size:13px;">
+      The link expires in ${escapeHtml(expiresInHours)} hours; you can ask for a new one from the app.
+      If you did not create a ${BRAND.name} account, ignore this email.
+    </p>
+  `;
+
+  return emailShell({
+    title: "Confirm your email",
+    subtitle: "One last step",
+    contentHtml
+  });
+}
+
+/**
+ * Password reset link (utils/passwordReset.js).
+ */
+export function passwordResetEmailTemplate({ username, resetUrl, expiresInMinutes }) {
+  const contentHtml = `
+    <p style="margin:0 0 10px 0;">Hello <b>${escapeHtml(username)}</b>,</p>
+    <p style="margin:0 0 14px 0;color:#374151;">
+      We received a request to reset your ${BRAND.name} password. Choose a new one with the button below.
+    </p>
+
+    <a href="${escapeHtml(resetUrl)}"
+       style="display:inline-block;background:${BRAND.accent};color:#fff;text-decoration:none;font-weight:700;padding:10px 14px;border-radius:12px;">
+      Choose a new password →
+    </a>
+
+    <p style="margin:14px 0 0 0;color:#6b7280;font-size:13px;">
+      The link works once and expires in ${escapeHtml(expiresInMinutes)} minutes. Resetting your password
+      signs you out on every device. If you did not ask for this, ignore this email: your password stays the same.
+    </p>
+  `;
+
+  return emailShell({
+    title: "Reset your password",
+    subtitle: "Account security",
+    contentHtml
+  });
+}
+
+/**
+ * Sign-in blocked after repeated wrong passwords (utils/loginLockout.js).
+ */
+export function accountLockedEmailTemplate({ username, lockedMinutes, ip, device, signInUrl }) {
+  const contentHtml = `
+    <p style="margin:0 0 10px 0;">Hello <b>${escapeHtml(username)}</b>,</p>
+    <p style="margin:0 0 14px 0;color:#374151;">
+      Someone entered the wrong password for your ${BRAND.name} account several times in a row,
+      so signing in is blocked for the next ${escapeHtml(lockedMinutes)} minutes.
+    </p>
+
+    <p style="margin:0 0 14px 0;color:#374151;font-size:13px;">
+      Last attempt: ${escapeHtml(device)}${ip ? ` · IP ${escapeHtml(ip)}` : ""}
+    </p>
+
+    <a href="${escapeHtml(signInUrl)}"
+       style="display:inline-block;background:${BRAND.accent};color:#fff;text-decoration:none;font-weight:700;padding:10px 14px;border-radius:12px;">
+      Go to sign-in →
+    </a>
+
+    <p style="margin:14px 0 0 0;color:#6b7280;font-size:13px;">
+      If this was you, wait and try again, or use "Forgot password" to choose a new one.
+      If it was not you, your password is still safe, but resetting it signs out every device.
+    </p>
+  `;
+
+  return emailShell({
+    title: "Sign-in attempts blocked",
+    subtitle: "Account security",
+    contentHtml
+  });
+}
+
 // -------------------------
 // Sending
 // -------------------------
@@ -235,15 +717,26 @@ async function sendViaResend({ to, subject, html, attachments }) {
 
   const from = getFromAddress();
 
-  // Resend attachments must be base64 or Buffer; your current code passes [] anyway.
-  // If you later add attachments, we can extend this.
+  // Resend wants Buffer/base64 content; ours may be plain text (.ics) or base64 (PDF)
+  const files = (attachments || []).map((a) => ({
+    filename: a.filename,
+    content: Buffer.isBuffer(a.content) ? a.content : Buffer.from(String(a.content), a.encoding || "utf8"),
+    ...(a.contentType ? { contentType: a.contentType } : {})
+  }));
+
   const resp = await resend.emails.send({
     from,
     to,
     subject,
-    html
+    html,
+    ...(files.length ? { attachments: files } : {})
   });
 
+  // Resend reports API failures in the response instead of throwing
+  if (resp?.error) {
+    throw new Error(`Resend error: ${resp.error.message || resp.error.name || "unknown"}`);
+  }
+
   return resp;
 }
 
@@ -0,0 +1,105 @@
+// server/src/utils/emailVerification.js
+import { q } from "../db.js";
+import { enqueueJob, kickOutbox } from "./outbox.js";
+import { emailVerificationEmailTemplate, welcomeEmailTemplate } from "./email.js";
+import { getClientBaseUrl } from "./serverUrl.js";
+import { readExpiringToken, signExpiringToken } from "./signing.js";
+
+/**
+ * Email verification: signup (and the resend endpoint) mails a signed link;
+ * opening it marks users.email_verified. The token carries the user id and
+ * the address it was sent to, so it stops working if the email changes.
+ * No table: a resent link does not invalidate the previous one.
+ */
+
+export const EMAIL_VERIFICATION_TTL_HOURS = Number(
+  process.env.EMAIL_VERIFICATION_TTL_HOURS || 48
+);
+
+const PURPOSE = "verify-email";
+
+export function emailVerificationUrl(token) {
+  return `${getClientBaseUrl()}/?verify=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Queue the verification email for { id, email, username }.
+ */
+export async function sendVerificationEmail(user) {
+  const token = signExpiringToken(
+    PURPOSE,
+    { u: user.id, e: String(user.email).toLowerCase() },
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+
+  const job = await enqueueJob({
+    kind: "email.send",
+    purpose: "email_verification",
+    userId: user.id,
+    payload: {
+      to: user.email,
+      subject: "Confirm your email address",
+      html: emailVerificationEmailTemplate({
+        username: user.username,
+        verifyUrl: emailVerificationUrl(token),
+        expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+      })
+    }
+  });
+
+  kickOutbox();
+  return job;
+}
+
+/**
+ * Consume a verification link. The welcome email goes out on first verification.
+ * Returns { ok: true, user, alreadyVerified } or { ok: false, status, error }.
+ */
+export async function verifyEmail(token) {
+  const r = readExpiringToken(PURPOSE, token);
+  if (!r.ok) {
+    return r.reason === "expired"
+      ? { ok: false, status: 410, error: "This verification link has expired, ask for a new one" }
+      : { ok: false, status: 400, error: "Invalid verification link" };
+  }
+
+  const found = await q("SELECT id, email, username, email_verified FROM users WHERE id=$1", [
+    Number(r.data.u) || 0
+  ]);
+  const user = found.rows[0];
+
+  if (!user || String(user.email).toLowerCase() !== r.data.e) {
+    return { ok: false, status: 400, error: "Invalid verification link" };
+  }
+
+  const updated = await q(
+    `UPDATE users SET email_verified=TRUE, email_verified_at=NOW()
+     WHERE id=$1 AND NOT email_verified
+     RETURNING id`,
+    [user.id]
+  );
+  const view = { id: user.id, email: user.email, username: user.username, emailVerified: true };
+
+  if (updated.rows.length === 0) return { ok: true, user: view, alreadyVerified: true };
+
+  const prefs = await q("SELECT preference FROM user_preferences WHERE user_id=$1 ORDER BY id", [
+    user.id
+  ]);
+
+  await enqueueJob({
+    kind: "email.send",
+    purpose: "welcome",
+    userId: user.id,
+    payload: {
+      to: user.email,
+      subject: "Welcome to Travel Buddy",
+      html: welcomeEmailTemplate({
+        username: user.username,
+        preferences: prefs.rows.map((p) => p.preference)
+      })
+    }
+  });
+  kickOutbox();
+
+  return { ok: true, user: view, alreadyVerified: false };
+}
@@ -0,0 +1,159 @@
+// server/src/utils/flights.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { addDaysIso, parseIsoDate, parseIsoTime } from "./datetime.js";
+
+/**
+ * Flight schedules for airport transfers (SSR International Airport).
+ *
+ * A taxi booking with a flight gets its pickup time from the schedule:
+ *   arrival    scheduled landing + FLIGHT_ARRIVAL_BUFFER_MINUTES (default 45)
+ *   departure  scheduled take-off - FLIGHT_DEPARTURE_LEAD_MINUTES (default 180)
+ *
+ * FLIGHT_PROVIDER picks the schedule source:
+ *   fixture   weekly timetable in src/db/fixtures/flights.json (default;
+ *             FLIGHT_FIXTURES points to another file)
+ *
+ * Provider interface:
+ *   lookupFlight(flightNumber, date) -> {
+ *     flightNumber, airline,
+ *     direction: "arrival" | "departure",   seen from Mauritius
+ *     airport,                              the other end (IATA code)
+ *     date, time                            local Mauritius date / HH:MM at SSR
+ *   } | null                                no such flight that day
+ */
+
+export const FLIGHT_MODES = ["arrival", "departure"];
+
+const ARRIVAL_BUFFER_MINUTES = Number(process.env.FLIGHT_ARRIVAL_BUFFER_MINUTES || 45);
+const DEPARTURE_LEAD_MINUTES = Number(process.env.FLIGHT_DEPARTURE_LEAD_MINUTES || 180);
+
+/**
+ * IATA flight number ("mk 015", "MK-15" -> "MK15"), or null when it is not one:
+ * 2-character airline code (not two digits), 1-4 digits, optional suffix letter.
+ */
+export function normalizeFlightNumber(value) {
+  const s = String(value || "")
+    .toUpperCase()
+    .replace(/[\s-]/g, "");
+
+  const m = s.match(/^([A-Z]{2}|[A-Z]\d|\d[A-Z])(\d{1,4})([A-Z]?)$/);
+  if (!m) return null;
+
+  return `${m[1]}${Number(m[2])}${m[3]}`;
+}
+
+// -------------------------
+// Fixture timetable
+// -------------------------
+function fixturePath() {
+  if (process.env.FLIGHT_FIXTURES) return path.resolve(process.env.FLIGHT_FIXTURES);
+
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  return path.join(__dirname, "..", "db", "fixtures", "flights.json");
+}
+
+let fixtureCache = null;
+
+async function loadFixtures() {
+  if (!fixtureCache) {
+    const raw = await fs.promises.readFile(fixturePath(), "utf8");
+    fixtureCache = JSON.parse(raw).map((f) => ({
+      ...f,
+      flightNumber: normalizeFlightNumber(f.flightNumber)
+    }));
+  }
+  return fixtureCache;
+}
+
+// 1 = Monday … 7 = Sunday
+function isoWeekday(date) {
+  const d = parseIsoDate(date);
+  return new Date(Date.UTC(d.year, d.month - 1, d.day)).getUTCDay() || 7;
+}
+
+const fixtureProvider = {
+  name: "fixture",
+
+  async lookupFlight(flightNumber, date) {
+    const number = normalizeFlightNumber(flightNumber);
+    if (!number || !parseIsoDate(date)) return null;
+
+    const weekday = isoWeekday(date);
+    const f = (await loadFixtures()).find(
+      (x) => x.flightNumber === number && (!x.days?.length || x.days.includes(weekday))
+    );
+    if (!f) return null;
+
+    return {
+      flightNumber: f.flightNumber,
+      airline: f.airline || "",
+      direction: f.direction,
+      airport: f.airport || "",
+      date,
+      time: f.time
+    };
+  }
+};
+
+const PROVIDERS = { fixture: fixtureProvider };
+
+/**
+ * Provider from FLIGHT_PROVIDER.
+ */
+export function flightProvider() {
+  const name = String(process.env.FLIGHT_PROVIDER || "fixture")
+    .toLowerCase()
+    .trim();
+
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown FLIGHT_PROVIDER: ${name} (use fixture)`);
+  return provider;
+}
+
+// -------------------------
+// Pickup time
+// -------------------------
+
+// Local date + HH:MM shifted by `minutes` (may roll over to the day before / after)
+function shiftLocal(date, time, minutes) {
+  const t = parseIsoTime(time);
+  const total = t.hour * 60 + t.minute + minutes;
+  const dayShift = Math.floor(total / 1440);
+  const m = total - dayShift * 1440;
+
+  return {
+    date: addDaysIso(date, dayShift),
+    time: `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`
+  };
+}
+
+/**
+ * Pickup for a taxi booking with a flight ({ flightNumber, flightMode, flightDate }).
+ * Returns { ok: true, flight, pickupDate, pickupTime } or { ok: false, error }.
+ */
+export async function flightTransferPickup({ flightNumber, flightMode, flightDate }) {
+  const flight = await flightProvider().lookupFlight(flightNumber, flightDate);
+  if (!flight) {
+    return { ok: false, error: `Flight ${flightNumber} not found on ${flightDate}` };
+  }
+
+  if (flight.direction !== flightMode) {
+    return {
+      ok: false,
+      error:
+        flight.direction === "arrival"
+          ? `Flight ${flight.flightNumber} lands in Mauritius, book it as an arrival`
+          : `Flight ${flight.flightNumber} leaves Mauritius, book it as a departure`
+    };
+  }
+
+  const pickup =
+    flightMode === "arrival"
+      ? shiftLocal(flight.date, flight.time, ARRIVAL_BUFFER_MINUTES)
+      : shiftLocal(flight.date, flight.time, -DEPARTURE_LEAD_MINUTES);
+
+  return { ok: true, flight, pickupDate: pickup.date, pickupTime: pickup.time };
+}
@@ -1,4 +1,8 @@
 import { google } from "googleapis";
+import { appTimeZone, parseTimeSlot, zonedDateTimeToUtc } from "./datetime.js";
+import { taxiLegs } from "./taxiLegs.js";
+
+const ACTIVITY_DEFAULT_HOURS = 3;
 
 function required(name) {
   const v = process.env[name];
@@ -65,15 +69,83 @@ export function buildAuthUrl({ state, req } = {}) {
   });
 }
 
-export function calendarEventFromBooking({ type, details, externalLink, qrUrl }) {
-  const now = new Date();
+// "Flight: MK15 (Air Mauritius, lands 06:45 from CDG)"
+function flightLine(details) {
+  const departs = details.flightMode === "departure";
+  const schedule = details.flightTime
+    ? `${departs ? "takes off" : "lands"} ${details.flightTime}` +
+      (details.flightAirport ? ` ${departs ? "to" : "from"} ${details.flightAirport}` : "")
+    : "";
+  const extra = [details.flightAirline, schedule].filter(Boolean).join(", ");
+
+  return `Flight: ${details.flightNumber}${extra ? ` (${extra})` : ""}`;
+}
+
+/**
+ * Timed event for one taxi leg (utils/taxiLegs.js).
+ */
+function taxiLegEvent(leg, { details, legCount, metaLines, timeZone }) {
+  const label = leg.kind === "return" ? "Taxi (return)" : "Taxi";
+  // Airport transfer: the flight belongs to the outbound ride
+  const flight = leg.kind === "outbound" && details.flightNumber ? details.flightNumber : "";
+  const title =
+    `🚕 ${label} — ${leg.from || "Pickup"} → ${leg.to || "Dropoff"}` +
+    (flight ? ` · ✈️ ${flight}` : "");
+  const description =
+    (legCount > 1 ? `Leg ${leg.index + 1} of ${legCount}\n` : "") +
+    (flight ? `${flightLine(details)}\n` : "") +
+    (leg.stops.length ? `Stops: ${leg.stops.join(" → ")}\n` : "") +
+    `Passengers: ${details.passengers}\n` +
+    (details.luggage ? `Luggage: ${details.luggage}\n` : "") +
+    (details.notes ? `Notes: ${details.notes}\n` : "") +
+    metaLines;
+
+  // Pickup date/time are Mauritius wall-clock values, not server-local time
+  const startDateTime = zonedDateTimeToUtc(leg.date, leg.time, timeZone);
+  if (!startDateTime) {
+    throw new Error(
+      `Invalid taxi pickup date/time: "${leg.date} ${leg.time}" (expected YYYY-MM-DD HH:mm)`
+    );
+  }
+
+  const endDateTime = new Date(startDateTime.getTime() + 60 * 60 * 1000);
+
+  return {
+    summary: title,
+    description,
+    start: { dateTime: startDateTime.toISOString(), timeZone },
+    end: { dateTime: endDateTime.toISOString(), timeZone }
+  };
+}
+
+/**
+ * Calendar events for a booking: one per taxi leg (outbound, return),
+ * a single one for hotels and activities.
+ */
+export function calendarEventsFromBooking({ type, details, externalLink, qrUrl }) {
+  if (type !== "taxi") return [calendarEventFromBooking({ type, details, externalLink, qrUrl })];
 
+  const linkLine = externalLink ? `\nBooking link: ${externalLink}` : "";
+  const qrLine = qrUrl ? `\nQR code: ${qrUrl}` : "";
+  const legs = taxiLegs(details);
+
+  return legs.map((leg) =>
+    taxiLegEvent(leg, {
+      details,
+      legCount: legs.length,
+      metaLines: `${linkLine}${qrLine}`,
+      timeZone: appTimeZone()
+    })
+  );
+}
+
+export function calendarEventFromBooking({ type, details, externalLink, qrUrl }) {
   const linkLine = externalLink ? `\nBooking link: ${externalLink}` : "";
   const qrLine = qrUrl ? `\nQR code: ${qrUrl}` : "";
   const metaLines = `${linkLine}${qrLine}`;
 
   // You can set this to your actual desired timezone
-  const TIME_ZONE = process.env.APP_TIMEZONE || "Indian/Mauritius";
+  const TIME_ZONE = appTimeZone();
 
   if (type === "hotel") {
     const checkIn = details.checkIn;
@@ -95,42 +167,140 @@ export function calendarEventFromBooking({ type, details, externalLink, qrUrl })
     };
   }
 
-  // Taxi: timed event
-  const title = `🚕 Taxi — ${details.pickupLocation || "Pickup"} → ${details.dropoffLocation || "Dropoff"}`;
-  const description =
-    `Passengers: ${details.passengers}\n` +
-    (details.luggage ? `Luggage: ${details.luggage}\n` : "") +
-    (details.notes ? `Notes: ${details.notes}\n` : "") +
-    metaLines;
+  if (type === "activity") {
+    const slot = parseTimeSlot(details.timeSlot);
+    const startDateTime = slot && zonedDateTimeToUtc(details.date, slot.start, TIME_ZONE);
+    if (!startDateTime) {
+      throw new Error(
+        `Invalid activity date/time slot: "${details.date} ${details.timeSlot}" (expected YYYY-MM-DD HH:mm[-HH:mm])`
+      );
+    }
 
-  let startDateTime = new Date(`${details.pickupDate}T${details.pickupTime}:00`);
-  if (Number.isNaN(startDateTime.getTime())) startDateTime = now;
+    // No end in the slot: assume a half-day outing
+    const endDateTime = slot.end
+      ? zonedDateTimeToUtc(details.date, slot.end, TIME_ZONE)
+      : new Date(startDateTime.getTime() + ACTIVITY_DEFAULT_HOURS * 60 * 60 * 1000);
 
-  const endDateTime = new Date(startDateTime.getTime() + 60 * 60 * 1000);
+    const title = `🎟️ Activity — ${details.activityName || "Activity"}`;
+    const description =
+      `Participants: ${details.participants}\n` +
+      (details.activityArea ? `Area: ${details.activityArea}\n` : "") +
+      (details.pickupFromHotel ? `Hotel pickup: ${details.pickupLocation}\n` : "") +
+      (details.notes ? `Notes: ${details.notes}\n` : "") +
+      metaLines;
 
+    return {
+      summary: title,
+      description,
+      start: { dateTime: startDateTime.toISOString(), timeZone: TIME_ZONE },
+      end: { dateTime: endDateTime.toISOString(), timeZone: TIME_ZONE }
+    };
+  }
+
+  // Taxi: timed event for the outbound leg (calendarEventsFromBooking gives every leg)
+  const legs = taxiLegs(details);
+  return taxiLegEvent(legs[0], { details, legCount: legs.length, metaLines, timeZone: TIME_ZONE });
+}
+
+/**
+ * Map a user_google_tokens row to the credentials shape expected by OAuth2.setCredentials.
+ */
+export function googleTokensFromRow(row) {
   return {
-    summary: title,
-    description,
-    start: { dateTime: startDateTime.toISOString(), timeZone: TIME_ZONE },
-    end: { dateTime: endDateTime.toISOString(), timeZone: TIME_ZONE }
+    access_token: row.access_token,
+    refresh_token: row.refresh_token,
+    scope: row.scope,
+    token_type: row.token_type,
+    expiry_date: row.expiry_date
   };
 }
 
-export async function insertEvent({ tokens, type, details, externalLink, qrUrl }) {
+function defaultCalendarId() {
+  return String(process.env.GOOGLE_CALENDAR_ID || "primary").trim();
+}
+
+function calendarApi(tokens) {
   const oAuth2Client = makeOAuthClient();
   oAuth2Client.setCredentials(tokens);
 
-  const calendar = google.calendar({ version: "v3", auth: oAuth2Client });
+  return google.calendar({ version: "v3", auth: oAuth2Client });
+}
 
-  const event = calendarEventFromBooking({ type, details, externalLink, qrUrl });
+/**
+ * event: ready-made event (e.g. one taxi leg); built from the booking otherwise.
+ */
+export async function insertEvent({
+  tokens,
+  type,
+  details,
+  externalLink,
+  qrUrl,
+  event = calendarEventFromBooking({ type, details, externalLink, qrUrl }),
+  calendarId = defaultCalendarId()
+}) {
+  const calendar = calendarApi(tokens);
 
   const resp = await calendar.events.insert({
-    calendarId: "primary",
+    calendarId,
     requestBody: event
   });
 
   return {
     eventId: resp?.data?.id || null,
+    calendarId,
     htmlLink: resp?.data?.htmlLink || null
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Replace the contents of an event previously created by insertEvent,
+ * so an edited booking keeps a single calendar entry.
+ */
+export async function updateEvent({
+  tokens,
+  eventId,
+  calendarId = defaultCalendarId(),
+  type,
+  details,
+  externalLink,
+  qrUrl,
+  event = calendarEventFromBooking({ type, details, externalLink, qrUrl })
+}) {
+  const calendar = calendarApi(tokens);
+
+  const resp = await calendar.events.update({
+    calendarId,
+    eventId,
+    requestBody: event
+  });
+
+  return {
+    eventId: resp?.data?.id || eventId,
+    calendarId,
+    htmlLink: resp?.data?.htmlLink || null
+  };
+}
+
+/**
+ * Remove an event created by insertEvent (e.g. booking cancelled).
+ * An event the user already deleted counts as removed.
+ */
+export async function deleteEvent({ tokens, eventId, calendarId = defaultCalendarId() }) {
+  const calendar = calendarApi(tokens);
+
+  try {
+    await calendar.events.delete({ calendarId, eventId, sendUpdates: "none" });
+    return { deleted: true };
+  } catch (e) {
+    if (isEventGoneError(e)) return { deleted: false, alreadyGone: true };
+    throw e;
+  }
+}
+
+/**
+ * True when Google says the event no longer exists (deleted by the user).
+ */
+export function isEventGoneError(err) {
+  const code = Number(err?.code || err?.response?.status || 0);
+  return code === 404 || code === 410;
+}
@@ -0,0 +1,165 @@
+// server/src/utils/ics.js
+import { calendarEventsFromBooking } from "./googleCalendar.js";
+import { taxiLegs } from "./taxiLegs.js";
+
+/**
+ * RFC 5545 (iCalendar) output for bookings, built from the same event data as
+ * the Google Calendar sync (calendarEventsFromBooking), for users who do not
+ * connect Google: single-booking .ics downloads/attachments and the
+ * personal subscription feed.
+ */
+
+const PRODID = "-//Travel Buddy//Bookings//EN";
+const UID_DOMAIN = "travel-buddy";
+
+// TEXT values: backslash, semicolon, comma and new lines are escaped
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded (CRLF + space), without splitting a UTF-8 character
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  let limit = 75;
+
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch, "utf8");
+    if (size + n > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += ch;
+    size += n;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+// 2026-12-01T06:00:00.000Z -> 20261201T060000Z
+function utcStamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// 2026-12-01 -> 20261201
+function dateValue(isoDate) {
+  return String(isoDate).replace(/-/g, "");
+}
+
+function icsStatus(bookingStatus) {
+  if (["cancelled", "declined", "no_show"].includes(bookingStatus)) return "CANCELLED";
+  if (bookingStatus === "requested") return "TENTATIVE";
+  return "CONFIRMED";
+}
+
+// leg 0 keeps the original UID, so subscribed calendars update the event they already have
+export function bookingUid(bookingId, leg = 0) {
+  return leg ? `booking-${bookingId}-leg${leg}@${UID_DOMAIN}` : `booking-${bookingId}@${UID_DOMAIN}`;
+}
+
+function eventLocation(booking, leg) {
+  const details = booking.details || {};
+  if (booking.type === "hotel") return details.hotelNameOrArea;
+  if (booking.type === "activity") {
+    return [details.activityName, details.activityArea].filter(Boolean).join(", ");
+  }
+  return taxiLegs(details)[leg]?.from || details.pickupLocation;
+}
+
+function legEventLines(booking, event, leg, now) {
+  const location = eventLocation(booking, leg);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${bookingUid(booking.id, leg)}`,
+    `DTSTAMP:${utcStamp(now)}`
+  ];
+
+  if (event.start.date) {
+    // all-day stay, DTEND (check-out) is exclusive like in Google Calendar
+    lines.push(`DTSTART;VALUE=DATE:${dateValue(event.start.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${dateValue(event.end.date)}`);
+  } else {
+    lines.push(`DTSTART:${utcStamp(event.start.dateTime)}`);
+    lines.push(`DTEND:${utcStamp(event.end.dateTime)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description.trim())}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (booking.external_link) lines.push(`URL:${booking.external_link}`);
+  lines.push(`STATUS:${icsStatus(booking.status)}`);
+  lines.push("END:VEVENT");
+
+  return lines;
+}
+
+/**
+ * VEVENT lines for one booking row ({ id, type, details, external_link, status }),
+ * one VEVENT per taxi leg.
+ */
+export function bookingEventLines(booking, { qrUrl = null, now = new Date() } = {}) {
+  const events = calendarEventsFromBooking({
+    type: booking.type,
+    details: booking.details || {},
+    externalLink: booking.external_link,
+    qrUrl
+  });
+
+  return events.flatMap((event, leg) => legEventLines(booking, event, leg, now));
+}
+
+/**
+ * Full VCALENDAR document (CRLF line endings, folded lines).
+ * name: shown by calendar apps for subscribed feeds.
+ */
+export function buildCalendar({ events = [], name = null, refreshHours = null }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH"
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshHours) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshHours}H`);
+  }
+
+  for (const ev of events) lines.push(...ev);
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * .ics for a single booking.
+ */
+export function bookingIcs(booking, { qrUrl = null } = {}) {
+  return buildCalendar({ events: [bookingEventLines(booking, { qrUrl })] });
+}
+
+/**
+ * Email attachment ({ filename, content, contentType }) for sendEmail.
+ */
+export function bookingIcsAttachment(booking, { qrUrl = null } = {}) {
+  return {
+    filename: `booking-${booking.id}.ics`,
+    content: bookingIcs(booking, { qrUrl }),
+    contentType: "text/calendar; charset=utf-8; method=PUBLISH"
+  };
+}
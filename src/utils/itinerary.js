@@ -0,0 +1,255 @@
+// server/src/utils/itinerary.js
+import { placeArea, resolvePlace } from "./places.js";
+import { taxiLegs } from "./taxiLegs.js";
+
+/**
+ * Turn a trip's bookings into one chronological itinerary and flag
+ * obvious gaps (taxi dropping off away from the hotel, nights without a stay…).
+ *
+ * Works on booking rows as stored: { id, type, details, status, external_link }.
+ */
+
+// Usual Mauritius hotel times, used only for ordering the itinerary
+const DEFAULT_CHECK_IN_TIME = "14:00";
+const DEFAULT_CHECK_OUT_TIME = "11:00";
+
+// Words that say nothing about *where* a place is
+const LOCATION_STOPWORDS = new Set([
+  "hotel",
+  "hôtel",
+  "resort",
+  "spa",
+  "villa",
+  "lodge",
+  "the",
+  "and",
+  "by",
+  "le",
+  "la",
+  "les",
+  "de",
+  "du",
+  "des",
+  "mauritius",
+  "maurice",
+  "ile"
+]);
+
+function stripAccents(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+function locationTokens(s) {
+  return stripAccents(String(s || "").toLowerCase())
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t.length > 1 && !LOCATION_STOPWORDS.has(t));
+}
+
+/**
+ * Loose "same area" check between two free-text locations:
+ * same gazetteer town/beach when both resolve, else a shared word.
+ */
+export function sameArea(a, b) {
+  const pa = placeArea(resolvePlace(a)?.place);
+  const pb = placeArea(resolvePlace(b)?.place);
+  if (pa && pb) return pa.id === pb.id;
+
+  const ta = locationTokens(a);
+  const tb = new Set(locationTokens(b));
+  if (!ta.length || !tb.size) return false;
+  return ta.some((t) => tb.has(t));
+}
+
+function dateOnly(s) {
+  const m = String(s || "").match(/^(\d{4}-\d{2}-\d{2})/);
+  return m ? m[1] : null;
+}
+
+function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function isActive(booking) {
+  return !["cancelled", "declined", "no_show"].includes(booking.status);
+}
+
+/**
+ * Chronological list of itinerary entries (check-in, transfers, activities, check-out).
+ */
+export function buildItinerary(bookings = []) {
+  const items = [];
+
+  for (const b of bookings.filter(isActive)) {
+    const d = b.details || {};
+
+    if (b.type === "hotel") {
+      items.push({
+        bookingId: b.id,
+        type: "hotel",
+        kind: "check_in",
+        date: dateOnly(d.checkIn),
+        time: DEFAULT_CHECK_IN_TIME,
+        title: `Check-in — ${d.hotelNameOrArea || "Hotel"}`,
+        location: d.hotelNameOrArea || "",
+        status: b.status,
+        link: b.external_link || null
+      });
+
+      items.push({
+        bookingId: b.id,
+        type: "hotel",
+        kind: "check_out",
+        date: dateOnly(d.checkOut),
+        time: DEFAULT_CHECK_OUT_TIME,
+        title: `Check-out — ${d.hotelNameOrArea || "Hotel"}`,
+        location: d.hotelNameOrArea || "",
+        status: b.status,
+        link: b.external_link || null
+      });
+    } else if (b.type === "taxi") {
+      // one entry per leg (outbound, return)
+      for (const leg of taxiLegs(d)) {
+        items.push({
+          bookingId: b.id,
+          type: "taxi",
+          kind: leg.kind === "return" ? "return_transfer" : "transfer",
+          leg: leg.index,
+          date: dateOnly(leg.date),
+          time: String(leg.time || "").slice(0, 5) || null,
+          title: `Taxi${leg.kind === "return" ? " (return)" : ""} — ${leg.from || "Pickup"} → ${leg.to || "Dropoff"}`,
+          location: leg.from || "",
+          destination: leg.to || "",
+          ...(leg.stops.length ? { stops: leg.stops } : {}),
+          status: b.status,
+          link: b.external_link || null
+        });
+      }
+    } else if (b.type === "activity") {
+      items.push({
+        bookingId: b.id,
+        type: "activity",
+        kind: "activity",
+        date: dateOnly(d.date),
+        time: String(d.timeSlot || "").slice(0, 5) || null,
+        title: `Activity — ${d.activityName || "Activity"}`,
+        location: d.pickupFromHotel ? d.pickupLocation || "" : d.activityArea || "",
+        status: b.status,
+        link: b.external_link || null
+      });
+    }
+  }
+
+  // Undated entries go last
+  return items.sort((x, y) => {
+    const kx = `${x.date || "9999-99-99"}T${x.time || "99:99"}`;
+    const ky = `${y.date || "9999-99-99"}T${y.time || "99:99"}`;
+    return kx < ky ? -1 : kx > ky ? 1 : 0;
+  });
+}
+
+/**
+ * Warnings about the trip as a whole.
+ * Returns [{ code, message, bookingIds, date? }]
+ */
+export function findItineraryGaps(trip, bookings = []) {
+  const gaps = [];
+  const active = bookings.filter(isActive);
+
+  const stays = active
+    .filter((b) => b.type === "hotel")
+    .map((b) => ({
+      id: b.id,
+      area: b.details?.hotelNameOrArea || "",
+      checkIn: dateOnly(b.details?.checkIn),
+      checkOut: dateOnly(b.details?.checkOut)
+    }))
+    .filter((s) => s.checkIn && s.checkOut)
+    .sort((a, b) => (a.checkIn < b.checkIn ? -1 : 1));
+
+  // every taxi leg (a round trip is two rides)
+  const rides = active
+    .filter((b) => b.type === "taxi")
+    .flatMap((b) => taxiLegs(b.details).map((leg) => ({ id: b.id, ...leg })));
+
+  // Taxi on a check-in day should drop off at that hotel,
+  // taxi on a check-out day should pick up from it.
+  for (const t of rides) {
+    const date = dateOnly(t.date);
+    if (!date) continue;
+
+    for (const s of stays) {
+      if (s.checkIn === date && !sameArea(t.to, s.area)) {
+        gaps.push({
+          code: "taxi_dropoff_mismatch",
+          date,
+          bookingIds: [t.id, s.id],
+          message: `Taxi on ${date} drops off at "${t.to}" but the hotel check-in that day is in "${s.area}".`
+        });
+      }
+
+      if (s.checkOut === date && !sameArea(t.from, s.area)) {
+        gaps.push({
+          code: "taxi_pickup_mismatch",
+          date,
+          bookingIds: [t.id, s.id],
+          message: `Taxi on ${date} picks up at "${t.from}" but you check out of "${s.area}" that day.`
+        });
+      }
+    }
+  }
+
+  // Overlapping hotel stays
+  for (let i = 1; i < stays.length; i++) {
+    const prev = stays[i - 1];
+    const cur = stays[i];
+    if (cur.checkIn < prev.checkOut) {
+      gaps.push({
+        code: "overlapping_stays",
+        date: cur.checkIn,
+        bookingIds: [prev.id, cur.id],
+        message: `Hotel stays in "${prev.area}" and "${cur.area}" overlap from ${cur.checkIn}.`
+      });
+    }
+  }
+
+  const start = dateOnly(trip?.start_date);
+  const end = dateOnly(trip?.end_date);
+
+  if (start && end && start < end) {
+    // Nights of the trip with no hotel booked
+    const uncovered = [];
+    for (let night = start; night < end; night = addDays(night, 1)) {
+      const covered = stays.some((s) => s.checkIn <= night && night < s.checkOut);
+      if (!covered) uncovered.push(night);
+    }
+
+    if (uncovered.length) {
+      gaps.push({
+        code: "nights_without_hotel",
+        date: uncovered[0],
+        dates: uncovered,
+        bookingIds: [],
+        message: `No hotel booked for ${uncovered.length} night(s): ${uncovered.join(", ")}.`
+      });
+    }
+
+    // Bookings outside the trip dates
+    for (const item of buildItinerary(active)) {
+      if (item.date && (item.date < start || item.date > end)) {
+        gaps.push({
+          code: "outside_trip_dates",
+          date: item.date,
+          bookingIds: [item.bookingId],
+          message: `"${item.title}" on ${item.date} is outside the trip dates (${start} → ${end}).`
+        });
+      }
+    }
+  }
+
+  return gaps;
+}
@@ -0,0 +1,101 @@
+// server/src/utils/loginLockout.js
+import { q } from "../db.js";
+import { enqueueJob, kickOutbox } from "./outbox.js";
+import { accountLockedEmailTemplate } from "./email.js";
+import { getClientBaseUrl } from "./serverUrl.js";
+import { clientIp, describeDevice } from "./sessions.js";
+
+/**
+ * Progressive lockout: LOGIN_MAX_FAILURES wrong passwords within
+ * FAILURE_WINDOW_MINUTES lock the account for LOCKOUT_MINUTES[level], each lockout
+ * in a row lasting longer (the level starts over a day after the last one ended).
+ * The account owner is emailed when a lockout starts. A successful login or a
+ * password reset clears everything.
+ */
+
+export const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+
+const FAILURE_WINDOW_MINUTES = 15;
+const LOCKOUT_MINUTES = [1, 5, 15, 60];
+const LEVEL_RESET_HOURS = 24;
+
+/**
+ * Seconds until `user` ({ locked_until }) may try again, 0 when not locked.
+ */
+export function lockoutRetryAfter(user, now = Date.now()) {
+  const until = user.locked_until ? new Date(user.locked_until).getTime() : 0;
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+/**
+ * Level and length (minutes) of the lockout that starts now, given the previous one
+ * ({ lockout_level, locked_until }).
+ */
+export function nextLockout({ lockout_level, locked_until }, now = Date.now()) {
+  const lastEnded = locked_until ? new Date(locked_until).getTime() : 0;
+  const level = now - lastEnded > LEVEL_RESET_HOURS * 60 * 60 * 1000 ? 1 : lockout_level + 1;
+  return { level, minutes: LOCKOUT_MINUTES[Math.min(level, LOCKOUT_MINUTES.length) - 1] };
+}
+
+/**
+ * Count a wrong password for `user` ({ id, email, username }).
+ * Returns { locked: false } or { locked: true, retryAfter } when this failure started a lockout.
+ */
+export async function recordLoginFailure(user, req) {
+  const r = await q(
+    `UPDATE users SET
+       failed_login_count = CASE
+         WHEN last_failed_login_at > NOW() - ($2::int * INTERVAL '1 minute')
+         THEN failed_login_count + 1 ELSE 1 END,
+       last_failed_login_at = NOW()
+     WHERE id=$1
+     RETURNING failed_login_count, lockout_level, locked_until`,
+    [user.id, FAILURE_WINDOW_MINUTES]
+  );
+  const row = r.rows[0];
+  if (!row || row.failed_login_count < LOGIN_MAX_FAILURES) return { locked: false };
+
+  const { level, minutes } = nextLockout(row);
+
+  // WHERE guards against two concurrent failures both starting a lockout
+  const locked = await q(
+    `UPDATE users SET failed_login_count=0, lockout_level=$1,
+       locked_until = NOW() + ($2::int * INTERVAL '1 minute')
+     WHERE id=$3 AND failed_login_count >= $4
+     RETURNING locked_until`,
+    [level, minutes, user.id, LOGIN_MAX_FAILURES]
+  );
+  if (locked.rows.length === 0) return { locked: false };
+
+  try {
+    await enqueueJob({
+      kind: "email.send",
+      purpose: "account_lockout",
+      userId: user.id,
+      payload: {
+        to: user.email,
+        subject: "Sign-in attempts blocked on your account",
+        html: accountLockedEmailTemplate({
+          username: user.username,
+          lockedMinutes: minutes,
+          ip: clientIp(req),
+          device: describeDevice(req.headers["user-agent"]),
+          signInUrl: getClientBaseUrl()
+        })
+      }
+    });
+    kickOutbox();
+  } catch (e) {
+    console.error("Lockout email enqueue failed:", e?.message || e);
+  }
+
+  return { locked: true, retryAfter: lockoutRetryAfter(locked.rows[0]) };
+}
+
+export async function clearLoginFailures(userId) {
+  await q(
+    `UPDATE users SET failed_login_count=0, lockout_level=0, locked_until=NULL
+     WHERE id=$1 AND (failed_login_count > 0 OR lockout_level > 0 OR locked_until IS NOT NULL)`,
+    [userId]
+  );
+}
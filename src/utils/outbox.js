@@ -0,0 +1,296 @@
+// server/src/utils/outbox.js
+import { AsyncLocalStorage } from "async_hooks";
+import { q } from "../db.js";
+
+/**
+ * Postgres-backed outbox.
+ *
+ * Side effects (emails, QR files, calendar sync…) are stored as jobs in
+ * outbox_jobs, usually in the same transaction as the row that caused them,
+ * and executed by the worker loop with exponential backoff.
+ *
+ *   registerJobHandler("email.send", async (payload, job) => { ... });
+ *   await enqueueJob({ kind: "email.send", payload: {...}, bookingId });
+ */
+
+const handlers = new Map();
+
+const BACKOFF_BASE_MS = Number(process.env.OUTBOX_BACKOFF_BASE_MS || 30_000);
+const BACKOFF_MAX_MS = Number(process.env.OUTBOX_BACKOFF_MAX_MS || 60 * 60 * 1000);
+
+// A job stuck in "running" this long (process crashed mid-job) is picked up again
+const STALE_LOCK_MINUTES = 5;
+
+// Serverless: how long a response may wait for the jobs its request queued
+const DRAIN_BUDGET_MS = Number(process.env.OUTBOX_DRAIN_BUDGET_MS || 5000);
+
+// Ids of the jobs queued by the current request (set by drainOutboxBeforeResponse)
+const requestJobIds = new AsyncLocalStorage();
+
+export function registerJobHandler(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): 30s, 1m, 2m, 4m… capped, with jitter.
+ */
+export function backoffMs(attempt) {
+  const exp = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1), BACKOFF_MAX_MS);
+  const jitter = Math.floor(Math.random() * exp * 0.2);
+  return exp + jitter;
+}
+
+/**
+ * Add a job. Pass `db` (a transaction client) to enqueue atomically with other writes.
+ */
+export async function enqueueJob(
+  { kind, payload = {}, purpose = null, bookingId = null, userId = null, runAt = null, maxAttempts = 6 },
+  db = { query: q }
+) {
+  if (!handlers.has(kind)) {
+    console.warn(`[Outbox] No handler registered (yet) for job kind: ${kind}`);
+  }
+
+  const r = await db.query(
+    `INSERT INTO outbox_jobs(kind, purpose, payload, booking_id, user_id, run_at, max_attempts)
+     VALUES($1,$2,$3,$4,$5,COALESCE($6, NOW()),$7)
+     RETURNING id, kind, purpose, status, run_at`,
+    [kind, purpose, payload, bookingId, userId, runAt, maxAttempts]
+  );
+
+  requestJobIds.getStore()?.push(Number(r.rows[0].id));
+  return r.rows[0];
+}
+
+async function claimDueJobs(limit) {
+  const r = await q(
+    `UPDATE outbox_jobs
+     SET status='running', locked_at=NOW(), attempts=attempts+1
+     WHERE id IN (
+       SELECT id FROM outbox_jobs
+       WHERE (status='pending' AND run_at <= NOW())
+          OR (status='running' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+       ORDER BY run_at ASC, id ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+  return r.rows.sort((a, b) => Number(a.id) - Number(b.id));
+}
+
+// One job by id, if it is still due and no other worker took it
+async function claimJob(id) {
+  const r = await q(
+    `UPDATE outbox_jobs
+     SET status='running', locked_at=NOW(), attempts=attempts+1
+     WHERE id=$1 AND status='pending' AND run_at <= NOW()
+     RETURNING *`,
+    [id]
+  );
+  return r.rows[0] || null;
+}
+
+async function runJob(job) {
+  const startedAt = new Date();
+  const handler = handlers.get(job.kind);
+
+  try {
+    if (!handler) throw new Error(`No handler for job kind: ${job.kind}`);
+
+    const result = await handler(job.payload || {}, job);
+
+    await q(
+      `UPDATE outbox_jobs
+       SET status='succeeded', result=$1, last_error=NULL, locked_at=NULL, completed_at=NOW()
+       WHERE id=$2`,
+      [result ?? null, job.id]
+    );
+
+    await q(
+      "INSERT INTO outbox_job_attempts(job_id, attempt, ok, started_at) VALUES($1,$2,TRUE,$3)",
+      [job.id, job.attempts, startedAt]
+    );
+
+    return true;
+  } catch (e) {
+    const error = e?.message || String(e);
+    const final = job.attempts >= job.max_attempts;
+
+    if (final) {
+      await q(
+        `UPDATE outbox_jobs
+         SET status='failed', last_error=$1, locked_at=NULL, completed_at=NOW()
+         WHERE id=$2`,
+        [error, job.id]
+      );
+    } else {
+      await q(
+        `UPDATE outbox_jobs
+         SET status='pending', last_error=$1, locked_at=NULL,
+             run_at = NOW() + ($2::int * INTERVAL '1 millisecond')
+         WHERE id=$3`,
+        [error, backoffMs(job.attempts), job.id]
+      );
+    }
+
+    await q(
+      `INSERT INTO outbox_job_attempts(job_id, attempt, ok, error, started_at)
+       VALUES($1,$2,FALSE,$3,$4)`,
+      [job.id, job.attempts, error, startedAt]
+    );
+
+    console.error(
+      `[Outbox] Job ${job.id} (${job.kind}) attempt ${job.attempts}/${job.max_attempts} failed:`,
+      error
+    );
+    return false;
+  }
+}
+
+/**
+ * Run every due job once. Returns { processed, succeeded }.
+ */
+export async function runDueJobs({ limit = 20 } = {}) {
+  const jobs = await claimDueJobs(limit);
+
+  let succeeded = 0;
+  for (const job of jobs) {
+    if (await runJob(job)) succeeded += 1;
+  }
+
+  return { processed: jobs.length, succeeded };
+}
+
+// -------------------------
+// Worker loop (long-running server only; serverless drains per request, see below,
+// and the vercel.json cron calls POST /api/jobs/run for retries)
+// -------------------------
+let ticking = false;
+let kickRequested = false;
+
+async function tick() {
+  if (ticking) {
+    kickRequested = true;
+    return;
+  }
+
+  ticking = true;
+  try {
+    // keep draining while there is work
+    let r;
+    do {
+      kickRequested = false;
+      r = await runDueJobs();
+    } while (r.processed > 0 || kickRequested);
+  } catch (e) {
+    console.error("[Outbox] Worker tick failed:", e?.message || e);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Ask the worker to look for jobs now instead of waiting for the next interval
+ * (called right after a request enqueued something).
+ * Serverless has no worker: drainOutboxBeforeResponse runs the request's jobs.
+ */
+export function kickOutbox() {
+  if (process.env.VERCEL) return;
+
+  setImmediate(() => {
+    tick();
+  });
+}
+
+// Run `ids` in order, starting none after `deadline`
+async function runJobsById(ids, deadline) {
+  try {
+    for (const id of ids) {
+      if (Date.now() >= deadline) break;
+
+      const job = await claimJob(id);
+      if (job) await runJob(job);
+    }
+  } catch (e) {
+    console.error("[Outbox] Request drain failed:", e?.message || e);
+  }
+}
+
+/**
+ * Serverless: the function may be frozen as soon as the response is sent, so the jobs
+ * this request queued (res.locals.outboxJobIds) run before its response goes out, for
+ * at most DRAIN_BUDGET_MS. Other requests' jobs, failures and whatever is left over
+ * wait for the cron (POST /api/jobs/run).
+ */
+export function drainOutboxBeforeResponse(req, res, next) {
+  const jobIds = [];
+  res.locals.outboxJobIds = jobIds;
+
+  const end = res.end.bind(res);
+  let draining = false;
+
+  res.end = (...args) => {
+    if (draining || jobIds.length === 0) return end(...args);
+    draining = true;
+
+    let timer;
+    const budget = new Promise((resolve) => {
+      timer = setTimeout(resolve, DRAIN_BUDGET_MS);
+    });
+
+    const drained = runJobsById(jobIds.splice(0), Date.now() + DRAIN_BUDGET_MS);
+    Promise.race([drained, budget]).finally(() => {
+      clearTimeout(timer);
+      end(...args);
+    });
+    return res;
+  };
+
+  requestJobIds.run(jobIds, next);
+}
+
+export function startOutboxWorker({ intervalMs = Number(process.env.OUTBOX_POLL_MS || 5000) } = {}) {
+  const timer = setInterval(tick, intervalMs);
+  tick();
+  return () => clearInterval(timer);
+}
+
+// -------------------------
+// Read side
+// -------------------------
+
+/**
+ * Client-facing state for a job: pending / sent / failed.
+ */
+export function deliveryState(status) {
+  if (status === "succeeded") return "sent";
+  if (status === "failed") return "failed";
+  return "pending";
+}
+
+export async function getBookingDeliveries(bookingId) {
+  const r = await q(
+    `SELECT id, kind, purpose, status, attempts, max_attempts, last_error,
+            run_at, created_at, completed_at
+     FROM outbox_jobs
+     WHERE booking_id=$1
+     ORDER BY id ASC`,
+    [bookingId]
+  );
+
+  return r.rows.map((j) => ({
+    id: Number(j.id),
+    kind: j.kind,
+    purpose: j.purpose,
+    state: deliveryState(j.status),
+    status: j.status,
+    attempts: j.attempts,
+    maxAttempts: j.max_attempts,
+    lastError: j.last_error,
+    nextAttemptAt: j.status === "pending" ? j.run_at : null,
+    createdAt: j.created_at,
+    completedAt: j.completed_at
+  }));
+}
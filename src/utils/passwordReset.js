@@ -0,0 +1,114 @@
+// server/src/utils/passwordReset.js
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { q, withTransaction } from "../db.js";
+import { enqueueJob, kickOutbox } from "./outbox.js";
+import { passwordResetEmailTemplate } from "./email.js";
+import { getClientBaseUrl } from "./serverUrl.js";
+import { revokeAllSessions } from "./sessions.js";
+
+/**
+ * Password reset by emailed link.
+ * The link carries a random token; only its sha256 is stored. A token works
+ * once, expires after PASSWORD_RESET_TTL_MINUTES, and a new request replaces
+ * the previous one. A successful reset logs the account out everywhere.
+ */
+
+export const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+export const MIN_PASSWORD_LENGTH = 6;
+
+function newResetToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function hashResetToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+export function passwordResetUrl(token) {
+  return `${getClientBaseUrl()}/?reset=${encodeURIComponent(token)}`;
+}
+
+/**
+ * New reset link for `email`, sent through the outbox.
+ * Unknown emails are ignored (the caller answers the same either way).
+ */
+export async function requestPasswordReset(email) {
+  const found = await q("SELECT id, email, username FROM users WHERE LOWER(email)=LOWER($1)", [
+    email
+  ]);
+  const user = found.rows[0];
+  if (!user) return;
+
+  const token = newResetToken();
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60_000);
+
+  await withTransaction(async (db) => {
+    // only the latest link works
+    await db.query(
+      "UPDATE password_reset_tokens SET used_at=NOW() WHERE user_id=$1 AND used_at IS NULL",
+      [user.id]
+    );
+
+    await db.query(
+      "INSERT INTO password_reset_tokens(user_id, token_hash, expires_at) VALUES($1,$2,$3)",
+      [user.id, hashResetToken(token), expiresAt]
+    );
+
+    await enqueueJob(
+      {
+        kind: "email.send",
+        purpose: "password_reset",
+        userId: user.id,
+        payload: {
+          to: user.email,
+          subject: "Reset your password",
+          html: passwordResetEmailTemplate({
+            username: user.username,
+            resetUrl: passwordResetUrl(token),
+            expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+          })
+        }
+      },
+      db
+    );
+  });
+
+  kickOutbox();
+}
+
+/**
+ * Set a new password with a reset token: marks the token used, revokes every
+ * session, bumps the account's token_version and lifts a login lockout.
+ * Returns { ok: true, userId } or { ok: false, error }.
+ */
+export async function resetPassword(token, newPassword) {
+  const passwordHash = await bcrypt.hash(String(newPassword), 10);
+
+  return withTransaction(async (db) => {
+    const r = await db.query(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash=$1 AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashResetToken(token)]
+    );
+    const row = r.rows[0];
+    if (!row) return { ok: false, error: "This reset link is invalid or has expired" };
+
+    await db.query(
+      "UPDATE password_reset_tokens SET used_at=NOW() WHERE user_id=$1 AND used_at IS NULL",
+      [row.user_id]
+    );
+
+    await db.query(
+      `UPDATE users SET password_hash=$1, token_version=token_version+1,
+         failed_login_count=0, lockout_level=0, locked_until=NULL
+       WHERE id=$2`,
+      [passwordHash, row.user_id]
+    );
+
+    await revokeAllSessions(row.user_id, { reason: "password_reset" }, db);
+
+    return { ok: true, userId: row.user_id };
+  });
+}
@@ -0,0 +1,304 @@
+// server/src/utils/places.js
+
+/**
+ * Mauritius gazetteer: towns, beaches, hotels and the airport, with
+ * EN/FR/Creole aliases and coordinates.
+ *
+ * Travellers type the same place many ways ("SSR airport", "MRU", "aeroport",
+ * "Plaisance"); resolvePlace() turns that free text into one place id so
+ * maps links, fares and area filters all agree.
+ *
+ * kind: airport | town | beach | hotel. Hotels carry `area` = id of their town.
+ */
+export const PLACES = [
+  // Airport
+  {
+    id: "ssr-airport",
+    kind: "airport",
+    name: "SSR International Airport",
+    lat: -20.4302,
+    lng: 57.6836,
+    aliases: [
+      "ssr",
+      "mru",
+      "airport",
+      "aeroport",
+      "laeroport",
+      "plaisance",
+      "sir seewoosagur ramgoolam airport",
+      "aeroport de plaisance"
+    ]
+  },
+
+  // Towns and villages
+  { id: "port-louis", kind: "town", name: "Port Louis", lat: -20.1609, lng: 57.5012, aliases: ["porlwi", "caudan", "le caudan"] },
+  { id: "grand-baie", kind: "town", name: "Grand Baie", lat: -20.0064, lng: 57.5806, aliases: ["grand bay", "gran bay", "granbay"] },
+  { id: "pereybere", kind: "town", name: "Pereybère", lat: -19.995, lng: 57.59, aliases: ["pereybere", "pere ybere"] },
+  { id: "cap-malheureux", kind: "town", name: "Cap Malheureux", lat: -19.984, lng: 57.614, aliases: ["kap maler"] },
+  { id: "trou-aux-biches", kind: "town", name: "Trou aux Biches", lat: -20.035, lng: 57.547, aliases: ["trou o bis", "troz bis"] },
+  { id: "pointe-aux-piments", kind: "town", name: "Pointe aux Piments", lat: -20.062, lng: 57.523, aliases: ["pwint o piman"] },
+  { id: "balaclava", kind: "town", name: "Balaclava", lat: -20.083, lng: 57.517, aliases: ["turtle bay", "baie aux tortues"] },
+  { id: "pamplemousses", kind: "town", name: "Pamplemousses", lat: -20.105, lng: 57.576, aliases: ["pamplemous", "jardin de pamplemousses"] },
+  { id: "flic-en-flac", kind: "town", name: "Flic en Flac", lat: -20.2745, lng: 57.372, aliases: ["flic flac", "flikanflak", "wolmar"] },
+  { id: "tamarin", kind: "town", name: "Tamarin", lat: -20.326, lng: 57.372, aliases: ["tamaren", "black river", "riviere noire", "larivier nwar"] },
+  { id: "le-morne", kind: "town", name: "Le Morne", lat: -20.456, lng: 57.314, aliases: ["morne", "lemorn", "le morne brabant"] },
+  { id: "chamarel", kind: "town", name: "Chamarel", lat: -20.427, lng: 57.388, aliases: ["samarel", "seven coloured earth", "terre des sept couleurs"] },
+  { id: "bel-ombre", kind: "town", name: "Bel Ombre", lat: -20.503, lng: 57.4, aliases: ["belomb"] },
+  { id: "souillac", kind: "town", name: "Souillac", lat: -20.517, lng: 57.517, aliases: ["souyak"] },
+  { id: "mahebourg", kind: "town", name: "Mahébourg", lat: -20.4081, lng: 57.7, aliases: ["mahebur", "maebur"] },
+  { id: "belle-mare", kind: "town", name: "Belle Mare", lat: -20.19, lng: 57.77, aliases: ["bel mar"] },
+  { id: "trou-d-eau-douce", kind: "town", name: "Trou d'Eau Douce", lat: -20.24, lng: 57.788, aliases: ["trou deau douce", "trudodous"] },
+  { id: "beau-champ", kind: "town", name: "Beau Champ", lat: -20.283, lng: 57.786, aliases: ["bo san"] },
+  { id: "curepipe", kind: "town", name: "Curepipe", lat: -20.316, lng: 57.526, aliases: ["kirpip"] },
+  { id: "quatre-bornes", kind: "town", name: "Quatre Bornes", lat: -20.2654, lng: 57.4791, aliases: ["katborn"] },
+  { id: "rose-hill", kind: "town", name: "Rose Hill", lat: -20.24, lng: 57.47, aliases: ["rozil", "beau bassin", "bobasin"] },
+  { id: "ebene", kind: "town", name: "Ebène", lat: -20.244, lng: 57.49, aliases: ["ebene cybercity", "cybercity"] },
+  { id: "moka", kind: "town", name: "Moka", lat: -20.219, lng: 57.496, aliases: ["moka town"] },
+
+  // Beaches and islets
+  { id: "mont-choisy", kind: "beach", name: "Mont Choisy", lat: -20.02, lng: 57.555, aliases: ["mont choisy beach", "plage de mont choisy", "lasurfas mon swazi"] },
+  { id: "blue-bay", kind: "beach", name: "Blue Bay", lat: -20.4447, lng: 57.71, aliases: ["blue bay beach", "plage de blue bay", "labe ble"] },
+  { id: "pointe-d-esny", kind: "beach", name: "Pointe d'Esny", lat: -20.428, lng: 57.727, aliases: ["pointe desny"] },
+  { id: "ile-aux-cerfs", kind: "beach", name: "Île aux Cerfs", lat: -20.272, lng: 57.804, aliases: ["ile aux cerfs", "ilo cerf", "deer island"] },
+  { id: "gris-gris", kind: "beach", name: "Gris Gris", lat: -20.524, lng: 57.531, aliases: ["gris gris beach", "grigri"] },
+  { id: "palmar", kind: "beach", name: "Palmar", lat: -20.225, lng: 57.79, aliases: ["palmar beach"] },
+
+  // Hotels
+  { id: "hilton-mauritius", kind: "hotel", area: "flic-en-flac", name: "Hilton Mauritius Resort & Spa", lat: -20.2894, lng: 57.3683, aliases: ["hilton mauritius", "hilton flic en flac", "hilton"] },
+  { id: "sugar-beach", kind: "hotel", area: "flic-en-flac", name: "Sugar Beach Mauritius", lat: -20.2846, lng: 57.3676, aliases: ["sugar beach"] },
+  { id: "la-pirogue", kind: "hotel", area: "flic-en-flac", name: "La Pirogue Mauritius", lat: -20.2791, lng: 57.3694, aliases: ["la pirogue"] },
+  { id: "sofitel-imperial", kind: "hotel", area: "flic-en-flac", name: "Sofitel Mauritius L'Impérial", lat: -20.2968, lng: 57.3642, aliases: ["sofitel imperial", "sofitel"] },
+  { id: "dinarobin", kind: "hotel", area: "le-morne", name: "Dinarobin Beachcomber", lat: -20.4573, lng: 57.3196, aliases: ["dinarobin"] },
+  { id: "paradis-beachcomber", kind: "hotel", area: "le-morne", name: "Paradis Beachcomber", lat: -20.4593, lng: 57.3116, aliases: ["paradis hotel", "hotel paradis"] },
+  { id: "heritage-le-telfair", kind: "hotel", area: "bel-ombre", name: "Heritage Le Telfair", lat: -20.5012, lng: 57.4038, aliases: ["le telfair", "telfair"] },
+  { id: "shandrani", kind: "hotel", area: "blue-bay", name: "Shandrani Beachcomber", lat: -20.4483, lng: 57.7046, aliases: ["shandrani"] },
+  { id: "constance-belle-mare", kind: "hotel", area: "belle-mare", name: "Constance Belle Mare Plage", lat: -20.1993, lng: 57.7745, aliases: ["belle mare plage", "constance belle mare"] },
+  { id: "le-touessrok", kind: "hotel", area: "trou-d-eau-douce", name: "Shangri-La Le Touessrok", lat: -20.2557, lng: 57.7914, aliases: ["le touessrok", "touessrok", "shangri la"] },
+  { id: "four-seasons-anahita", kind: "hotel", area: "beau-champ", name: "Four Seasons Resort Mauritius at Anahita", lat: -20.2831, lng: 57.7873, aliases: ["anahita", "four seasons"] },
+  { id: "royal-palm", kind: "hotel", area: "grand-baie", name: "Royal Palm Beachcomber", lat: -20.0094, lng: 57.5738, aliases: ["royal palm"] },
+  { id: "lux-grand-baie", kind: "hotel", area: "grand-baie", name: "LUX* Grand Baie", lat: -20.0049, lng: 57.5789, aliases: ["lux grand baie", "lux grand bay"] },
+  { id: "trou-aux-biches-beachcomber", kind: "hotel", area: "trou-aux-biches", name: "Trou aux Biches Beachcomber", lat: -20.0374, lng: 57.5455, aliases: ["trou aux biches resort", "trou aux biches beachcomber"] },
+  { id: "the-oberoi", kind: "hotel", area: "balaclava", name: "The Oberoi Beach Resort", lat: -20.0807, lng: 57.5126, aliases: ["oberoi"] },
+  { id: "le-meridien", kind: "hotel", area: "pointe-aux-piments", name: "Le Méridien Île Maurice", lat: -20.0583, lng: 57.5163, aliases: ["le meridien", "meridien"] }
+];
+
+const BY_ID = new Map(PLACES.map((p) => [p.id, p]));
+
+// Below this a fuzzy match is not trusted for resolution (autocomplete goes lower)
+const RESOLVE_MIN_SCORE = 0.72;
+const AUTOCOMPLETE_MIN_SCORE = 0.45;
+
+// Words around a place name that do not make it a different place ("SSR airport", "Sugar Beach hotel")
+const FILLER_WORDS = new Set([
+  "the",
+  "at",
+  "to",
+  "from",
+  "le",
+  "la",
+  "l",
+  "de",
+  "du",
+  "hotel",
+  "resort",
+  "spa",
+  "beach",
+  "plage",
+  "airport",
+  "aeroport",
+  "international",
+  "town",
+  "village",
+  "centre",
+  "center",
+  "mauritius",
+  "maurice",
+  "ile",
+  "moris"
+]);
+
+export function normalizePlaceText(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Normalized name + aliases, computed once
+const SEARCH_TERMS = PLACES.map((place) => ({
+  place,
+  terms: [...new Set([place.name, ...place.aliases].map(normalizePlaceText))].filter(Boolean)
+}));
+
+function bigrams(s) {
+  const out = [];
+  const t = s.replace(/ /g, "");
+  for (let i = 0; i < t.length - 1; i += 1) out.push(t.slice(i, i + 2));
+  return out;
+}
+
+// Dice coefficient on character bigrams: 1 = same, 0 = nothing in common
+function similarity(a, b) {
+  if (a === b) return 1;
+  const A = bigrams(a);
+  const B = bigrams(b);
+  if (!A.length || !B.length) return 0;
+
+  const counts = new Map();
+  for (const g of A) counts.set(g, (counts.get(g) || 0) + 1);
+
+  let common = 0;
+  for (const g of B) {
+    const n = counts.get(g) || 0;
+    if (n > 0) {
+      common += 1;
+      counts.set(g, n - 1);
+    }
+  }
+  return (2 * common) / (A.length + B.length);
+}
+
+/**
+ * How well `text` (normalized) names `term`:
+ * - exact: the whole text is the term
+ * - prefix: the text is the start of the term (typing in autocomplete)
+ * - contains: the term appears as whole words inside the text ("Villa 12, Pereybere")
+ * - fuzzy: a run of words in the text is close to the term (typos)
+ */
+function matchTerm(text, term, { prefix = true } = {}) {
+  if (text === term) return { score: 1, match: "exact" };
+
+  if (prefix && text.length >= 2) {
+    if (term.startsWith(text)) {
+      return { score: 0.7 + 0.25 * (text.length / term.length), match: "prefix" };
+    }
+    if (term.includes(` ${text}`)) {
+      return { score: 0.6 + 0.25 * (text.length / term.length), match: "prefix" };
+    }
+  }
+
+  if (` ${text} `.includes(` ${term} `)) {
+    const rest = ` ${text} `.replace(` ${term} `, " ").trim().split(" ").filter(Boolean);
+
+    // only filler around the name: as good as exact
+    if (rest.every((w) => FILLER_WORDS.has(w))) return { score: 0.97, match: "exact" };
+
+    // longer terms are more specific ("trou aux biches" beats "biches")
+    return { score: 0.85 + Math.min(term.length, 20) / 200, match: "contains" };
+  }
+
+  const words = text.split(" ");
+  const size = term.split(" ").length;
+  let best = 0;
+
+  for (let i = 0; i + size <= words.length; i += 1) {
+    best = Math.max(best, similarity(words.slice(i, i + size).join(" "), term));
+  }
+  if (words.length > 1) best = Math.max(best, similarity(text, term));
+
+  // whole-text fuzzy match is closer to exact than a fuzzy piece of a longer text
+  const whole = words.length <= size;
+  return { score: best * (whole ? 0.95 : 0.85), match: "fuzzy" };
+}
+
+function scorePlace(text, entry, options) {
+  let best = { score: 0, match: null, term: null };
+  for (const term of entry.terms) {
+    const m = matchTerm(text, term, options);
+    if (m.score > best.score) best = { ...m, term };
+  }
+  return best;
+}
+
+function rank(text, { kinds = null, prefix = true } = {}) {
+  const t = normalizePlaceText(text);
+  if (!t) return [];
+
+  return SEARCH_TERMS.filter((e) => !kinds || kinds.includes(e.place.kind))
+    .map((e) => ({ place: e.place, ...scorePlace(t, e, { prefix }) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+export function getPlace(id) {
+  return BY_ID.get(id) || null;
+}
+
+/**
+ * Best place for a free-text location, or null when nothing matches well enough.
+ * Returns { place, score, match } (match: exact | contains | fuzzy).
+ */
+export function resolvePlace(text, { kinds = null } = {}) {
+  // half-typed words ("bel") are for autocomplete, not resolution
+  const best = rank(text, { kinds, prefix: false })[0];
+  if (!best || best.score < RESOLVE_MIN_SCORE) return null;
+  return { place: best.place, score: Math.round(best.score * 100) / 100, match: best.match };
+}
+
+/**
+ * Suggestions for what the user is typing.
+ */
+export function autocompletePlaces(text, { limit = 8, kinds = null } = {}) {
+  return rank(text, { kinds })
+    .filter((r) => r.score >= AUTOCOMPLETE_MIN_SCORE)
+    .slice(0, limit)
+    .map((r) => ({ ...placeSummary(r.place), score: Math.round(r.score * 100) / 100 }));
+}
+
+export function placeSummary(place) {
+  if (!place) return null;
+  const area = place.area ? getPlace(place.area) : null;
+  return {
+    id: place.id,
+    kind: place.kind,
+    name: place.name,
+    area: area ? { id: area.id, name: area.name } : null,
+    lat: place.lat,
+    lng: place.lng
+  };
+}
+
+/**
+ * Town/beach a place belongs to (a hotel's area, else the place itself).
+ */
+export function placeArea(place) {
+  return (place?.area && getPlace(place.area)) || place || null;
+}
+
+/**
+ * Text to give Google Maps for a free-text location: the canonical place name
+ * when the text *is* a known place ("MRU" -> "SSR International Airport"),
+ * otherwise the user's own text (it may be more precise, e.g. a villa address).
+ */
+export function mapsQuery(text) {
+  const raw = String(text || "").trim();
+  const r = resolvePlace(raw);
+
+  if (r && r.match !== "contains") return `${r.place.name}, Mauritius`;
+  if (!raw) return "Mauritius";
+  return /mauritius|maurice/i.test(raw) ? raw : `${raw}, Mauritius`;
+}
+
+// Booking fields holding a free-text place, per booking type
+const BOOKING_PLACE_FIELDS = {
+  hotel: ["hotelNameOrArea"],
+  taxi: ["pickupLocation", "stops", "dropoffLocation"],
+  activity: ["activityArea", "pickupLocation"]
+};
+
+/**
+ * Resolved place ids for a booking's location fields, stored next to the raw text:
+ * { pickupLocation: "ssr-airport", dropoffLocation: null }
+ */
+export function resolveBookingPlaces(details) {
+  const out = {};
+  for (const field of BOOKING_PLACE_FIELDS[details?.type] || []) {
+    const value = details[field];
+    out[field] = Array.isArray(value)
+      ? value.map((v) => resolvePlace(v)?.place.id || null)
+      : resolvePlace(value)?.place.id || null;
+  }
+  return out;
+}
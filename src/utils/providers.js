@@ -0,0 +1,382 @@
+// server/src/utils/providers.js
+import { q } from "../db.js";
+import { formatFare } from "./taxiFare.js";
+import { mapsQuery, placeArea, resolvePlace } from "./places.js";
+import { isMultiLegTaxi, taxiLegs } from "./taxiLegs.js";
+
+/**
+ * Booking provider registry.
+ *
+ * Each row of booking_providers is a hotel/taxi/activity partner. Its
+ * `adapter` names one of the code adapters below, and its `config` JSON carries
+ * the partner specifics (WhatsApp number, greeting, message template, QR target…), so a
+ * new taxi operator is a new row, not a code change.
+ *
+ * Adapter interface:
+ *   buildLinks(details, { lang, config, fare }) -> { externalLink, qrTargetLink, message }
+ * (`fare` is the formatted taxi fare estimate, or "" when there is none)
+ */
+
+function stripAccents(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+function norm(s) {
+  return stripAccents(String(s || "").toLowerCase().trim());
+}
+
+// "{{pickup}}" placeholders; unknown ones become empty
+function fillTemplate(template, vars) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => String(vars[k] ?? ""));
+}
+
+/**
+ * Google Maps directions for the whole taxi booking: pickup -> stops -> dropoff,
+ * and back to the pickup when there is a return leg.
+ * Known places go in under their canonical name ("MRU" -> SSR International Airport).
+ */
+export function buildTaxiMapsDirectionsLink(details) {
+  const legs = taxiLegs(details);
+  const points = [legs[0].from, ...legs.flatMap((leg) => [...leg.stops, leg.to])].map(mapsQuery);
+
+  const params = new URLSearchParams({
+    api: "1",
+    origin: points[0],
+    destination: points[points.length - 1]
+  });
+
+  const waypoints = points.slice(1, -1);
+  if (waypoints.length) params.set("waypoints", waypoints.join("|"));
+  params.set("travelmode", "driving");
+
+  return `https://www.google.com/maps/dir/?${params.toString()}`;
+}
+
+/**
+ * One block per leg for the WhatsApp message (multi-stop / round trips).
+ */
+function taxiLegLines(details, isFr) {
+  const legs = taxiLegs(details);
+
+  return legs.flatMap((leg) => {
+    const name = {
+      outbound: isFr ? "Aller" : "Outbound",
+      return: isFr ? "Retour" : "Return"
+    }[leg.kind];
+
+    const lines = [
+      `${isFr ? "Trajet" : "Leg"} ${leg.index + 1}/${legs.length} (${name}): ${leg.from} → ${leg.to}`,
+      `  ${isFr ? "Date" : "Date"}: ${leg.date} ${leg.time}`
+    ];
+    if (leg.stops.length) lines.push(`  ${isFr ? "Arrêts" : "Stops"}: ${leg.stops.join(", ")}`);
+
+    return lines;
+  });
+}
+
+// "MK15 (lands 06:45)" for airport transfers, "" otherwise
+function taxiFlightText(details, isFr) {
+  if (!details.flightNumber) return "";
+  if (!details.flightTime) return details.flightNumber;
+
+  const when = {
+    arrival: isFr ? "atterrit à" : "lands",
+    departure: isFr ? "décolle à" : "takes off"
+  }[details.flightMode];
+
+  return `${details.flightNumber} (${when} ${details.flightTime})`;
+}
+
+/**
+ * Readable taxi request with real new lines (encoded once, when put in the link).
+ * config.messageTemplate = { en, fr } overrides the default wording.
+ */
+function buildTaxiMessage(details, lang, config, fare) {
+  const isFr = lang === "fr";
+  const greetingName = config.greetingName || "Travel Buddy";
+
+  const vars = {
+    greetingName,
+    pickup: details.pickupLocation || "",
+    dropoff: details.dropoffLocation || "",
+    date: details.pickupDate || "",
+    time: details.pickupTime || "",
+    passengers: details.passengers ?? "",
+    luggage: details.luggage || "",
+    notes: details.notes || "",
+    fare: fare || "",
+    stops: (details.stops || []).join(", "),
+    returnDate: details.returnDate || "",
+    returnTime: details.returnTime || "",
+    flight: taxiFlightText(details, isFr),
+    legs: isMultiLegTaxi(details) ? taxiLegLines(details, isFr).join("\n") : ""
+  };
+
+  const custom = config.messageTemplate?.[isFr ? "fr" : "en"] || config.messageTemplate?.en;
+  if (custom) return fillTemplate(custom, vars);
+
+  const lines = [
+    isFr ? `Bonjour ${greetingName},` : `Hello ${greetingName},`,
+    "",
+    isFr
+      ? "Je souhaite réserver un taxi avec les détails suivants :"
+      : "I would like to book a taxi with the following details:",
+    ""
+  ];
+
+  // ✅ one message for the whole booking, every leg listed
+  if (vars.legs) {
+    lines.push(vars.legs);
+  } else {
+    lines.push(
+      `${isFr ? "Prise en charge" : "Pickup"}: ${vars.pickup}`,
+      `${isFr ? "Destination" : "Dropoff"}: ${vars.dropoff}`,
+      `${isFr ? "Date" : "Date"}: ${vars.date}`,
+      `${isFr ? "Heure" : "Time"}: ${vars.time}`
+    );
+  }
+
+  if (vars.flight) lines.push(`${isFr ? "Vol" : "Flight"}: ${vars.flight}`);
+  lines.push(`${isFr ? "Passagers" : "Passengers"}: ${vars.passengers}`);
+
+  if (vars.luggage) lines.push(`${isFr ? "Bagages" : "Luggage"}: ${vars.luggage}`);
+  if (vars.notes) lines.push(`${isFr ? "Remarques" : "Notes"}: ${vars.notes}`);
+  if (vars.fare) lines.push(`${isFr ? "Tarif estimé" : "Estimated fare"}: ${vars.fare}`);
+
+  lines.push("");
+  lines.push(isFr ? "Merci." : "Thank you.");
+
+  return lines.join("\n");
+}
+
+/**
+ * Activity page from the catalog (external_url), with the partner's tracking
+ * params; a Google Maps search for the activity when the item has no URL.
+ */
+function buildActivityLink(details, config) {
+  if (details.activityUrl) {
+    try {
+      const url = new URL(details.activityUrl);
+      for (const [k, v] of Object.entries(config.query || {})) url.searchParams.set(k, String(v));
+      return url.toString();
+    } catch {
+      // not a valid URL in the catalog, fall through to maps
+    }
+  }
+
+  const query = [details.activityName, details.activityArea, "Mauritius"].filter(Boolean).join(", ");
+  return `https://www.google.com/maps/search/?${new URLSearchParams({ api: "1", query })}`;
+}
+
+const ADAPTERS = {
+  /**
+   * Hotel: booking.com search URL with prefilled dates and pax.
+   * config: { baseUrl?, searchPrefix? } (searchPrefix e.g. "Mauritius" to force island context)
+   */
+  booking_com: {
+    bookingType: "hotel",
+    buildLinks(details, { config }) {
+      const base = config.baseUrl || "https://www.booking.com/searchresults.html";
+      const destination = `${config.searchPrefix || ""} ${details.hotelNameOrArea || "Mauritius"}`.trim();
+
+      const params = new URLSearchParams({
+        ss: destination,
+        checkin: details.checkIn,
+        checkout: details.checkOut,
+        group_adults: String(Number(details.adults || 1)),
+        group_children: String(Number(details.children || 0)),
+        no_rooms: String(Number(details.rooms || 1))
+      });
+
+      const externalLink = `${base}?${params.toString()}`;
+
+      // hotel QR opens the same search
+      return { externalLink, qrTargetLink: externalLink, message: null };
+    }
+  },
+
+  /**
+   * Taxi: WhatsApp chat with the operator, prefilled with the request.
+   * config: { whatsappNumber, greetingName?, messageTemplate?, qrTarget?: "maps" | "whatsapp" }
+   */
+  whatsapp_taxi: {
+    bookingType: "taxi",
+    buildLinks(details, { lang, config, fare }) {
+      const number = String(config.whatsappNumber || "").replace(/\D/g, "");
+      if (!number) throw new Error("Taxi provider is missing config.whatsappNumber");
+
+      const message = buildTaxiMessage(details, lang, config, fare);
+
+      // ✅ wa.me format
+      const externalLink = `https://wa.me/${number}?text=${encodeURIComponent(message)}`;
+
+      const qrTargetLink =
+        config.qrTarget === "whatsapp" ? externalLink : buildTaxiMapsDirectionsLink(details);
+
+      return { externalLink, qrTargetLink, message };
+    }
+  },
+
+  /**
+   * Activity: the catalog item's own page (deep link + QR).
+   * config: { query?: { [param]: value } } (e.g. an affiliate tag added to the URL)
+   */
+  catalog_link: {
+    bookingType: "activity",
+    buildLinks(details, { config }) {
+      const externalLink = buildActivityLink(details, config);
+      return { externalLink, qrTargetLink: externalLink, message: null };
+    }
+  }
+};
+
+export function listAdapters() {
+  return Object.entries(ADAPTERS).map(([name, a]) => ({ name, bookingType: a.bookingType }));
+}
+
+/**
+ * Links for a booking through its provider's adapter.
+ * fareEstimate: taxi estimate from utils/taxiFare.js (mentioned in the message).
+ */
+export function buildProviderLinks(provider, details, lang = "en", { fareEstimate = null } = {}) {
+  const adapter = ADAPTERS[provider?.adapter];
+  if (!adapter) throw new Error(`Unknown provider adapter: ${provider?.adapter}`);
+
+  return adapter.buildLinks(details, {
+    lang,
+    config: provider.config || {},
+    fare: formatFare(fareEstimate)
+  });
+}
+
+/**
+ * What a saved booking's QR encodes (recomputed the same way as when it was saved).
+ * Falls back to the stored external link for bookings without a provider.
+ */
+export async function bookingQrTargetLink(booking) {
+  const provider = booking.provider_id ? await getProviderById(booking.provider_id) : null;
+  if (!provider) return booking.external_link || null;
+
+  const lang = String(booking.details?.lang || "").toLowerCase().startsWith("fr") ? "fr" : "en";
+
+  return buildProviderLinks(provider, booking.details || {}, lang, {
+    fareEstimate: booking.fare_estimate
+  }).qrTargetLink;
+}
+
+/**
+ * Public view of a provider (what the client and emails may show).
+ */
+export function providerSummary(provider) {
+  if (!provider) return null;
+  return {
+    id: provider.id,
+    slug: provider.slug,
+    name: provider.name,
+    type: provider.booking_type,
+    contact: provider.contact_channel
+      ? { channel: provider.contact_channel, value: provider.contact_value }
+      : null,
+    serviceAreas: provider.service_areas || []
+  };
+}
+
+const PROVIDER_COLUMNS = `id, slug, name, booking_type, adapter, config, contact_channel,
+  contact_value, service_areas, priority, active`;
+
+export async function listProviders({ type = null, activeOnly = true } = {}) {
+  const params = [];
+  let sql = `SELECT ${PROVIDER_COLUMNS} FROM booking_providers WHERE 1=1`;
+
+  if (type) {
+    params.push(type);
+    sql += ` AND booking_type=$${params.length}`;
+  }
+  if (activeOnly) sql += " AND active";
+
+  sql += " ORDER BY priority ASC, id ASC";
+
+  const r = await q(sql, params);
+  return r.rows;
+}
+
+export async function getProviderById(id) {
+  const r = await q(`SELECT ${PROVIDER_COLUMNS} FROM booking_providers WHERE id=$1`, [id]);
+  return r.rows[0] || null;
+}
+
+/**
+ * Catalog edit (back office). `fields` left undefined keep their value.
+ */
+export async function updateProvider(provider, fields) {
+  const r = await q(
+    `UPDATE booking_providers SET name=$1, config=$2, contact_channel=$3, contact_value=$4,
+       service_areas=$5, priority=$6, active=$7
+     WHERE id=$8
+     RETURNING ${PROVIDER_COLUMNS}`,
+    [
+      fields.name ?? provider.name,
+      fields.config ?? provider.config,
+      fields.contactChannel !== undefined ? fields.contactChannel : provider.contact_channel,
+      fields.contactValue !== undefined ? fields.contactValue : provider.contact_value,
+      fields.serviceAreas ?? provider.service_areas,
+      fields.priority ?? provider.priority,
+      fields.active ?? provider.active,
+      provider.id
+    ]
+  );
+  return r.rows[0] || null;
+}
+
+export async function getProviderBySlug(slug) {
+  const r = await q(`SELECT ${PROVIDER_COLUMNS} FROM booking_providers WHERE slug=$1`, [
+    String(slug || "").trim().toLowerCase()
+  ]);
+  return r.rows[0] || null;
+}
+
+/**
+ * Whether `area` is one of the provider's service_areas (also used for taxi operators).
+ */
+export function servesArea(provider, area) {
+  // Same town/beach once both sides resolve ("MRU" is served by "Plaisance")
+  const place = placeArea(resolvePlace(area)?.place);
+  if (place) {
+    const served = (provider.service_areas || []).some(
+      (s) => placeArea(resolvePlace(s)?.place)?.id === place.id
+    );
+    if (served) return true;
+  }
+
+  const a = norm(area);
+  return (provider.service_areas || []).some((s) => {
+    const sa = norm(s);
+    return sa && a && (a.includes(sa) || sa.includes(a));
+  });
+}
+
+/**
+ * The area a booking is "in" for provider selection:
+ * taxi = pickup location, hotel = hotel name/area, activity = catalog area.
+ */
+export function bookingArea(details) {
+  if (details.type === "taxi") return details.pickupLocation;
+  if (details.type === "activity") return details.activityArea || details.pickupLocation;
+  return details.hotelNameOrArea;
+}
+
+/**
+ * Pick the provider for a booking type + area:
+ * operators that list the area first, then island-wide ones (no service_areas),
+ * each by priority. Returns null when nothing is configured.
+ */
+export async function selectProvider({ type, area }) {
+  const providers = await listProviders({ type });
+
+  const local = providers.filter((p) => servesArea(p, area));
+  if (local.length) return local[0];
+
+  return providers.find((p) => !(p.service_areas || []).length) || null;
+}
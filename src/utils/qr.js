@@ -1,24 +1,56 @@
-import fs from "fs";
-import path from "path";
 import QRCode from "qrcode";
+import { qrStorage } from "./qrStorage.js";
+import { signBookingLink } from "./signing.js";
+
+const QR_OPTIONS = { width: 512, margin: 2 };
+
+export function renderQrPng(url) {
+  return QRCode.toBuffer(url, QR_OPTIONS);
+}
+
+export function renderQrSvg(url) {
+  return QRCode.toString(url, { type: "svg", margin: 2 });
+}
+
+/**
+ * Create the QR image for a booking and keep it in QR storage
+ * (local disk, Postgres or S3, see utils/qrStorage.js) as booking-<id>.png.
+ */
+export async function generateQrPng({ bookingId, url }) {
+  const filename = qrFilename(bookingId);
+  const png = await renderQrPng(url);
+
+  await qrStorage().put(filename, png, "image/png");
+
+  return { filename };
+}
+
+/**
+ * PNG bytes of a booking's QR: the stored image when there is one,
+ * else rendered on the fly from `url` (same content).
+ */
+export async function loadQrPng({ bookingId, url }) {
+  const stored = await qrStorage().get(qrFilename(bookingId));
+  return stored ? stored.body : renderQrPng(url);
+}
+
+export function qrFilename(bookingId) {
+  return `booking-${bookingId}.png`;
+}
+
+/**
+ * Public (signed) QR image URL, served by GET /api/qr/:bookingId.(png|svg).
+ * bust: cache-buster, email clients keep the previous image for the same URL.
+ */
+export function qrImageUrl(baseUrl, bookingId, { format = "png", bust = false } = {}) {
+  const url = `${baseUrl}/api/qr/${bookingId}.${format}?sig=${signBookingLink("qr", bookingId)}`;
+  return bust ? `${url}&v=${Date.now()}` : url;
+}
 
 /**
- * Generates a PNG QR code file for a given URL.
- * Returns absolute file path.
+ * Signed link to the read-only verification page a hotel or driver lands on
+ * after scanning a voucher.
  */
-export async function generateBookingQrPng({ bookingId, url }) {
-  const dir = path.join(process.cwd(), "uploads", "qr");
-  fs.mkdirSync(dir, { recursive: true });
-
-  const filePath = path.join(dir, `booking-${bookingId}.png`);
-
-  // Creates a PNG QR code file
-  await QRCode.toFile(filePath, url, {
-    type: "png",
-    errorCorrectionLevel: "M",
-    margin: 2,
-    width: 320
-  });
-
-  return filePath;
-}
\ No newline at end of file
+export function bookingVerificationUrl(baseUrl, bookingId) {
+  return `${baseUrl}/api/qr/verify/${bookingId}?sig=${signBookingLink("verify", bookingId)}`;
+}
@@ -0,0 +1,199 @@
+// server/src/utils/qrStorage.js
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { q } from "../db.js";
+
+/**
+ * Where generated QR images live. QR_STORAGE picks the driver:
+ *   local     storage/qr on disk (default; fine for a long-running server). Not a
+ *             static directory: images are only served through signed /api/qr links
+ *   postgres  qr_images table (Vercel and other serverless hosts)
+ *   s3        any S3-compatible bucket (S3_ENDPOINT, S3_BUCKET, S3_REGION,
+ *             S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, optional S3_PREFIX)
+ *
+ * Driver interface:
+ *   put(key, buffer, contentType) -> void
+ *   get(key) -> { body: Buffer, contentType } | null
+ */
+
+// -------------------------
+// Local disk
+// -------------------------
+function localDir() {
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  return path.join(__dirname, "..", "..", "storage", "qr");
+}
+
+const CONTENT_TYPES = { ".png": "image/png", ".svg": "image/svg+xml" };
+
+const localDriver = {
+  name: "local",
+
+  async put(key, body) {
+    const dir = localDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+    // write then rename, so a concurrent read never sees a half-written file
+    const file = path.join(dir, path.basename(key));
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.promises.writeFile(tmp, body);
+    await fs.promises.rename(tmp, file);
+  },
+
+  async get(key) {
+    try {
+      const body = await fs.promises.readFile(path.join(localDir(), path.basename(key)));
+      return { body, contentType: CONTENT_TYPES[path.extname(key)] || "application/octet-stream" };
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+};
+
+// -------------------------
+// Postgres (bytea)
+// -------------------------
+const postgresDriver = {
+  name: "postgres",
+
+  async put(key, body, contentType) {
+    await q(
+      `INSERT INTO qr_images(key, content_type, data) VALUES($1,$2,$3)
+       ON CONFLICT (key) DO UPDATE
+       SET content_type=EXCLUDED.content_type, data=EXCLUDED.data, updated_at=NOW()`,
+      [key, contentType, body]
+    );
+  },
+
+  async get(key) {
+    const r = await q("SELECT content_type, data FROM qr_images WHERE key=$1", [key]);
+    if (r.rows.length === 0) return null;
+    return { body: Buffer.from(r.rows[0].data), contentType: r.rows[0].content_type };
+  }
+};
+
+// -------------------------
+// S3-compatible (AWS S3, Cloudflare R2, MinIO…), path-style, SigV4
+// -------------------------
+function required(name) {
+  const v = process.env[name];
+  if (!v || !String(v).trim()) throw new Error(`Missing required environment variable: ${name}`);
+  return String(v).trim();
+}
+
+function s3Config() {
+  return {
+    endpoint: required("S3_ENDPOINT").replace(/\/$/, ""),
+    bucket: required("S3_BUCKET"),
+    region: process.env.S3_REGION || "us-east-1",
+    accessKeyId: required("S3_ACCESS_KEY_ID"),
+    secretAccessKey: required("S3_SECRET_ACCESS_KEY"),
+    prefix: process.env.S3_PREFIX ?? "qr/"
+  };
+}
+
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// RFC 3986 encoding of each path segment, as SigV4 expects
+function encodePath(p) {
+  return p
+    .split("/")
+    .map((s) =>
+      encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+    )
+    .join("/");
+}
+
+function signS3Request({ method, url, headers, payloadHash, cfg, now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${cfg.region}/s3/aws4_request`;
+
+  const all = {
+    ...headers,
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate
+  };
+
+  const names = Object.keys(all)
+    .map((h) => h.toLowerCase())
+    .sort();
+  const lower = Object.fromEntries(Object.entries(all).map(([k, v]) => [k.toLowerCase(), v]));
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    "",
+    names.map((h) => `${h}:${String(lower[h]).trim()}\n`).join(""),
+    names.join(";"),
+    payloadHash
+  ].join("\n");
+
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+  const kDate = hmac(`AWS4${cfg.secretAccessKey}`, dateStamp);
+  const kSigning = hmac(hmac(hmac(kDate, cfg.region), "s3"), "aws4_request");
+  const signature = crypto.createHmac("sha256", kSigning).update(stringToSign).digest("hex");
+
+  return {
+    ...all,
+    authorization:
+      `AWS4-HMAC-SHA256 Credential=${cfg.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${names.join(";")}, Signature=${signature}`
+  };
+}
+
+async function s3Request(method, key, { body = null, contentType = null } = {}) {
+  const cfg = s3Config();
+  const url = new URL(`${cfg.endpoint}${encodePath(`/${cfg.bucket}/${cfg.prefix}${key}`)}`);
+
+  const headers = signS3Request({
+    method,
+    url,
+    headers: contentType ? { "content-type": contentType } : {},
+    payloadHash: sha256Hex(body || ""),
+    cfg
+  });
+  delete headers.host; // fetch sets it
+
+  return fetch(url, { method, headers, body: body || undefined });
+}
+
+const s3Driver = {
+  name: "s3",
+
+  async put(key, body, contentType) {
+    const resp = await s3Request("PUT", key, { body, contentType });
+    if (!resp.ok) throw new Error(`S3 PUT ${key} failed: HTTP ${resp.status}`);
+  },
+
+  async get(key) {
+    const resp = await s3Request("GET", key);
+    if (resp.status === 404) return null;
+    if (!resp.ok) throw new Error(`S3 GET ${key} failed: HTTP ${resp.status}`);
+    return {
+      body: Buffer.from(await resp.arrayBuffer()),
+      contentType: resp.headers.get("content-type") || "application/octet-stream"
+    };
+  }
+};
+
+const DRIVERS = { local: localDriver, postgres: postgresDriver, s3: s3Driver };
+
+/**
+ * Driver from QR_STORAGE. On Vercel (no persistent disk) the default is postgres.
+ */
+export function qrStorage() {
+  const name = String(process.env.QR_STORAGE || (process.env.VERCEL ? "postgres" : "local"))
+    .toLowerCase()
+    .trim();
+
+  const driver = DRIVERS[name];
+  if (!driver) throw new Error(`Unknown QR_STORAGE: ${name} (use local, postgres or s3)`);
+  return driver;
+}
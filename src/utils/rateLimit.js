@@ -0,0 +1,110 @@
+// server/src/utils/rateLimit.js
+import { q } from "../db.js";
+
+/**
+ * Fixed-window request counters. RATE_LIMIT_STORE picks the store:
+ *   memory    per process (default; fine for a single long-running server)
+ *   postgres  rate_limits table, shared by every instance (Vercel and other serverless hosts)
+ *
+ * Store interface:
+ *   hit(key, windowMs) -> { count, resetAt: Date }   count includes this hit
+ *   reset(key) -> void
+ */
+
+// -------------------------
+// Memory
+// -------------------------
+const counters = new Map();
+
+const memoryStore = {
+  name: "memory",
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+
+    // drop expired keys now and then so the map stays small
+    if (counters.size > 10_000) {
+      for (const [k, c] of counters) if (c.resetAt <= now) counters.delete(k);
+    }
+
+    let c = counters.get(key);
+    if (!c || c.resetAt <= now) {
+      c = { count: 0, resetAt: now + windowMs };
+      counters.set(key, c);
+    }
+    c.count += 1;
+
+    return { count: c.count, resetAt: new Date(c.resetAt) };
+  },
+
+  async reset(key) {
+    counters.delete(key);
+  }
+};
+
+// -------------------------
+// Postgres
+// -------------------------
+const PRUNE_EVERY_MS = 60_000;
+let lastPrune = 0;
+
+const postgresStore = {
+  name: "postgres",
+
+  async hit(key, windowMs) {
+    const r = await q(
+      `INSERT INTO rate_limits(key, count, reset_at)
+       VALUES($1, 1, NOW() + ($2::int * INTERVAL '1 millisecond'))
+       ON CONFLICT (key) DO UPDATE SET
+         count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+         reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at
+                         ELSE rate_limits.reset_at END
+       RETURNING count, reset_at`,
+      [key, windowMs]
+    );
+
+    if (Date.now() - lastPrune > PRUNE_EVERY_MS) {
+      lastPrune = Date.now();
+      q("DELETE FROM rate_limits WHERE reset_at < NOW()").catch((e) =>
+        console.error("Rate limit prune failed:", e?.message || e)
+      );
+    }
+
+    return { count: r.rows[0].count, resetAt: new Date(r.rows[0].reset_at) };
+  },
+
+  async reset(key) {
+    await q("DELETE FROM rate_limits WHERE key=$1", [key]);
+  }
+};
+
+const STORES = { memory: memoryStore, postgres: postgresStore };
+
+/**
+ * Store from RATE_LIMIT_STORE. On Vercel (no shared memory between instances)
+ * the default is postgres.
+ */
+export function rateLimitStore() {
+  const name = String(process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? "postgres" : "memory"))
+    .toLowerCase()
+    .trim();
+
+  const store = STORES[name];
+  if (!store) throw new Error(`Unknown RATE_LIMIT_STORE: ${name} (use memory or postgres)`);
+  return store;
+}
+
+/**
+ * Count one hit on `key`. Returns { ok: true } or, once more than `limit`
+ * hits landed in the window, { ok: false, retryAfter } (seconds).
+ */
+export async function hitRateLimit(key, { limit, windowSeconds }) {
+  const { count, resetAt } = await rateLimitStore().hit(key, windowSeconds * 1000);
+  if (count <= limit) return { ok: true, remaining: limit - count };
+
+  return { ok: false, retryAfter: Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000)) };
+}
+
+export async function resetRateLimit(key) {
+  await rateLimitStore().reset(key);
+}
@@ -0,0 +1,123 @@
+// server/src/utils/rbac.js
+import { q, withTransaction } from "../db.js";
+
+/**
+ * Roles and permissions.
+ *   admin     back office: roles, webhooks, catalog, support
+ *   agent     support console: tickets, travellers' bookings (read, confirm, close)
+ *   operator  taxi operator portal (also needs a taxi_operators row: provider + areas)
+ *
+ * Roles live on users.roles and are signed into access tokens; permissions are
+ * derived from roles here, so adding one to a role needs no migration.
+ * `auth` reloads roles on every request, so a revoke applies right away.
+ * The first admin is granted from the command line: npm run grant-admin -- <email>.
+ */
+
+export const ROLES = ["admin", "agent", "operator"];
+
+export const ROLE_PERMISSIONS = {
+  admin: [
+    "roles.manage",
+    "webhooks.manage",
+    "catalog.manage",
+    "support.manage",
+    "bookings.read_any",
+    "bookings.manage"
+  ],
+  agent: ["support.manage", "bookings.read_any", "bookings.manage"],
+  operator: ["taxi.dispatch"]
+};
+
+export const PERMISSIONS = [...new Set(Object.values(ROLE_PERMISSIONS).flat())];
+
+export function permissionsFor(roles = []) {
+  return [...new Set(roles.flatMap((r) => ROLE_PERMISSIONS[r] || []))];
+}
+
+export function hasPermission(roles, permission) {
+  return permissionsFor(roles).includes(permission);
+}
+
+const GRANT_COLUMNS = "g.id, g.user_id, g.role, g.action, g.actor_id, g.reason, g.created_at";
+
+/**
+ * Give `role` to a user and record it. Returns { ok: true, changed, roles }
+ * (changed: false when the user already had it) or { ok: false, status, error }.
+ */
+export async function grantRole(userId, role, { actorId, reason = "" }, db = null) {
+  const run = async (tx) => {
+    const r = await tx.query("SELECT roles FROM users WHERE id=$1 FOR UPDATE", [userId]);
+    if (r.rows.length === 0) return { ok: false, status: 404, error: "User not found" };
+
+    const roles = r.rows[0].roles || [];
+    if (roles.includes(role)) return { ok: true, changed: false, roles };
+
+    const updated = await tx.query(
+      "UPDATE users SET roles = array_append(roles, $1) WHERE id=$2 RETURNING roles",
+      [role, userId]
+    );
+    await tx.query(
+      `INSERT INTO role_grants(user_id, role, action, actor_id, reason)
+       VALUES($1,$2,'grant',$3,$4)`,
+      [userId, role, actorId, reason]
+    );
+
+    return { ok: true, changed: true, roles: updated.rows[0].roles };
+  };
+
+  return db ? run(db) : withTransaction(run);
+}
+
+/**
+ * Take `role` away and record it. The last admin cannot be removed.
+ * Same return shape as grantRole.
+ */
+export async function revokeRole(userId, role, { actorId, reason = "" }) {
+  return withTransaction(async (db) => {
+    // Every admin row locked first (id order): two admins revoking each other wait
+    // here one after the other, so the second one sees a single admin left
+    const admins =
+      role === "admin"
+        ? await db.query("SELECT id FROM users WHERE 'admin' = ANY(roles) ORDER BY id FOR UPDATE")
+        : null;
+
+    const r = await db.query("SELECT roles FROM users WHERE id=$1 FOR UPDATE", [userId]);
+    if (r.rows.length === 0) return { ok: false, status: 404, error: "User not found" };
+
+    const roles = r.rows[0].roles || [];
+    if (!roles.includes(role)) return { ok: true, changed: false, roles };
+
+    if (admins && admins.rows.length <= 1) {
+      return { ok: false, status: 409, error: "Cannot remove the last admin" };
+    }
+
+    const updated = await db.query(
+      "UPDATE users SET roles = array_remove(roles, $1) WHERE id=$2 RETURNING roles",
+      [role, userId]
+    );
+    await db.query(
+      `INSERT INTO role_grants(user_id, role, action, actor_id, reason)
+       VALUES($1,$2,'revoke',$3,$4)`,
+      [userId, role, actorId, reason]
+    );
+
+    return { ok: true, changed: true, roles: updated.rows[0].roles };
+  });
+}
+
+/**
+ * Grant / revoke history, newest first (for one user, or everyone).
+ */
+export async function listRoleGrants({ userId = null, limit = 100 } = {}) {
+  const r = await q(
+    `SELECT ${GRANT_COLUMNS}, u.email, a.email AS actor_email
+     FROM role_grants g
+     JOIN users u ON u.id = g.user_id
+     LEFT JOIN users a ON a.id = g.actor_id
+     WHERE ($1::int IS NULL OR g.user_id = $1)
+     ORDER BY g.id DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+  return r.rows;
+}
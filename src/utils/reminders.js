@@ -0,0 +1,192 @@
+// server/src/utils/reminders.js
+import { q, withTransaction } from "../db.js";
+import { enqueueJob, kickOutbox } from "./outbox.js";
+import { bookingReminderEmailTemplate } from "./email.js";
+import { buildTaxiMapsDirectionsLink } from "./providers.js";
+import { taxiLegs } from "./taxiLegs.js";
+import { liveStatuses } from "./bookingStatus.js";
+import { appTimeZone, zonedDateTimeToUtc, todayInZone, addDaysIso } from "./datetime.js";
+
+/**
+ * Pre-trip reminder emails.
+ *
+ *   taxi_24h / taxi_2h   24h and 2h before pickupDate + pickupTime
+ *   taxi_return_24h / taxi_return_2h   same for the return leg (returnDate + returnTime)
+ *   hotel_day_before     the day before checkIn, at HOTEL_REMINDER_TIME
+ *
+ * All times are local to APP_TIMEZONE, like the calendar events.
+ * Each reminder is recorded in booking_reminders before its email job is
+ * queued (same transaction), so it goes out at most once.
+ */
+
+const HOTEL_REMINDER_TIME = "10:00";
+const HOTEL_CHECK_IN_TIME = "14:00";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Reminders a booking should get: [{ kind, dueAt, eventAt, leg? }] (empty when dates are unusable).
+ */
+export function reminderSchedule(booking) {
+  const d = booking.details || {};
+  const tz = appTimeZone();
+
+  if (booking.type === "taxi") {
+    return taxiLegs(d).flatMap((leg) => {
+      const eventAt = zonedDateTimeToUtc(leg.date, leg.time, tz);
+      if (!eventAt) return [];
+
+      const prefix = leg.kind === "return" ? "taxi_return" : "taxi";
+      return [
+        { kind: `${prefix}_24h`, dueAt: new Date(eventAt.getTime() - 24 * HOUR_MS), eventAt, leg },
+        { kind: `${prefix}_2h`, dueAt: new Date(eventAt.getTime() - 2 * HOUR_MS), eventAt, leg }
+      ];
+    });
+  }
+
+  if (booking.type === "hotel") {
+    const eventAt = zonedDateTimeToUtc(d.checkIn, HOTEL_CHECK_IN_TIME, tz);
+    const dueAt = zonedDateTimeToUtc(addDaysIso(d.checkIn, -1), HOTEL_REMINDER_TIME, tz);
+    if (!eventAt || !dueAt) return [];
+    return [{ kind: "hotel_day_before", dueAt, eventAt }];
+  }
+
+  return [];
+}
+
+/**
+ * The one reminder to send now, if any: the latest that is due, before the
+ * trip starts, and not older than the booking itself (a booking made 3h before
+ * pickup already got its confirmation; it only gets the 2h reminder).
+ */
+export function dueReminder(booking, now = new Date()) {
+  const created = booking.created_at ? new Date(booking.created_at) : null;
+
+  const due = reminderSchedule(booking).filter(
+    (r) => r.dueAt <= now && now < r.eventAt && !(created && created > r.dueAt)
+  );
+
+  return due.length ? due[due.length - 1] : null;
+}
+
+function reminderSubject(booking, { kind, leg }) {
+  const d = booking.details || {};
+  const ride = leg?.kind === "return" ? "return taxi" : "taxi";
+  if (kind.endsWith("_24h")) return `Reminder: ${ride} pickup tomorrow at ${leg.time}`;
+  if (kind.endsWith("_2h")) return `Reminder: ${ride} pickup today at ${leg.time}`;
+  return `Reminder: check-in tomorrow at ${d.hotelNameOrArea}`;
+}
+
+async function scheduleReminder(booking, reminder) {
+  return withTransaction(async (db) => {
+    const ins = await db.query(
+      `INSERT INTO booking_reminders(booking_id, kind, due_at)
+       VALUES($1,$2,$3)
+       ON CONFLICT (booking_id, kind, due_at) DO NOTHING
+       RETURNING id`,
+      [booking.id, reminder.kind, reminder.dueAt]
+    );
+
+    // Already queued by an earlier run
+    if (ins.rows.length === 0) return false;
+
+    const isTaxi = booking.type === "taxi";
+
+    const job = await enqueueJob(
+      {
+        kind: "email.send",
+        purpose: `reminder_${reminder.kind}`,
+        bookingId: booking.id,
+        userId: booking.user_id,
+        payload: {
+          to: booking.email,
+          subject: reminderSubject(booking, reminder),
+          html: bookingReminderEmailTemplate({
+            username: booking.username,
+            bookingType: booking.type,
+            kind: reminder.kind,
+            leg: reminder.leg || null,
+            details: booking.details,
+            // taxi: route + WhatsApp chat with the driver; hotel: booking partner link
+            externalLink: isTaxi ? buildTaxiMapsDirectionsLink(booking.details) : booking.external_link,
+            taxiWhatsAppLink: isTaxi ? booking.external_link : null
+          })
+        }
+      },
+      db
+    );
+
+    await db.query("UPDATE booking_reminders SET job_id=$1 WHERE id=$2", [
+      job.id,
+      ins.rows[0].id
+    ]);
+
+    return true;
+  });
+}
+
+/**
+ * Queue every reminder that is due. Safe to run from several places at once.
+ * Returns { checked, scheduled }.
+ */
+export async function runDueReminders({ now = new Date() } = {}) {
+  const tz = appTimeZone();
+  const today = todayInZone(tz, now);
+
+  // Only bookings starting within the next couple of days can have a reminder due
+  const r = await q(
+    `SELECT b.id, b.user_id, b.type, b.details, b.external_link, b.status, b.created_at,
+            u.email, u.username
+     FROM bookings b
+     JOIN users u ON u.id = b.user_id
+     WHERE b.status = ANY($1)
+       AND u.booking_reminders
+       AND (
+         (b.type = 'taxi' AND b.details->>'pickupDate' BETWEEN $2 AND $3)
+         OR (b.type = 'taxi' AND b.details->>'returnDate' BETWEEN $2 AND $3)
+         OR (b.type = 'hotel' AND b.details->>'checkIn' BETWEEN $2 AND $3)
+       )`,
+    [liveStatuses(), today, addDaysIso(today, 2)]
+  );
+
+  let scheduled = 0;
+  for (const booking of r.rows) {
+    const reminder = dueReminder(booking, now);
+    if (!reminder) continue;
+
+    try {
+      if (await scheduleReminder(booking, reminder)) scheduled += 1;
+    } catch (e) {
+      console.error(`[Reminders] Booking ${booking.id} (${reminder.kind}) failed:`, e?.message || e);
+    }
+  }
+
+  if (scheduled > 0) kickOutbox();
+
+  return { checked: r.rows.length, scheduled };
+}
+
+// -------------------------
+// Scheduler loop (long-running server only; serverless uses POST /api/jobs/run)
+// -------------------------
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await runDueReminders();
+  } catch (e) {
+    console.error("[Reminders] Tick failed:", e?.message || e);
+  } finally {
+    running = false;
+  }
+}
+
+export function startReminderScheduler({
+  intervalMs = Number(process.env.REMINDER_POLL_MS || 60_000)
+} = {}) {
+  const timer = setInterval(tick, intervalMs);
+  tick();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,26 @@
+// server/src/utils/serverUrl.js
+
+/**
+ * Build a public base URL for links in emails.
+ * - Prefer SERVER_URL from .env (recommended)
+ * - Otherwise the request's host (no request, e.g. a background sweep: the Render host)
+ */
+export function getServerBaseUrl(req = null) {
+  if (process.env.SERVER_URL) return process.env.SERVER_URL.replace(/\/$/, "");
+
+  const headers = req?.headers || {};
+  const proto = (headers["x-forwarded-proto"] || (req ? "http" : "https")).split(",")[0].trim();
+  const host =
+    (headers["x-forwarded-host"] || headers.host || "travel-buddy-server-9zqk.onrender.com")
+      .split(",")[0]
+      .trim();
+
+  return `${proto}://${host}`;
+}
+
+/**
+ * Public base URL of the web app (links that open the frontend).
+ */
+export function getClientBaseUrl() {
+  return (process.env.CLIENT_URL || "https://travel-buddy-kr134.vercel.app").replace(/\/$/, "");
+}
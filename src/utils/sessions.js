@@ -0,0 +1,314 @@
+// server/src/utils/sessions.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { q, withTransaction } from "../db.js";
+
+/**
+ * Login sessions (sessions table).
+ *
+ * Signup / login open a session and return:
+ *   - an access token: JWT { userId, tv, sid, roles }, ACCESS_TOKEN_TTL (default 15m),
+ *     sent as "Authorization: Bearer"; `auth` rejects it once the session is revoked
+ *   - a refresh token: random, in the httpOnly cookie REFRESH_COOKIE (path /api/auth),
+ *     REFRESH_TOKEN_TTL_DAYS (default 30, sliding). POST /api/auth/refresh swaps it
+ *     for a new one + a new access token.
+ *
+ * A rotated refresh token presented again means it was copied: the session is revoked
+ * (except within REFRESH_REUSE_GRACE_SECONDS, two tabs refreshing at the same time).
+ */
+
+const JWT_SECRET = process.env.JWT_SECRET || "dev_secret";
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+export const REFRESH_COOKIE = "tb_refresh";
+
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+
+const SESSION_COLUMNS = "id, user_agent, ip, created_at, last_used_at, expires_at";
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// tv = users.token_version: a password reset bumps it and older tokens stop working
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      tv: user.token_version ?? 0,
+      sid: Number(sessionId),
+      roles: user.roles || []
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// -------------------------
+// Request info
+// -------------------------
+
+// req.ip: Express reads x-forwarded-for only as far as the proxies app.js trusts
+// ("trust proxy"), so a client cannot pick its own address by sending the header
+export function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || "";
+}
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"]
+];
+
+const SYSTEMS = [
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/Linux/, "Linux"]
+];
+
+/**
+ * "Chrome on Windows", "Safari on iOS"… from a User-Agent header.
+ */
+export function describeDevice(userAgent) {
+  const ua = String(userAgent || "");
+  const browser = BROWSERS.find(([re]) => re.test(ua))?.[1];
+  const system = SYSTEMS.find(([re]) => re.test(ua))?.[1];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || (ua ? ua.slice(0, 60) : "Unknown device");
+}
+
+// -------------------------
+// Cookie
+// -------------------------
+
+// Client and API live on different sites in production: SameSite=None needs Secure
+function refreshCookieOptions() {
+  const secure = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure,
+    sameSite: secure ? "none" : "lax",
+    path: "/api/auth"
+  };
+}
+
+function setRefreshCookie(res, token) {
+  res.cookie(REFRESH_COOKIE, token, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+}
+
+export function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+}
+
+export function refreshTokenFrom(req) {
+  return req.cookies?.[REFRESH_COOKIE] || null;
+}
+
+// -------------------------
+// Sessions
+// -------------------------
+
+/**
+ * New session for `user` ({ id, token_version, roles }): sets the refresh cookie,
+ * returns { token (access), expiresIn, sessionId }.
+ */
+export async function startSession(req, res, user) {
+  const refreshToken = newRefreshToken();
+
+  const r = await q(
+    `INSERT INTO sessions(user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES($1,$2,$3,$4,$5)
+     RETURNING id`,
+    [
+      user.id,
+      hashRefreshToken(refreshToken),
+      String(req.headers["user-agent"] || "").slice(0, 500),
+      clientIp(req),
+      refreshExpiry()
+    ]
+  );
+  const sessionId = Number(r.rows[0].id);
+
+  setRefreshCookie(res, refreshToken);
+
+  return { token: signAccessToken(user, sessionId), expiresIn: ACCESS_TOKEN_TTL, sessionId };
+}
+
+/**
+ * Swap the refresh cookie for a new one (rotation) and a new access token.
+ * Returns { ok: true, token, expiresIn, user }, { ok: false, superseded: true } (a
+ * concurrent refresh already rotated it: keep the cookie and retry) or { ok: false, error }.
+ */
+export async function refreshSession(req, res) {
+  const presented = refreshTokenFrom(req);
+  if (!presented) return { ok: false, error: "Missing refresh token" };
+
+  const hash = hashRefreshToken(presented);
+  const refreshToken = newRefreshToken();
+
+  const result = await withTransaction(async (db) => {
+    const r = await db.query(
+      `SELECT s.id, s.revoked_at, s.expires_at, u.id AS user_id, u.email, u.username,
+              u.email_verified, u.token_version, u.roles
+       FROM sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.refresh_token_hash=$1
+       FOR UPDATE OF s`,
+      [hash]
+    );
+    const s = r.rows[0];
+
+    if (!s) {
+      const reused = await db.query(
+        `SELECT id, rotated_at FROM sessions
+         WHERE previous_token_hash=$1 AND revoked_at IS NULL
+         FOR UPDATE`,
+        [hash]
+      );
+      const stale = reused.rows[0];
+
+      const inGrace =
+        stale?.rotated_at &&
+        Date.now() - new Date(stale.rotated_at).getTime() < REFRESH_REUSE_GRACE_SECONDS * 1000;
+
+      // Another tab just rotated this token: its response set the new cookie,
+      // so this one must not touch it
+      if (inGrace) return { ok: false, superseded: true };
+
+      if (stale) {
+        await db.query(
+          "UPDATE sessions SET revoked_at=NOW(), revoke_reason='refresh_reuse' WHERE id=$1",
+          [stale.id]
+        );
+      }
+      return { ok: false, error: "Invalid refresh token" };
+    }
+
+    if (s.revoked_at) return { ok: false, error: "Session revoked" };
+    if (new Date(s.expires_at).getTime() <= Date.now()) {
+      return { ok: false, error: "Session expired" };
+    }
+
+    await db.query(
+      `UPDATE sessions
+       SET previous_token_hash=refresh_token_hash, refresh_token_hash=$1, rotated_at=NOW(),
+           last_used_at=NOW(), expires_at=$2, user_agent=$3, ip=$4
+       WHERE id=$5`,
+      [
+        hashRefreshToken(refreshToken),
+        refreshExpiry(),
+        String(req.headers["user-agent"] || "").slice(0, 500),
+        clientIp(req),
+        s.id
+      ]
+    );
+
+    return { ok: true, session: s };
+  });
+
+  if (!result.ok) return result;
+
+  const s = result.session;
+  const user = {
+    id: s.user_id,
+    email: s.email,
+    username: s.username,
+    emailVerified: s.email_verified,
+    roles: s.roles || []
+  };
+
+  setRefreshCookie(res, refreshToken);
+
+  return {
+    ok: true,
+    token: signAccessToken(
+      { id: s.user_id, token_version: s.token_version, roles: s.roles },
+      s.id
+    ),
+    expiresIn: ACCESS_TOKEN_TTL,
+    user
+  };
+}
+
+/**
+ * Logout with the cookie alone (the access token may have expired already).
+ */
+export async function revokeRefreshSession(token, reason = "logout") {
+  if (!token) return false;
+  const r = await q(
+    `UPDATE sessions SET revoked_at=NOW(), revoke_reason=$1
+     WHERE refresh_token_hash=$2 AND revoked_at IS NULL
+     RETURNING id`,
+    [reason, hashRefreshToken(token)]
+  );
+  return r.rows.length > 0;
+}
+
+export async function revokeSession(sessionId, userId, reason = "logout") {
+  const r = await q(
+    `UPDATE sessions SET revoked_at=NOW(), revoke_reason=$1
+     WHERE id=$2 AND user_id=$3 AND revoked_at IS NULL
+     RETURNING id`,
+    [reason, Number(sessionId) || 0, userId]
+  );
+  return r.rows.length > 0;
+}
+
+/**
+ * Revoke every live session of the user, but `exceptSessionId` (the caller's own).
+ * `db`: run inside the caller's transaction. Returns how many were revoked.
+ */
+export async function revokeAllSessions(
+  userId,
+  { reason, exceptSessionId = null } = {},
+  db = { query: q }
+) {
+  const r = await db.query(
+    `UPDATE sessions SET revoked_at=NOW(), revoke_reason=$1
+     WHERE user_id=$2 AND revoked_at IS NULL AND ($3::bigint IS NULL OR id <> $3)
+     RETURNING id`,
+    [reason, userId, exceptSessionId]
+  );
+  return r.rows.length;
+}
+
+/**
+ * Live sessions, most recently used first. `current` marks the caller's.
+ */
+export async function listSessions(userId, currentSessionId) {
+  const r = await q(
+    `SELECT ${SESSION_COLUMNS}
+     FROM sessions
+     WHERE user_id=$1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC, id DESC`,
+    [userId]
+  );
+
+  return r.rows.map((s) => ({
+    id: Number(s.id),
+    device: describeDevice(s.user_agent),
+    userAgent: s.user_agent,
+    ip: s.ip,
+    createdAt: s.created_at,
+    lastUsedAt: s.last_used_at,
+    expiresAt: s.expires_at,
+    current: Number(s.id) === Number(currentSessionId)
+  }));
+}
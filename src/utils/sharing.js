@@ -0,0 +1,369 @@
+// server/src/utils/sharing.js
+import crypto from "crypto";
+import { z } from "zod";
+import { q, withTransaction } from "../db.js";
+import { enqueueJob, kickOutbox } from "./outbox.js";
+import { bookingTypeLabel, shareInviteEmailTemplate } from "./email.js";
+import { getClientBaseUrl } from "./serverUrl.js";
+import { bookingReference } from "./voucher.js";
+
+/**
+ * Co-travellers: a booking, or a whole trip, shared by email invitation.
+ *   viewer  sees the booking (details, .ics, voucher, deliveries) and gets copies of its emails
+ *   editor  can also edit and cancel it
+ * Only the owner invites and revokes. A trip share covers every booking of the trip.
+ * Invites are accepted with the emailed token, by an account with the invited email.
+ */
+
+export const SHARE_ROLES = ["viewer", "editor"];
+export const SHARE_INVITE_TTL_DAYS = 14;
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+export function canAccess(role, needed) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[needed];
+}
+
+export const shareInviteSchema = z.object({
+  email: z.string().trim().toLowerCase().email(),
+  role: z.enum(SHARE_ROLES).optional().default("viewer")
+});
+
+const SHARE_COLUMNS = `s.id, s.booking_id, s.trip_id, s.email, s.role, s.status, s.user_id,
+  s.invited_by, s.expires_at, s.accepted_at, s.created_at`;
+
+// Best role held through accepted shares matching `match`; NULL when there are none
+function sharedRoleSql(userParam, match) {
+  return `(SELECT CASE WHEN bool_or(s.role = 'editor') THEN 'editor' ELSE 'viewer' END
+           FROM shares s
+           WHERE s.user_id = ${userParam} AND s.status = 'accepted' AND (${match})
+           HAVING COUNT(*) > 0)`;
+}
+
+/**
+ * SQL expression: role of user `userParam` (e.g. "$2") on the booking aliased `alias`,
+ * shared directly or through its trip.
+ */
+export function sharedBookingRoleSql(alias, userParam) {
+  return sharedRoleSql(userParam, `s.booking_id = ${alias}.id OR s.trip_id = ${alias}.trip_id`);
+}
+
+export function sharedTripRoleSql(alias, userParam) {
+  return sharedRoleSql(userParam, `s.trip_id = ${alias}.id`);
+}
+
+// -------------------------
+// Targets
+// -------------------------
+export function bookingShareTarget(booking) {
+  return {
+    column: "booking_id",
+    id: booking.id,
+    bookingId: booking.id,
+    ownerId: booking.user_id,
+    what: `${bookingTypeLabel(booking.type)} ${bookingReference(booking.id)}`
+  };
+}
+
+export function tripShareTarget(trip) {
+  return {
+    column: "trip_id",
+    id: trip.id,
+    bookingId: null,
+    ownerId: trip.user_id,
+    what: trip.name
+  };
+}
+
+function targetWhat(row) {
+  return row.booking_id
+    ? `${bookingTypeLabel(row.booking_type)} ${bookingReference(row.booking_id)}`
+    : row.trip_name;
+}
+
+// -------------------------
+// Tokens
+// -------------------------
+function newInviteToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+export function shareInviteUrl(token) {
+  return `${getClientBaseUrl()}/?invite=${encodeURIComponent(token)}`;
+}
+
+// -------------------------
+// Owner side
+// -------------------------
+
+/**
+ * Invite (or re-invite) an email to a booking / trip.
+ * - new email: pending share + invitation email
+ * - still pending: role updated, fresh token and expiry, invitation sent again
+ * - already accepted: role updated, no email
+ * inviter: { id, email, username }
+ */
+export async function inviteToShare(target, { email, role }, inviter) {
+  if (email === String(inviter.email || "").toLowerCase()) {
+    return { ok: false, error: "You cannot share with yourself" };
+  }
+
+  const token = newInviteToken();
+  const expiresAt = new Date(Date.now() + SHARE_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const result = await withTransaction(async (db) => {
+    const found = await db.query(
+      `SELECT id, status FROM shares s
+       WHERE ${target.column}=$1 AND email=$2 AND status <> 'revoked'
+       FOR UPDATE`,
+      [target.id, email]
+    );
+    const existing = found.rows[0];
+
+    if (existing?.status === "accepted") {
+      const updated = await db.query(
+        `UPDATE shares s SET role=$1 WHERE id=$2 RETURNING ${SHARE_COLUMNS}`,
+        [role, existing.id]
+      );
+      return { share: updated.rows[0], invitation: null };
+    }
+
+    const saved = existing
+      ? await db.query(
+          `UPDATE shares s SET role=$1, token_hash=$2, expires_at=$3, invited_by=$4
+           WHERE id=$5
+           RETURNING ${SHARE_COLUMNS}`,
+          [role, hashInviteToken(token), expiresAt, inviter.id, existing.id]
+        )
+      : await db.query(
+          `INSERT INTO shares AS s(${target.column}, email, role, token_hash, invited_by, expires_at)
+           VALUES($1,$2,$3,$4,$5,$6)
+           RETURNING ${SHARE_COLUMNS}`,
+          [target.id, email, role, hashInviteToken(token), inviter.id, expiresAt]
+        );
+
+    const job = await enqueueJob(
+      {
+        kind: "email.send",
+        purpose: "share_invite",
+        bookingId: target.bookingId,
+        userId: inviter.id,
+        payload: {
+          to: email,
+          subject: `${inviter.username} shared ${target.what} with you`,
+          html: shareInviteEmailTemplate({
+            inviterName: inviter.username,
+            what: target.what,
+            role,
+            acceptUrl: shareInviteUrl(token),
+            expiresAt
+          })
+        }
+      },
+      db
+    );
+
+    return { share: saved.rows[0], invitation: { status: "pending", jobId: Number(job.id) } };
+  });
+
+  if (result.invitation) kickOutbox();
+
+  return { ok: true, ...result };
+}
+
+/**
+ * Live (pending or accepted) shares of a booking / trip, with the co-traveller's name.
+ */
+export async function listShares(target) {
+  const r = await q(
+    `SELECT ${SHARE_COLUMNS}, u.username
+     FROM shares s
+     LEFT JOIN users u ON u.id = s.user_id
+     WHERE s.${target.column}=$1 AND s.status <> 'revoked'
+     ORDER BY s.created_at ASC`,
+    [target.id]
+  );
+  return r.rows;
+}
+
+export async function revokeShare(target, shareId) {
+  const r = await q(
+    `UPDATE shares s SET status='revoked', revoked_at=NOW()
+     WHERE id=$1 AND ${target.column}=$2 AND status <> 'revoked'
+     RETURNING ${SHARE_COLUMNS}`,
+    [Number(shareId) || 0, target.id]
+  );
+  return r.rows[0] || null;
+}
+
+// -------------------------
+// Co-traveller side
+// -------------------------
+async function findInvite(token) {
+  const r = await q(
+    `SELECT ${SHARE_COLUMNS}, u.username AS inviter_name, b.type AS booking_type,
+            t.name AS trip_name, COALESCE(b.user_id, t.user_id) AS owner_id
+     FROM shares s
+     JOIN users u ON u.id = s.invited_by
+     LEFT JOIN bookings b ON b.id = s.booking_id
+     LEFT JOIN trips t ON t.id = s.trip_id
+     WHERE s.token_hash=$1`,
+    [hashInviteToken(token)]
+  );
+  return r.rows[0] || null;
+}
+
+function isExpired(share) {
+  return share.status === "pending" && new Date(share.expires_at) <= new Date();
+}
+
+/**
+ * What an invite link is about (public: the token itself is the secret).
+ * hasAccount tells the app whether to offer login or signup.
+ */
+export async function describeInvite(token) {
+  const share = await findInvite(token);
+  if (!share || share.status === "revoked") return null;
+
+  const u = await q("SELECT 1 FROM users WHERE LOWER(email)=$1", [share.email]);
+
+  return {
+    email: share.email,
+    role: share.role,
+    what: targetWhat(share),
+    bookingId: share.booking_id,
+    tripId: share.trip_id,
+    invitedBy: share.inviter_name,
+    status: isExpired(share) ? "expired" : share.status,
+    expiresAt: share.expires_at,
+    hasAccount: u.rows.length > 0
+  };
+}
+
+/**
+ * Accept an invite as `userId`. The account email must be the invited one.
+ * Returns { ok: true, share } or { ok: false, status, error }.
+ */
+export async function acceptInvite(token, userId) {
+  const share = await findInvite(token);
+  if (!share || share.status === "revoked") {
+    return { ok: false, status: 404, error: "Invitation not found" };
+  }
+
+  if (share.status === "accepted") {
+    return share.user_id === userId
+      ? { ok: true, share }
+      : { ok: false, status: 409, error: "Invitation already accepted" };
+  }
+
+  if (isExpired(share)) return { ok: false, status: 410, error: "Invitation has expired" };
+
+  const u = await q("SELECT email FROM users WHERE id=$1", [userId]);
+  if (String(u.rows[0]?.email || "").toLowerCase() !== share.email) {
+    return { ok: false, status: 403, error: "This invitation was sent to another email address" };
+  }
+
+  if (share.owner_id === userId) {
+    return { ok: false, status: 400, error: "You already own this booking" };
+  }
+
+  const r = await q(
+    `UPDATE shares s SET status='accepted', user_id=$1, accepted_at=NOW()
+     WHERE id=$2 AND status='pending'
+     RETURNING ${SHARE_COLUMNS}`,
+    [userId, share.id]
+  );
+  if (r.rows.length === 0) return { ok: false, status: 409, error: "Invitation already accepted" };
+
+  return { ok: true, share: r.rows[0] };
+}
+
+/**
+ * Shares the user was invited to: accepted ones, and pending ones for their email.
+ */
+export async function receivedShares(userId) {
+  const r = await q(
+    `SELECT ${SHARE_COLUMNS}, u.username AS inviter_name, b.type AS booking_type,
+            t.name AS trip_name
+     FROM shares s
+     JOIN users u ON u.id = s.invited_by
+     JOIN users me ON me.id = $1
+     LEFT JOIN bookings b ON b.id = s.booking_id
+     LEFT JOIN trips t ON t.id = s.trip_id
+     WHERE (s.status = 'accepted' AND s.user_id = $1)
+        OR (s.status = 'pending' AND s.email = LOWER(me.email) AND s.expires_at > NOW())
+     ORDER BY s.created_at DESC`,
+    [userId]
+  );
+
+  return r.rows.map(({ inviter_name, booking_type, trip_name, ...share }) => ({
+    ...share,
+    what: targetWhat({ ...share, booking_type, trip_name }),
+    invitedBy: inviter_name
+  }));
+}
+
+/**
+ * A co-traveller removing a booking / trip shared with them.
+ */
+export async function leaveShare(shareId, userId) {
+  const r = await q(
+    `UPDATE shares s SET status='revoked', revoked_at=NOW()
+     WHERE id=$1 AND user_id=$2 AND status='accepted'
+     RETURNING ${SHARE_COLUMNS}`,
+    [Number(shareId) || 0, userId]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Accepted co-travellers of a booking (directly or through its trip),
+ * who get copies of its emails. The owner is never included.
+ */
+export async function bookingCoTravellers(booking, db = { query: q }) {
+  const r = await db.query(
+    `SELECT DISTINCT u.id, u.email, u.username
+     FROM shares s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.status = 'accepted'
+       AND (s.booking_id = $1 OR s.trip_id = $2)
+       AND u.id <> $3
+     ORDER BY u.id`,
+    [booking.id, booking.trip_id ?? null, booking.user_id]
+  );
+  return r.rows;
+}
+
+/**
+ * Copies of a booking email for its accepted co-travellers, one job each.
+ * email: { purpose, subject, render({ username, sharedBy }) }
+ */
+export async function enqueueCoTravellerEmails(db, { booking, owner, email, attachments }) {
+  const coTravellers = await bookingCoTravellers(booking, db);
+  const jobs = [];
+
+  for (const c of coTravellers) {
+    const job = await enqueueJob(
+      {
+        kind: "email.send",
+        purpose: email.purpose,
+        bookingId: booking.id,
+        userId: c.id,
+        payload: {
+          to: c.email,
+          subject: email.subject,
+          html: email.render({ username: c.username, sharedBy: owner.username }),
+          ...(attachments ? { attachments } : {})
+        }
+      },
+      db
+    );
+    jobs.push({ status: "pending", jobId: Number(job.id), userId: c.id });
+  }
+
+  return jobs;
+}
@@ -0,0 +1,65 @@
+// server/src/utils/signing.js
+import crypto from "crypto";
+
+/**
+ * Short HMAC signatures for public booking links (QR images, verification page),
+ * so a link works without login but booking ids cannot simply be enumerated.
+ * Expiring signed tokens (email verification links) need no table either.
+ * Secret: LINK_SIGNING_SECRET, else JWT_SECRET.
+ */
+
+function secret() {
+  return process.env.LINK_SIGNING_SECRET || process.env.JWT_SECRET || "dev_secret";
+}
+
+export function signBookingLink(purpose, bookingId) {
+  return crypto
+    .createHmac("sha256", secret())
+    .update(`${purpose}:${bookingId}`)
+    .digest("base64url")
+    .slice(0, 22);
+}
+
+export function verifyBookingLink(purpose, bookingId, sig) {
+  const expected = Buffer.from(signBookingLink(purpose, bookingId));
+  const given = Buffer.from(String(sig || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Self-contained expiring token ("<base64url JSON>.<HMAC>"), e.g. the email
+ * verification link. `purpose` is signed in, so a token only works where it was issued.
+ */
+export function signExpiringToken(purpose, data, ttlMs) {
+  const body = Buffer.from(JSON.stringify({ ...data, exp: Date.now() + ttlMs })).toString(
+    "base64url"
+  );
+  const sig = crypto.createHmac("sha256", secret()).update(`${purpose}:${body}`).digest("base64url");
+  return `${body}.${sig}`;
+}
+
+/**
+ * { ok: true, data } or { ok: false, reason: "invalid" | "expired" }.
+ */
+export function readExpiringToken(purpose, token, now = Date.now()) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return { ok: false, reason: "invalid" };
+
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret()).update(`${purpose}:${body}`).digest("base64url")
+  );
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return { ok: false, reason: "invalid" };
+  }
+
+  if (!(data.exp > now)) return { ok: false, reason: "expired" };
+  return { ok: true, data };
+}
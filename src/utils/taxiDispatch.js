@@ -0,0 +1,42 @@
+// server/src/utils/taxiDispatch.js
+import { q } from "../db.js";
+import { servesArea } from "./providers.js";
+
+/**
+ * Taxi requests as seen by operators (routes/operator.routes.js) and
+ * their answers (taxi_dispatches: accepted with driver / vehicle / ETA, or declined).
+ */
+
+/**
+ * A taxi booking is visible to an operator when it went to the operator's provider
+ * and, if the operator lists service areas, the pickup is in one of them.
+ */
+export function operatorServesBooking(operator, booking) {
+  if (booking.type !== "taxi" || booking.provider_id !== operator.provider_id) return false;
+  if (!(operator.service_areas || []).length) return true;
+
+  return servesArea(operator, booking.details?.pickupLocation);
+}
+
+/**
+ * taxi_dispatches row -> API shape (null when the operator has not answered yet).
+ */
+export function dispatchSummary(row) {
+  if (!row) return null;
+
+  return {
+    decision: row.decision,
+    eta: row.eta || null,
+    driverName: row.driver_name || null,
+    driverPhone: row.driver_phone || null,
+    vehicle: row.vehicle || null,
+    plate: row.plate || null,
+    reason: row.reason || null,
+    respondedAt: row.responded_at
+  };
+}
+
+export async function getTaxiDispatch(bookingId) {
+  const r = await q("SELECT * FROM taxi_dispatches WHERE booking_id=$1", [bookingId]);
+  return r.rows[0] || null;
+}
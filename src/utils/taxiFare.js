@@ -0,0 +1,186 @@
+// server/src/utils/taxiFare.js
+import { resolvePlace } from "./places.js";
+import { hasReturnLeg } from "./taxiLegs.js";
+
+/**
+ * Taxi fare estimates for Mauritius routes.
+ *
+ * No routing API: straight-line distance between two gazetteer places (utils/places.js),
+ * stretched by a road factor (coast roads and the M1/M2 are far from straight),
+ * then priced with the tariff below. It is an estimate shown to travellers,
+ * the operator still quotes the final price on WhatsApp.
+ */
+
+// MUR. Roughly what island operators charge for a private car transfer.
+export const TARIFF = {
+  currency: "MUR",
+  baseFare: 300,
+  perKm: 32,
+  minimumFare: 500,
+  roadFactor: 1.35,
+  // 5+ passengers need a van
+  vanFromPassengers: 5,
+  vanMultiplier: 1.4,
+  // 22:00 - 05:59 pickup
+  nightStartHour: 22,
+  nightEndHour: 6,
+  nightSurcharge: 0.25,
+  // bags included per passenger, then a flat fee per extra bag
+  freeBagsPerPassenger: 1,
+  extraBagFee: 75,
+  // estimate range shown as amount ± this share
+  spread: 0.1,
+  roundTo: 50
+};
+
+function haversineKm(a, b) {
+  const R = 6371;
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Number of bags from the free-text luggage field ("2 suitcases + 1 bag" -> 3).
+ */
+export function countBags(luggage) {
+  if (typeof luggage === "number") return Math.max(0, Math.floor(luggage));
+  const nums = String(luggage || "").match(/\d+/g);
+  return nums ? nums.reduce((sum, n) => sum + Number(n), 0) : 0;
+}
+
+function isNightPickup(pickupTime) {
+  const m = String(pickupTime || "").match(/^(\d{2}):/);
+  if (!m) return false;
+  const h = Number(m[1]);
+  return h >= TARIFF.nightStartHour || h < TARIFF.nightEndHour;
+}
+
+function roundFare(amount) {
+  return Math.round(amount / TARIFF.roundTo) * TARIFF.roundTo;
+}
+
+/**
+ * Estimate for a taxi ride, through the intermediate `stops` if any.
+ * Returns { ok: true, estimate } or { ok: false, unresolved: ["pickupLocation", "stops.0", ...] }
+ * when a location does not resolve to a known place.
+ */
+export function estimateTaxiFare({
+  pickupLocation,
+  dropoffLocation,
+  stops = [],
+  passengers = 1,
+  luggage = "",
+  pickupTime = null
+}) {
+  const pickup = resolvePlace(pickupLocation)?.place;
+  const dropoff = resolvePlace(dropoffLocation)?.place;
+  const via = stops.map((s) => resolvePlace(s)?.place);
+
+  const unresolved = [];
+  if (!pickup) unresolved.push("pickupLocation");
+  via.forEach((p, i) => !p && unresolved.push(`stops.${i}`));
+  if (!dropoff) unresolved.push("dropoffLocation");
+  if (unresolved.length) return { ok: false, unresolved };
+
+  const points = [pickup, ...via, dropoff];
+  let straightKm = 0;
+  for (let i = 1; i < points.length; i++) straightKm += haversineKm(points[i - 1], points[i]);
+
+  const pax = Math.max(1, Number(passengers) || 1);
+  const distanceKm = Math.round(straightKm * TARIFF.roadFactor * 10) / 10;
+
+  const base = TARIFF.baseFare;
+  const distance = Math.round(distanceKm * TARIFF.perKm);
+  const fare = Math.max(TARIFF.minimumFare, base + distance);
+
+  const van = pax >= TARIFF.vanFromPassengers;
+  const vehicle = van ? Math.round(fare * (TARIFF.vanMultiplier - 1)) : 0;
+
+  const night = isNightPickup(pickupTime);
+  const nightFee = night ? Math.round((fare + vehicle) * TARIFF.nightSurcharge) : 0;
+
+  const bags = countBags(luggage);
+  const extraBags = Math.max(0, bags - pax * TARIFF.freeBagsPerPassenger);
+  const luggageFee = extraBags * TARIFF.extraBagFee;
+
+  const amount = roundFare(fare + vehicle + nightFee + luggageFee);
+
+  return {
+    ok: true,
+    estimate: {
+      currency: TARIFF.currency,
+      amount,
+      low: roundFare(amount * (1 - TARIFF.spread)),
+      high: roundFare(amount * (1 + TARIFF.spread)),
+      distanceKm,
+      pickup: { id: pickup.id, name: pickup.name },
+      ...(via.length ? { stops: via.map((p) => ({ id: p.id, name: p.name })) } : {}),
+      dropoff: { id: dropoff.id, name: dropoff.name },
+      vehicle: van ? "van" : "car",
+      night,
+      bags,
+      breakdown: {
+        fare,
+        vehicle,
+        night: nightFee,
+        luggage: luggageFee
+      }
+    }
+  };
+}
+
+/**
+ * Estimate for a whole taxi booking: the outbound ride, plus the ride back
+ * (dropoff -> pickup at returnTime) for round trips. Amounts are summed and
+ * each leg's own estimate is kept in `legs`.
+ */
+export function estimateTaxiTripFare(details) {
+  const outbound = estimateTaxiFare(details);
+  if (!outbound.ok || !hasReturnLeg(details)) return outbound;
+
+  const back = estimateTaxiFare({
+    pickupLocation: details.dropoffLocation,
+    dropoffLocation: details.pickupLocation,
+    passengers: details.passengers,
+    luggage: details.luggage,
+    pickupTime: details.returnTime
+  });
+  if (!back.ok) return back;
+
+  const a = outbound.estimate;
+  const b = back.estimate;
+  const sum = (k) => a.breakdown[k] + b.breakdown[k];
+
+  return {
+    ok: true,
+    estimate: {
+      ...a,
+      amount: a.amount + b.amount,
+      low: a.low + b.low,
+      high: a.high + b.high,
+      distanceKm: Math.round((a.distanceKm + b.distanceKm) * 10) / 10,
+      night: a.night || b.night,
+      roundTrip: true,
+      breakdown: {
+        fare: sum("fare"),
+        vehicle: sum("vehicle"),
+        night: sum("night"),
+        luggage: sum("luggage")
+      },
+      legs: [a, b]
+    }
+  };
+}
+
+/**
+ * "MUR 1,850 (est. 1,650–2,050)"
+ */
+export function formatFare(estimate) {
+  if (!estimate) return "";
+  const n = (v) => Number(v).toLocaleString("en-US");
+  return `${estimate.currency} ${n(estimate.amount)} (est. ${n(estimate.low)}–${n(estimate.high)})`;
+}
@@ -0,0 +1,56 @@
+// server/src/utils/taxiLegs.js
+
+/**
+ * A taxi booking is one booking with one or more legs:
+ *   outbound  pickupLocation -> stops… -> dropoffLocation, on pickupDate/pickupTime
+ *   return    dropoffLocation -> pickupLocation, on returnDate/returnTime (optional)
+ *
+ * Legs are derived from the booking details, never stored separately.
+ */
+
+export const MAX_TAXI_STOPS = 5;
+
+export function hasReturnLeg(details) {
+  return !!(details?.returnDate && details?.returnTime);
+}
+
+/**
+ * [{ index, kind: "outbound" | "return", from, to, stops, date, time }]
+ */
+export function taxiLegs(details) {
+  const d = details || {};
+
+  const legs = [
+    {
+      index: 0,
+      kind: "outbound",
+      from: d.pickupLocation || "",
+      to: d.dropoffLocation || "",
+      stops: Array.isArray(d.stops) ? d.stops.filter(Boolean) : [],
+      date: d.pickupDate || "",
+      time: d.pickupTime || ""
+    }
+  ];
+
+  if (hasReturnLeg(d)) {
+    legs.push({
+      index: 1,
+      kind: "return",
+      from: d.dropoffLocation || "",
+      to: d.pickupLocation || "",
+      stops: [],
+      date: d.returnDate,
+      time: d.returnTime
+    });
+  }
+
+  return legs;
+}
+
+/**
+ * More than a plain A -> B ride (stops or a return leg).
+ */
+export function isMultiLegTaxi(details) {
+  const [outbound, ...rest] = taxiLegs(details);
+  return rest.length > 0 || outbound.stops.length > 0;
+}
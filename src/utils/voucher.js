@@ -0,0 +1,268 @@
+// server/src/utils/voucher.js
+import PDFDocument from "pdfkit";
+import { BRAND, displayValue, hasValue, keyLabel } from "./email.js";
+import { loadQrPng, renderQrPng } from "./qr.js";
+import { formatFare } from "./taxiFare.js";
+
+/**
+ * Printable booking voucher (A4 PDF) for hotels and taxi drivers:
+ * brand header, booking reference, details table, QR and provider contact.
+ */
+
+const HIDE_KEYS = new Set([
+  "type",
+  "lang",
+  "externalLink",
+  "taxiWhatsAppLink",
+  "qrUrl",
+  "catalogItemId",
+  "activityUrl"
+]);
+
+// JSONB does not keep key order, so the voucher sets its own
+const FIELD_ORDER = {
+  hotel: ["hotelNameOrArea", "checkIn", "checkOut", "rooms", "adults", "children", "budgetMUR"],
+  taxi: [
+    "pickupLocation",
+    "stops",
+    "dropoffLocation",
+    "pickupDate",
+    "pickupTime",
+    "flightNumber",
+    "returnDate",
+    "returnTime",
+    "passengers",
+    "luggage"
+  ],
+  activity: [
+    "activityName",
+    "activityArea",
+    "date",
+    "timeSlot",
+    "participants",
+    "pickupFromHotel",
+    "pickupLocation"
+  ]
+};
+
+// Per booking type: header subtitle, QR caption, provider box title, footer
+const COPY = {
+  hotel: {
+    subtitle: "Hotel booking voucher",
+    qrCaption: "Scan to open the booking",
+    providerTitle: "Booking partner",
+    footer: "Show this voucher at reception on arrival. Dates are local Mauritius dates."
+  },
+  taxi: {
+    subtitle: "Taxi booking voucher",
+    qrCaption: "Scan for the route",
+    providerTitle: "Your taxi operator",
+    footer: "Show this voucher to your driver. Times are local Mauritius time."
+  },
+  activity: {
+    subtitle: "Activity booking voucher",
+    qrCaption: "Scan to open the activity",
+    providerTitle: "Activity partner",
+    footer: "Show this voucher to the activity operator. Times are local Mauritius time."
+  }
+};
+
+function orderedDetails(type, details) {
+  const order = FIELD_ORDER[type] || [];
+  const rank = (k) => (order.includes(k) ? order.indexOf(k) : order.length);
+  return Object.entries(details || {}).sort(([a], [b]) => rank(a) - rank(b));
+}
+
+const TEXT = "#111827";
+const MUTED = "#6b7280";
+const BORDER = "#e5e7eb";
+const ROW_BG = "#f9fafb";
+
+export function bookingReference(bookingId) {
+  return `TB-${String(bookingId).padStart(6, "0")}`;
+}
+
+// The built-in PDF fonts only cover Latin-1: keep accents, drop emoji/arrows
+function pdfText(value) {
+  return String(value ?? "")
+    .replace(/→/g, "->")
+    .replace(/[^\x20-\x7E\xA0-\xFF–—’\n]/g, "");
+}
+
+function statusLabel(status) {
+  return String(status || "requested").replace(/_/g, " ").toUpperCase();
+}
+
+function drawDetailsTable(doc, rows, { x, y, width }) {
+  const labelWidth = Math.round(width * 0.38);
+  const pad = 8;
+
+  for (const [label, value] of rows) {
+    const valueText = pdfText(value);
+    const h =
+      Math.max(
+        doc.heightOfString(pdfText(label), { width: labelWidth - pad * 2 }),
+        doc.heightOfString(valueText, { width: width - labelWidth - pad * 2 })
+      ) +
+      pad * 2;
+
+    doc.rect(x, y, labelWidth, h).fillAndStroke(ROW_BG, BORDER);
+    doc.rect(x + labelWidth, y, width - labelWidth, h).stroke(BORDER);
+
+    doc
+      .fillColor(TEXT)
+      .font("Helvetica-Bold")
+      .text(pdfText(label), x + pad, y + pad, { width: labelWidth - pad * 2 });
+    doc
+      .font("Helvetica")
+      .text(valueText, x + labelWidth + pad, y + pad, { width: width - labelWidth - pad * 2 });
+
+    y += h;
+  }
+
+  return y;
+}
+
+/**
+ * Render the voucher. Resolves with the PDF bytes.
+ * booking: row with id, type, details, status, fare_estimate, created_at
+ * provider: booking_providers row (or null)
+ * qrTargetLink: what the booking QR encodes (used when no stored QR image exists)
+ * verifyUrl: signed verification link; when given, the voucher QR opens it instead
+ */
+export async function renderBookingVoucher({
+  booking,
+  user,
+  provider = null,
+  qrTargetLink,
+  verifyUrl = null
+}) {
+  const qrPng = verifyUrl
+    ? await renderQrPng(verifyUrl)
+    : await loadQrPng({ bookingId: booking.id, url: qrTargetLink });
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 48,
+    info: {
+      Title: `${BRAND.name} voucher ${bookingReference(booking.id)}`,
+      Author: BRAND.name
+    }
+  });
+
+  const chunks = [];
+  doc.on("data", (c) => chunks.push(c));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const pageWidth = doc.page.width;
+  const left = doc.page.margins.left;
+  const contentWidth = pageWidth - left - doc.page.margins.right;
+  const copy = COPY[booking.type] || COPY.hotel;
+
+  // Header band (same gradient as the emails)
+  const grad = doc.linearGradient(0, 0, pageWidth, 96);
+  grad.stop(0, BRAND.accent).stop(1, BRAND.accent2);
+  doc.rect(0, 0, pageWidth, 96).fill(grad);
+
+  doc.fillColor("#ffffff").font("Helvetica-Bold").fontSize(22).text(BRAND.name, left, 28);
+  doc
+    .font("Helvetica")
+    .fontSize(12)
+    .text(copy.subtitle, left, 58);
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .text(bookingReference(booking.id), left, 34, { width: contentWidth, align: "right" });
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(statusLabel(booking.status), left, 58, { width: contentWidth, align: "right" });
+
+  // Guest + issue date
+  let y = 120;
+  doc.fillColor(MUTED).fontSize(10).text("Guest", left, y);
+  doc.fillColor(TEXT).font("Helvetica-Bold").fontSize(13).text(pdfText(user.username), left, y + 13);
+  doc.font("Helvetica").fontSize(10).fillColor(MUTED).text(pdfText(user.email), left, y + 30);
+
+  const issued = new Date().toISOString().slice(0, 10);
+  doc.text(`Issued ${issued}`, left, y, { width: contentWidth, align: "right" });
+  if (booking.created_at) {
+    doc.text(`Booked ${new Date(booking.created_at).toISOString().slice(0, 10)}`, left, y + 13, {
+      width: contentWidth,
+      align: "right"
+    });
+  }
+
+  // Details table (left) + QR (right)
+  y = 180;
+  const qrSize = 150;
+  const tableWidth = contentWidth - qrSize - 24;
+
+  const rows = orderedDetails(booking.type, booking.details)
+    .filter(([k, v]) => !HIDE_KEYS.has(k) && hasValue(v))
+    .map(([k, v]) => [keyLabel(k), displayValue(v)]);
+
+  if (booking.fare_estimate) rows.push(["Estimated fare", formatFare(booking.fare_estimate)]);
+
+  doc.fontSize(10);
+  const tableBottom = drawDetailsTable(doc, rows, { x: left, y, width: tableWidth });
+
+  const qrX = left + contentWidth - qrSize;
+  const qrCaption = verifyUrl ? "Scan to check this booking is genuine" : copy.qrCaption;
+
+  doc.image(qrPng, qrX, y, { width: qrSize, height: qrSize });
+  doc
+    .fillColor(MUTED)
+    .fontSize(9)
+    .text(qrCaption, qrX, y + qrSize + 4, { width: qrSize, align: "center" });
+
+  // Provider contact
+  y = Math.max(tableBottom, y + qrSize + 24) + 24;
+
+  if (provider) {
+    doc.rect(left, y, contentWidth, 62).fillAndStroke(ROW_BG, BORDER);
+    doc
+      .fillColor(BRAND.accent)
+      .font("Helvetica-Bold")
+      .fontSize(11)
+      .text(copy.providerTitle, left + 12, y + 10);
+    doc.fillColor(TEXT).fontSize(13).text(pdfText(provider.name), left + 12, y + 26);
+
+    if (provider.contact_value) {
+      const channel = provider.contact_channel === "whatsapp" ? "WhatsApp" : provider.contact_channel;
+      doc
+        .font("Helvetica")
+        .fontSize(10)
+        .fillColor(MUTED)
+        .text(`${pdfText(channel || "Contact")}: ${pdfText(provider.contact_value)}`, left + 12, y + 44);
+    }
+
+    y += 62 + 24;
+  }
+
+  doc
+    .fillColor(MUTED)
+    .font("Helvetica")
+    .fontSize(9)
+    .text(copy.footer, left, y, { width: contentWidth });
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Voucher as a sendEmail attachment (base64, so it can sit in an outbox payload).
+ */
+export async function bookingVoucherAttachment(args) {
+  const pdf = await renderBookingVoucher(args);
+  return {
+    filename: `voucher-${bookingReference(args.booking.id)}.pdf`,
+    content: pdf.toString("base64"),
+    encoding: "base64",
+    contentType: "application/pdf"
+  };
+}
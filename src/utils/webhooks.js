@@ -0,0 +1,372 @@
+// server/src/utils/webhooks.js
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import { q, withTransaction } from "../db.js";
+import { enqueueJob, kickOutbox } from "./outbox.js";
+import { providerSummary } from "./providers.js";
+import { qrImageUrl } from "./qr.js";
+
+/**
+ * Outbound webhooks for booking events.
+ *
+ * An event is fanned out, in the transaction of the booking write, to one
+ * webhook_deliveries row + one outbox "webhook.deliver" job per matching active
+ * subscription. The outbox retries failed sends with exponential backoff.
+ *
+ * Request: POST <url>, JSON body { id, type, createdAt, data } and headers
+ *   X-TravelBuddy-Event:     booking.created
+ *   X-TravelBuddy-Delivery:  <delivery id>
+ *   X-TravelBuddy-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ * Any 2xx response counts as delivered.
+ *
+ * Receiver URLs must be https and must not point at private / reserved addresses
+ * (checked on save and again before each send); NODE_ENV=development allows both.
+ */
+
+export const WEBHOOK_EVENTS = [
+  "booking.created",
+  "booking.updated",
+  "booking.cancelled",
+  "booking.confirmed",
+  "booking.declined",
+  "booking.completed",
+  "booking.no_show"
+];
+
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10_000);
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+export function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+// -------------------------
+// Signing
+// -------------------------
+function hmacHex(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+export function signWebhookBody(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmacHex(secret, timestamp, body)}`;
+}
+
+/**
+ * Receiver-side check of X-TravelBuddy-Signature against the raw request body.
+ */
+export function verifyWebhookSignature(
+  secret,
+  header,
+  body,
+  { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}
+) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((p) => p.split("=").map((s) => s.trim()))
+  );
+
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(hmacHex(secret, timestamp, body));
+  const given = Buffer.from(parts.v1);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// -------------------------
+// Receiver URLs
+// -------------------------
+const BLOCKED_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata (169.254.169.254)
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4] // reserved, broadcast
+]) {
+  BLOCKED_NETWORKS.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // unique local (AWS metadata: fd00:ec2::254)
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  BLOCKED_NETWORKS.addSubnet(address, prefix, "ipv6");
+}
+
+const BLOCKED_HOSTNAME = /(^|\.)(localhost|internal|local)$/i;
+
+function isBlockedAddress(ip) {
+  const type = net.isIP(ip) === 6 ? "ipv6" : "ipv4";
+  return BLOCKED_NETWORKS.check(ip, type); // IPv4-mapped IPv6 hits the IPv4 rules
+}
+
+/**
+ * Why `url` cannot receive webhooks, or null when it can. Hostnames are resolved,
+ * so a public name pointing at a private address is refused too.
+ */
+export async function webhookUrlProblem(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "Invalid URL";
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return "Must be an http(s) URL";
+  if (process.env.NODE_ENV === "development") return null;
+  if (parsed.protocol !== "https:") return "Must be an https URL";
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (BLOCKED_HOSTNAME.test(host)) return "Private or reserved host";
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+    } catch {
+      return "Host does not resolve";
+    }
+  }
+
+  return addresses.some(isBlockedAddress) ? "Private or reserved host" : null;
+}
+
+// -------------------------
+// Events
+// -------------------------
+
+/**
+ * Event data: the booking JSON POST /api/bookings returns (plus `changes`
+ * for updates, `dispatch` for operator answers…).
+ */
+export function bookingEventData({ booking, provider, baseUrl, ...extra }) {
+  const { access, ...row } = booking;
+
+  return {
+    booking: row,
+    provider: providerSummary(provider),
+    fareEstimate: row.fare_estimate ?? null,
+    externalLink: row.external_link ?? null,
+    qrUrl: qrImageUrl(baseUrl, row.id),
+    ...extra
+  };
+}
+
+/**
+ * The booking row as event data carries it (same columns as POST /api/bookings returns),
+ * read inside the transaction that changed it.
+ */
+export async function loadEventBooking(db, bookingId) {
+  const r = await db.query(
+    `SELECT id, user_id, type, details, external_link, status, status_updated_at, trip_id,
+            provider_id, fare_estimate, resolved_places, created_at
+     FROM bookings WHERE id=$1`,
+    [bookingId]
+  );
+  return r.rows[0] || null;
+}
+
+async function queueDelivery(
+  db,
+  { subscriptionId, eventId, event, bookingId, payload, replayOf = null }
+) {
+  const inserted = await db.query(
+    `INSERT INTO webhook_deliveries(subscription_id, event_id, event, booking_id, payload, replay_of)
+     VALUES($1,$2,$3,$4,$5,$6)
+     RETURNING id`,
+    [subscriptionId, eventId, event, bookingId, payload, replayOf]
+  );
+  const deliveryId = Number(inserted.rows[0].id);
+
+  // No bookingId on the job: webhook sends are not part of the traveller's deliveries
+  const job = await enqueueJob(
+    {
+      kind: "webhook.deliver",
+      purpose: event,
+      payload: { deliveryId },
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS
+    },
+    db
+  );
+
+  await db.query("UPDATE webhook_deliveries SET outbox_job_id=$1 WHERE id=$2", [job.id, deliveryId]);
+
+  return deliveryId;
+}
+
+/**
+ * Queue `event` for every active subscription that wants it. Pass the booking
+ * write's transaction as `db`; call kickOutbox() after commit.
+ * Returns the number of deliveries queued.
+ */
+export async function enqueueWebhookEvent(db, { event, bookingId = null, data }) {
+  const subs = await db.query(
+    `SELECT id FROM webhook_subscriptions
+     WHERE active AND (cardinality(events) = 0 OR $1 = ANY(events))
+     ORDER BY id`,
+    [event]
+  );
+  if (subs.rows.length === 0) return 0;
+
+  const eventId = `evt_${crypto.randomBytes(12).toString("hex")}`;
+  const payload = { id: eventId, type: event, createdAt: new Date().toISOString(), data };
+
+  for (const s of subs.rows) {
+    await queueDelivery(db, { subscriptionId: s.id, eventId, event, bookingId, payload });
+  }
+
+  return subs.rows.length;
+}
+
+/**
+ * Send a delivery again (same event id and body, new delivery row and retries).
+ */
+export async function replayDelivery(deliveryId) {
+  const replayed = await withTransaction(async (db) => {
+    const r = await db.query(
+      `SELECT d.id, d.subscription_id, d.event_id, d.event, d.booking_id, d.payload
+       FROM webhook_deliveries d
+       WHERE d.id=$1`,
+      [Number(deliveryId) || 0]
+    );
+    const d = r.rows[0];
+    if (!d) return null;
+
+    return queueDelivery(db, {
+      subscriptionId: d.subscription_id,
+      eventId: d.event_id,
+      event: d.event,
+      bookingId: d.booking_id,
+      payload: d.payload,
+      replayOf: d.id
+    });
+  });
+
+  if (replayed) kickOutbox();
+  return replayed;
+}
+
+// -------------------------
+// Sending (outbox handler)
+// -------------------------
+async function logAttempt(deliveryId, attempt, { status = null, body = null, error = null, ms }) {
+  await q(
+    `INSERT INTO webhook_delivery_attempts(delivery_id, attempt, response_status, response_body,
+                                           error, duration_ms)
+     VALUES($1,$2,$3,$4,$5,$6)`,
+    [deliveryId, attempt, status, body, error, ms]
+  );
+}
+
+/**
+ * POST one signed delivery. Never throws: { status, body, error, ms }, where error is
+ * set for a network failure, a timeout or a non-2xx answer.
+ */
+export async function sendWebhook(
+  { url, secret, event, deliveryId, payload },
+  { timeoutMs = WEBHOOK_TIMEOUT_MS } = {}
+) {
+  const body = JSON.stringify(payload);
+  const startedAt = Date.now();
+
+  let status = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "TravelBuddy-Webhooks/1.0",
+        "X-TravelBuddy-Event": event,
+        "X-TravelBuddy-Delivery": String(deliveryId),
+        "X-TravelBuddy-Signature": signWebhookBody(secret, body)
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    status = res.status;
+    responseBody = (await res.text().catch(() => "")).slice(0, 2048);
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (e) {
+    error = e?.name === "TimeoutError" ? "Timed out" : e?.message || String(e);
+  }
+
+  return { status, body: responseBody, error, ms: Date.now() - startedAt };
+}
+
+/**
+ * "webhook.deliver" job: POST the signed body once. Throws on failure so the
+ * outbox schedules the retry; the delivery row mirrors the outcome.
+ */
+export async function deliverWebhook({ deliveryId }, job = {}) {
+  const r = await q(
+    `SELECT d.id, d.event, d.payload, s.url, s.secret, s.active
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE d.id=$1`,
+    [deliveryId]
+  );
+  const d = r.rows[0];
+  if (!d) return { ok: false, reason: "delivery_deleted" };
+
+  if (!d.active) {
+    await q("UPDATE webhook_deliveries SET status='skipped' WHERE id=$1", [d.id]);
+    return { ok: false, reason: "subscription_inactive" };
+  }
+
+  const attempt = job.attempts || 1;
+
+  // The host may resolve differently than when the subscription was saved
+  const blocked = await webhookUrlProblem(d.url);
+  const sent = blocked
+    ? { status: null, body: null, error: blocked, ms: 0 }
+    : await sendWebhook({
+        url: d.url,
+        secret: d.secret,
+        event: d.event,
+        deliveryId: d.id,
+        payload: d.payload
+      });
+  const { status, error } = sent;
+
+  await logAttempt(d.id, attempt, sent);
+
+  if (!error) {
+    await q(
+      `UPDATE webhook_deliveries
+       SET status='delivered', attempts=$1, response_status=$2, last_error=NULL, delivered_at=NOW()
+       WHERE id=$3`,
+      [attempt, status, d.id]
+    );
+    return { ok: true, status };
+  }
+
+  const final = attempt >= (job.max_attempts || WEBHOOK_MAX_ATTEMPTS);
+  await q(
+    `UPDATE webhook_deliveries
+     SET status=$1, attempts=$2, response_status=$3, last_error=$4
+     WHERE id=$5`,
+    [final ? "failed" : "retrying", attempt, status, error, d.id]
+  );
+
+  throw new Error(error);
+}
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Pure helpers only; the modules still load db.js, which wants PGHOST (no connection is made)
+process.env.PGHOST ||= "localhost";
+process.env.APP_TIMEZONE = "Indian/Mauritius";
+
+const { AUTO_CLOSE_AFTER_HOURS, autoCloseAction, tripEndsAt, tripStartsAt } = await import(
+  "../src/utils/bookingLifecycle.js"
+);
+
+// Mauritius is UTC+4 all year
+const taxi = {
+  type: "taxi",
+  details: {
+    pickupLocation: "SSR airport",
+    dropoffLocation: "Hilton",
+    pickupDate: "2026-12-01",
+    pickupTime: "10:00",
+    returnDate: "2026-12-05",
+    returnTime: "18:30"
+  }
+};
+const hotel = { type: "hotel", details: { checkIn: "2026-12-01", checkOut: "2026-12-04" } };
+const activity = { type: "activity", details: { date: "2026-12-02", timeSlot: "09:00-12:30" } };
+
+test("trip start and end by booking type", () => {
+  assert.equal(tripStartsAt(taxi).toISOString(), "2026-12-01T06:00:00.000Z");
+  assert.equal(tripEndsAt(taxi).toISOString(), "2026-12-05T16:30:00.000Z"); // return + 2h
+  assert.equal(tripStartsAt(hotel).toISOString(), "2026-12-01T10:00:00.000Z");
+  assert.equal(tripEndsAt(hotel).toISOString(), "2026-12-04T07:00:00.000Z");
+  assert.equal(tripStartsAt(activity).toISOString(), "2026-12-02T05:00:00.000Z");
+  assert.equal(tripEndsAt(activity).toISOString(), "2026-12-02T08:30:00.000Z");
+  assert.equal(tripEndsAt({ type: "hotel", details: {} }), null);
+});
+
+test("the sweep completes confirmed bookings and cancels unanswered taxis after the trip", () => {
+  const end = tripEndsAt(hotel).getTime();
+  const later = new Date(end + AUTO_CLOSE_AFTER_HOURS * 60 * 60 * 1000);
+  const tooSoon = new Date(later.getTime() - 1);
+
+  assert.equal(autoCloseAction({ ...hotel, status: "confirmed" }, tooSoon), null);
+  assert.equal(autoCloseAction({ ...hotel, status: "confirmed" }, later).to, "completed");
+  assert.equal(autoCloseAction({ ...hotel, status: "requested" }, later), null);
+  assert.equal(autoCloseAction({ ...activity, status: "requested" }, later), null);
+
+  const taxiEnd = tripEndsAt(taxi).getTime();
+  const taxiLater = new Date(taxiEnd + AUTO_CLOSE_AFTER_HOURS * 60 * 60 * 1000);
+  assert.equal(autoCloseAction({ ...taxi, status: "requested" }, taxiLater).to, "cancelled");
+  assert.equal(autoCloseAction({ ...hotel, status: "cancelled" }, later), null);
+  assert.equal(autoCloseAction({ type: "taxi", details: {}, status: "confirmed" }, later), null);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Pure helpers only; the module still loads db.js, which wants PGHOST (no connection is made)
+process.env.PGHOST ||= "localhost";
+
+const { BOOKING_STATUSES, canTransition, isLiveStatus, liveStatuses } = await import(
+  "../src/utils/bookingStatus.js"
+);
+
+const EDGES = [
+  ["requested", "confirmed"],
+  ["requested", "declined"],
+  ["requested", "cancelled"],
+  ["confirmed", "completed"],
+  ["confirmed", "cancelled"],
+  ["confirmed", "no_show"]
+];
+
+test("every allowed transition", () => {
+  for (const [from, to] of EDGES) assert.ok(canTransition(from, to), `${from} -> ${to}`);
+});
+
+test("no other transition", () => {
+  const allowed = new Set(EDGES.map(([from, to]) => `${from}>${to}`));
+  for (const from of BOOKING_STATUSES) {
+    for (const to of BOOKING_STATUSES) {
+      if (!allowed.has(`${from}>${to}`)) assert.ok(!canTransition(from, to), `${from} -> ${to}`);
+    }
+  }
+});
+
+test("unknown statuses go nowhere", () => {
+  assert.ok(!canTransition("pending", "confirmed"));
+  assert.ok(!canTransition("requested", "pending"));
+  assert.ok(!canTransition(undefined, "cancelled"));
+});
+
+test("only requested and confirmed are live", () => {
+  assert.deepEqual(BOOKING_STATUSES.filter(isLiveStatus), ["requested", "confirmed"]);
+  assert.deepEqual(liveStatuses(), ["requested", "confirmed"]);
+  assert.ok(!isLiveStatus("pending"));
+});
@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ZodError } from "zod";
+
+// Pure validation; the module chain still loads db.js, which wants PGHOST (no connection is made)
+process.env.PGHOST ||= "localhost";
+process.env.APP_TIMEZONE = "Indian/Mauritius";
+
+const { MAX_STAY_NIGHTS, parseBookingInput } = await import(
+  "../src/utils/bookingValidation.js"
+);
+
+// 2026-06-01 12:00 in Mauritius (UTC+4)
+const now = new Date("2026-06-01T08:00:00Z");
+
+const hotel = {
+  type: "hotel",
+  hotelNameOrArea: "Grand Baie",
+  checkIn: "2026-06-10",
+  checkOut: "2026-06-14",
+  rooms: 1,
+  adults: 2,
+  children: 0,
+  budgetMUR: 20000
+};
+
+const taxi = {
+  type: "taxi",
+  pickupLocation: "SSR airport",
+  dropoffLocation: "Hilton",
+  pickupDate: "2026-06-01",
+  pickupTime: "13:00",
+  passengers: 2
+};
+
+const activity = {
+  type: "activity",
+  catalogItemId: 3,
+  date: "2026-06-02",
+  timeSlot: "09:00-12:30",
+  participants: 2
+};
+
+// { path: message } of every issue, or null when the input is valid
+function issues(raw, options = {}) {
+  try {
+    parseBookingInput(raw, { now, ...options });
+    return null;
+  } catch (e) {
+    assert.ok(e instanceof ZodError);
+    return Object.fromEntries(e.issues.map((i) => [i.path.join("."), i.message]));
+  }
+}
+
+test("valid bookings parse", () => {
+  assert.equal(parseBookingInput(hotel, { now }).checkOut, "2026-06-14");
+  assert.equal(parseBookingInput(taxi, { now }).pickupTime, "13:00");
+  assert.equal(parseBookingInput(activity, { now }).timeSlot, "09:00-12:30");
+});
+
+test("unknown type is not validated", () => {
+  assert.equal(parseBookingInput({ ...hotel, type: "flight" }, { now }), null);
+  assert.equal(parseBookingInput(null, { now }), null);
+});
+
+test("dates must be real YYYY-MM-DD dates", () => {
+  const invalidDate = "Use a valid date in the format YYYY-MM-DD";
+  for (const checkIn of ["2026-02-30", "2026-6-10", "10/06/2026", "2026-06-10T00:00"]) {
+    assert.equal(issues({ ...hotel, checkIn }).checkIn, invalidDate, checkIn);
+  }
+  assert.equal(issues({ ...taxi, returnDate: "2026-13-01", returnTime: "10:00" }).returnDate,
+    invalidDate);
+});
+
+test("every room needs an adult", () => {
+  assert.deepEqual(issues({ ...hotel, rooms: 3, adults: 2 }), {
+    rooms: "Each room needs at least one adult"
+  });
+  assert.equal(issues({ ...hotel, rooms: 2, adults: 2 }), null);
+});
+
+test("check-in today or later, check-out after check-in, bounded stay", () => {
+  assert.equal(issues({ ...hotel, checkIn: "2026-06-01" }), null);
+  assert.equal(issues({ ...hotel, checkIn: "2026-05-31" }).checkIn,
+    "Check-in cannot be in the past");
+  assert.equal(issues({ ...hotel, checkOut: "2026-06-10" }).checkOut,
+    "Check-out must be after check-in");
+
+  const last = new Date(Date.UTC(2026, 5, 10 + MAX_STAY_NIGHTS)).toISOString().slice(0, 10);
+  const tooLate = new Date(Date.UTC(2026, 5, 11 + MAX_STAY_NIGHTS)).toISOString().slice(0, 10);
+  assert.equal(issues({ ...hotel, checkOut: last }), null);
+  assert.equal(issues({ ...hotel, checkOut: tooLate }).checkOut,
+    `A stay cannot be longer than ${MAX_STAY_NIGHTS} nights`);
+});
+
+test("taxi pickup must be in the future (app time zone)", () => {
+  assert.equal(issues({ ...taxi, pickupTime: "12:00" }).pickupTime, "Pickup must be in the future");
+  assert.equal(issues({ ...taxi, pickupTime: "12:01" }), null);
+  assert.equal(issues({ ...taxi, pickupDate: "", pickupTime: "" }).pickupDate,
+    "This field is required");
+});
+
+test("taxi times are strict 24h and normalized", () => {
+  assert.equal(parseBookingInput({ ...taxi, pickupTime: "13:05:00" }, { now }).pickupTime,
+    "13:05");
+  for (const pickupTime of ["9:05", "24:00", "13:60", "1pm"]) {
+    assert.equal(issues({ ...taxi, pickupTime }).pickupTime,
+      "Use a valid 24h time in the format HH:mm", pickupTime);
+  }
+});
+
+test("taxi return needs a date and a time, after the pickup", () => {
+  assert.equal(issues({ ...taxi, returnDate: "2026-06-05" }).returnTime,
+    "Give both a return date and a return time");
+  assert.equal(issues({ ...taxi, returnTime: "10:00" }).returnDate,
+    "Give both a return date and a return time");
+  assert.equal(issues({ ...taxi, returnDate: "2026-06-01", returnTime: "13:00" }).returnDate,
+    "The return must be after the outbound pickup");
+  assert.equal(issues({ ...taxi, returnDate: "2026-06-01", returnTime: "18:00" }), null);
+});
+
+test("airport transfers take the flight instead of a pickup time", () => {
+  const flight = { ...taxi, pickupDate: "", pickupTime: "", flightNumber: "mk 015" };
+  assert.deepEqual(issues(flight), {
+    flightMode: "This field is required",
+    flightDate: "This field is required"
+  });
+
+  const parsed = parseBookingInput(
+    { ...flight, flightMode: "Arrival", flightDate: "2026-06-03" },
+    { now }
+  );
+  assert.equal(parsed.flightNumber, "MK15");
+  assert.equal(parsed.flightMode, "arrival");
+});
+
+test("activity slot and start", () => {
+  assert.equal(parseBookingInput({ ...activity, timeSlot: "09:00" }, { now }).timeSlot, "09:00");
+  assert.equal(issues({ ...activity, timeSlot: "12:30-09:00" }).timeSlot,
+    "Use a time slot like 09:00 or 09:00-12:30");
+  assert.equal(issues({ ...activity, date: "2026-06-01", timeSlot: "11:00" }).date,
+    "The activity must be in the future");
+  assert.equal(issues({ ...activity, pickupFromHotel: "true" }).pickupLocation,
+    "Tell us which hotel to pick you up from");
+});
+
+test("messages follow the language", () => {
+  assert.deepEqual(issues({ ...hotel, rooms: 3, adults: 2 }, { lang: "fr-FR" }), {
+    rooms: "Chaque chambre doit avoir au moins un adulte"
+  });
+  assert.equal(issues({ ...taxi, pickupTime: "11:00", lang: "fr" }).pickupTime,
+    "La prise en charge doit être dans le futur");
+  assert.equal(issues({ ...hotel, hotelNameOrArea: undefined, lang: "fr" }).hotelNameOrArea,
+    "Ce champ est obligatoire");
+  assert.equal(issues({ ...hotel, hotelNameOrArea: undefined, lang: "de" }).hotelNameOrArea,
+    "This field is required");
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Pure helpers only; the modules still load db.js, which wants PGHOST (no connection is made)
+process.env.PGHOST ||= "localhost";
+delete process.env.LOGIN_MAX_FAILURES;
+
+const { LOGIN_MAX_FAILURES, lockoutRetryAfter, nextLockout } = await import(
+  "../src/utils/loginLockout.js"
+);
+
+const now = Date.parse("2026-06-01T08:00:00Z");
+const minutesAgo = (m) => new Date(now - m * 60 * 1000);
+const HOUR = 60;
+
+test("five wrong passwords lock by default", () => {
+  assert.equal(LOGIN_MAX_FAILURES, 5);
+});
+
+test("retry after: whole seconds until locked_until, 0 when not locked", () => {
+  assert.equal(lockoutRetryAfter({ locked_until: null }, now), 0);
+  assert.equal(lockoutRetryAfter({ locked_until: minutesAgo(1) }, now), 0);
+  assert.equal(lockoutRetryAfter({ locked_until: new Date(now) }, now), 0);
+  assert.equal(lockoutRetryAfter({ locked_until: new Date(now + 1) }, now), 1);
+  assert.equal(lockoutRetryAfter({ locked_until: new Date(now + 90_500) }, now), 91);
+  assert.equal(lockoutRetryAfter({ locked_until: minutesAgo(-5).toISOString() }, now), 300);
+});
+
+test("lockouts in a row last 1, 5, 15 then 60 minutes", () => {
+  assert.deepEqual(nextLockout({ lockout_level: 0, locked_until: null }, now), {
+    level: 1,
+    minutes: 1
+  });
+
+  const recent = minutesAgo(10);
+  assert.equal(nextLockout({ lockout_level: 1, locked_until: recent }, now).minutes, 5);
+  assert.equal(nextLockout({ lockout_level: 2, locked_until: recent }, now).minutes, 15);
+  assert.deepEqual(nextLockout({ lockout_level: 3, locked_until: recent }, now), {
+    level: 4,
+    minutes: 60
+  });
+  assert.deepEqual(nextLockout({ lockout_level: 7, locked_until: recent }, now), {
+    level: 8,
+    minutes: 60
+  });
+});
+
+test("the level starts over a day after the last lockout ended", () => {
+  const justUnderADay = { lockout_level: 3, locked_until: minutesAgo(24 * HOUR - 1) };
+  const overADay = { lockout_level: 3, locked_until: minutesAgo(24 * HOUR + 1) };
+
+  assert.deepEqual(nextLockout(justUnderADay, now), { level: 4, minutes: 60 });
+  assert.deepEqual(nextLockout(overADay, now), { level: 1, minutes: 1 });
+});
@@ -0,0 +1,53 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// Memory store; the module still loads db.js, which wants PGHOST (no connection is made)
+process.env.PGHOST ||= "localhost";
+process.env.RATE_LIMIT_STORE = "memory";
+delete process.env.VERCEL;
+
+const { hitRateLimit, rateLimitStore, resetRateLimit } = await import(
+  "../src/utils/rateLimit.js"
+);
+
+const limits = { limit: 3, windowSeconds: 60 };
+
+test("memory store is picked", () => {
+  assert.equal(rateLimitStore().name, "memory");
+});
+
+test("allows `limit` hits per window, then tells when to retry", async () => {
+  assert.deepEqual(await hitRateLimit("t:count", limits), { ok: true, remaining: 2 });
+  assert.deepEqual(await hitRateLimit("t:count", limits), { ok: true, remaining: 1 });
+  assert.deepEqual(await hitRateLimit("t:count", limits), { ok: true, remaining: 0 });
+
+  const blocked = await hitRateLimit("t:count", limits);
+  assert.equal(blocked.ok, false);
+  assert.ok(blocked.retryAfter > 0 && blocked.retryAfter <= 60, String(blocked.retryAfter));
+});
+
+test("keys are counted separately", async () => {
+  for (let i = 0; i < 3; i += 1) await hitRateLimit("t:a", limits);
+  assert.equal((await hitRateLimit("t:a", limits)).ok, false);
+  assert.deepEqual(await hitRateLimit("t:b", limits), { ok: true, remaining: 2 });
+});
+
+test("reset starts the key over", async () => {
+  for (let i = 0; i < 4; i += 1) await hitRateLimit("t:reset", limits);
+  await resetRateLimit("t:reset");
+  assert.deepEqual(await hitRateLimit("t:reset", limits), { ok: true, remaining: 2 });
+});
+
+test("a new window starts once the old one ends", async (t) => {
+  let now = Date.parse("2026-06-01T08:00:00Z");
+  mock.method(Date, "now", () => now);
+  t.after(() => mock.restoreAll());
+
+  for (let i = 0; i < 4; i += 1) await hitRateLimit("t:window", limits);
+
+  now += 59_500;
+  assert.deepEqual(await hitRateLimit("t:window", limits), { ok: false, retryAfter: 1 });
+
+  now += 500;
+  assert.deepEqual(await hitRateLimit("t:window", limits), { ok: true, remaining: 2 });
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Pure helpers only; the modules still load db.js, which wants PGHOST (no connection is made)
+process.env.PGHOST ||= "localhost";
+
+const { ROLES, ROLE_PERMISSIONS, PERMISSIONS, permissionsFor, hasPermission } = await import(
+  "../src/utils/rbac.js"
+);
+const { requirePermission, requireRole } = await import("../src/middleware/roles.js");
+
+test("every role has permissions, each listed once", () => {
+  assert.deepEqual(Object.keys(ROLE_PERMISSIONS).sort(), [...ROLES].sort());
+  for (const role of ROLES) assert.ok(permissionsFor([role]).length > 0, role);
+  assert.equal(new Set(PERMISSIONS).size, PERMISSIONS.length);
+});
+
+test("permissions by role", () => {
+  assert.ok(hasPermission(["admin"], "roles.manage"));
+  assert.ok(hasPermission(["admin"], "webhooks.manage"));
+  assert.ok(!hasPermission(["admin"], "taxi.dispatch"));
+
+  assert.ok(hasPermission(["agent"], "bookings.manage"));
+  assert.ok(hasPermission(["agent"], "support.manage"));
+  assert.ok(!hasPermission(["agent"], "roles.manage"));
+  assert.ok(!hasPermission(["agent"], "webhooks.manage"));
+
+  assert.deepEqual(permissionsFor(["operator"]), ["taxi.dispatch"]);
+});
+
+test("roles add up, unknown roles grant nothing", () => {
+  const both = permissionsFor(["agent", "operator"]);
+  assert.ok(both.includes("bookings.read_any") && both.includes("taxi.dispatch"));
+  assert.equal(new Set(both).size, both.length);
+
+  assert.deepEqual(permissionsFor(["superuser"]), []);
+  assert.deepEqual(permissionsFor([]), []);
+  assert.deepEqual(permissionsFor(), []);
+  assert.ok(!hasPermission([], "bookings.read_any"));
+});
+
+// Runs a middleware against a fake request; { next: true } or { status, body }
+function run(middleware, roles) {
+  let result = null;
+  const res = {
+    status(code) {
+      result = { status: code };
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  middleware({ user: roles && { userId: 1, roles } }, res, () => (result = { next: true }));
+  return result;
+}
+
+test("requirePermission and requireRole", () => {
+  assert.deepEqual(run(requirePermission("webhooks.manage"), ["admin"]), { next: true });
+  assert.equal(run(requirePermission("webhooks.manage"), ["agent"]).status, 403);
+  assert.equal(run(requirePermission("webhooks.manage")).status, 403);
+
+  assert.deepEqual(run(requireRole("admin", "agent"), ["agent"]), { next: true });
+  assert.deepEqual(run(requireRole("admin", "agent"), ["operator"]), {
+    status: 403,
+    body: { error: "Requires role: admin or agent" }
+  });
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LINK_SIGNING_SECRET = "link_secret_for_tests";
+
+const { signBookingLink, verifyBookingLink, signExpiringToken, readExpiringToken } =
+  await import("../src/utils/signing.js");
+
+test("booking links verify only for their purpose and booking", () => {
+  const sig = signBookingLink("qr", 42);
+  assert.equal(sig.length, 22);
+  assert.ok(verifyBookingLink("qr", 42, sig));
+  assert.ok(verifyBookingLink("qr", "42", sig));
+
+  assert.ok(!verifyBookingLink("qr", 43, sig));
+  assert.ok(!verifyBookingLink("verify", 42, sig));
+  assert.ok(!verifyBookingLink("qr", 42, `${sig.slice(0, -1)}${sig.endsWith("A") ? "B" : "A"}`));
+  assert.ok(!verifyBookingLink("qr", 42, sig.slice(0, 10)));
+  assert.ok(!verifyBookingLink("qr", 42, undefined));
+});
+
+test("links signed with another secret do not verify", () => {
+  const sig = signBookingLink("qr", 42);
+  process.env.LINK_SIGNING_SECRET = "another_secret";
+  try {
+    assert.ok(!verifyBookingLink("qr", 42, sig));
+  } finally {
+    process.env.LINK_SIGNING_SECRET = "link_secret_for_tests";
+  }
+});
+
+test("expiring token round trip", () => {
+  const token = signExpiringToken("email_verify", { userId: 7 }, 60_000);
+  const read = readExpiringToken("email_verify", token);
+  assert.equal(read.ok, true);
+  assert.equal(read.data.userId, 7);
+});
+
+test("expired, tampered or foreign tokens are refused", () => {
+  const token = signExpiringToken("email_verify", { userId: 7 }, 60_000);
+  const [body, sig] = token.split(".");
+
+  assert.deepEqual(readExpiringToken("email_verify", token, Date.now() + 61_000), {
+    ok: false,
+    reason: "expired"
+  });
+  assert.equal(readExpiringToken("password_reset", token).reason, "invalid");
+
+  const forged = Buffer.from(JSON.stringify({ userId: 8, exp: Date.now() + 60_000 })).toString(
+    "base64url"
+  );
+  assert.equal(readExpiringToken("email_verify", `${forged}.${sig}`).reason, "invalid");
+  assert.equal(readExpiringToken("email_verify", body).reason, "invalid");
+  assert.equal(readExpiringToken("email_verify", "").reason, "invalid");
+});
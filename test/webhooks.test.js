@@ -0,0 +1,144 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+// sendWebhook needs no database; the module still loads db.js, which wants PGHOST
+process.env.PGHOST ||= "localhost";
+
+const { sendWebhook, signWebhookBody, verifyWebhookSignature, webhookUrlProblem } =
+  await import("../src/utils/webhooks.js");
+
+const SECRET = "whsec_test_secret_0123456789";
+
+// Receiver: answers with the queued statuses (200 once they run out), records each request
+const received = [];
+const answers = [];
+let stall = false;
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    received.push({ headers: req.headers, body });
+    if (stall) return; // never answers: the sender times out
+    res.statusCode = answers.shift() || 200;
+    res.end("ok");
+  });
+});
+
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const delivery = {
+  url,
+  secret: SECRET,
+  event: "booking.created",
+  deliveryId: 7,
+  payload: { id: "evt_1", type: "booking.created", data: { booking: { id: 1 } } }
+};
+
+function lastRequest() {
+  return received[received.length - 1];
+}
+
+test("delivered body verifies with the subscription secret", async () => {
+  const sent = await sendWebhook(delivery);
+  assert.equal(sent.status, 200);
+  assert.equal(sent.error, null);
+
+  const { headers, body } = lastRequest();
+  assert.equal(headers["x-travelbuddy-event"], "booking.created");
+  assert.equal(headers["x-travelbuddy-delivery"], "7");
+  assert.deepEqual(JSON.parse(body), delivery.payload);
+  assert.ok(verifyWebhookSignature(SECRET, headers["x-travelbuddy-signature"], body));
+  assert.ok(!verifyWebhookSignature("whsec_other", headers["x-travelbuddy-signature"], body));
+  assert.ok(!verifyWebhookSignature(SECRET, headers["x-travelbuddy-signature"], `${body} `));
+});
+
+test("non-2xx is an error (the outbox retries) and the retry is signed again", async () => {
+  answers.push(500);
+
+  const first = await sendWebhook(delivery);
+  assert.equal(first.status, 500);
+  assert.equal(first.error, "HTTP 500");
+  const failed = lastRequest();
+
+  const retry = await sendWebhook(delivery);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.error, null);
+
+  const { headers, body } = lastRequest();
+  assert.equal(body, failed.body);
+  assert.ok(verifyWebhookSignature(SECRET, headers["x-travelbuddy-signature"], body));
+});
+
+test("a receiver that never answers times out", async () => {
+  stall = true;
+  try {
+    const sent = await sendWebhook(delivery, { timeoutMs: 200 });
+    assert.equal(sent.status, null);
+    assert.equal(sent.error, "Timed out");
+  } finally {
+    stall = false;
+  }
+});
+
+test("a captured request replayed after the tolerance is rejected", async () => {
+  await sendWebhook(delivery);
+  const { headers, body } = lastRequest();
+  const signature = headers["x-travelbuddy-signature"];
+  const timestamp = Number(/t=(\d+)/.exec(signature)[1]);
+
+  const tenMinutesLater = (timestamp + 10 * 60) * 1000;
+  assert.ok(!verifyWebhookSignature(SECRET, signature, body, { now: tenMinutesLater }));
+  assert.ok(verifyWebhookSignature(SECRET, signWebhookBody(SECRET, body), body));
+});
+
+test("malformed signature headers are rejected", () => {
+  const body = JSON.stringify(delivery.payload);
+  for (const header of [undefined, "", "v1=abc", "t=abc,v1=abc", `t=${Date.now()}`]) {
+    assert.ok(!verifyWebhookSignature(SECRET, header, body), String(header));
+  }
+});
+
+test("receiver URLs must be https on a public host", async () => {
+  const blocked = [
+    "http://93.184.215.14/hook",
+    "https://localhost/hook",
+    "https://api.localhost/hook",
+    "https://metadata.google.internal/computeMetadata/v1",
+    "https://127.0.0.1/hook",
+    "https://0x7f.1/hook",
+    "https://169.254.169.254/latest/meta-data",
+    "https://10.1.2.3/hook",
+    "https://172.20.0.1/hook",
+    "https://192.168.1.10/hook",
+    "https://100.64.0.1/hook",
+    "https://0.0.0.0/hook",
+    "https://[::1]/hook",
+    "https://[::ffff:127.0.0.1]/hook",
+    "https://[fd00:ec2::254]/hook",
+    "https://[fe80::1]/hook"
+  ];
+  for (const url of blocked) assert.ok(await webhookUrlProblem(url), url);
+
+  assert.equal(await webhookUrlProblem("https://93.184.215.14/hook"), null);
+  assert.equal(await webhookUrlProblem("https://[2606:2800:21f:cb07:6820:80da:af6b:8b2c]/"), null);
+});
+
+test("development allows local receivers", async () => {
+  const env = process.env.NODE_ENV;
+  process.env.NODE_ENV = "development";
+  try {
+    assert.equal(await webhookUrlProblem(url), null);
+    assert.ok(await webhookUrlProblem("ftp://127.0.0.1/hook"));
+  } finally {
+    if (env === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = env;
+  }
+});